@@ -0,0 +1,28 @@
+// src/config/CRS_DEFINITIONS.js
+// Koordinatenreferenzsysteme der GeoNode-Koordinaten (geoCo.x = Rechtswert/Ost, geoCo.y = Hochwert/Nord)
+// – Auswahl über #sel-crs, Umrechnung nach WGS84 mit proj4 (läuft lokal im Browser, siehe js/utils/crs.js)
+// – proj4-Definitionen entsprechen den EPSG-Einträgen; towgs84 = 7-Parameter-Helmert (Position Vector)
+// – 'local' = ohne Bezug: Koordinaten bleiben planare Rohwerte, keine Lat/Lon-Anzeige
+
+export const LOCAL_CRS = "local";
+export const DEFAULT_CRS = LOCAL_CRS;
+
+const DHDN_TOWGS84 = "+towgs84=598.1,73.7,418.2,0.202,0.045,-2.455,6.7";
+const DB_REF_TOWGS84 = "+towgs84=584.9636,107.7175,413.8067,1.1155214628,0.2824339890,-3.1384490633,7.992235";
+
+const gk = (zone, towgs84) => `+proj=tmerc +lat_0=0 +lon_0=${zone * 3} +k=1 +x_0=${zone}500000 +y_0=0 +ellps=bessel ${towgs84} +units=m +no_defs`;
+const utm = (zone) => `+proj=utm +zone=${zone} +ellps=GRS80 +towgs84=0,0,0,0,0,0,0 +units=m +no_defs`;
+
+export const CRS_DEFINITIONS = {
+    [LOCAL_CRS]: {label: "lokal (ohne Bezug)", proj4: null},
+    "EPSG:31466": {label: "DHDN / Gauß-Krüger Zone 2", proj4: gk(2, DHDN_TOWGS84)},
+    "EPSG:31467": {label: "DHDN / Gauß-Krüger Zone 3", proj4: gk(3, DHDN_TOWGS84)},
+    "EPSG:31468": {label: "DHDN / Gauß-Krüger Zone 4", proj4: gk(4, DHDN_TOWGS84)},
+    "EPSG:31469": {label: "DHDN / Gauß-Krüger Zone 5", proj4: gk(5, DHDN_TOWGS84)},
+    "EPSG:25832": {label: "ETRS89 / UTM 32N", proj4: utm(32)},
+    "EPSG:25833": {label: "ETRS89 / UTM 33N", proj4: utm(33)},
+    "EPSG:5682": {label: "DB_REF / Gauß-Krüger Zone 2", proj4: gk(2, DB_REF_TOWGS84)},
+    "EPSG:5683": {label: "DB_REF / Gauß-Krüger Zone 3", proj4: gk(3, DB_REF_TOWGS84)},
+    "EPSG:5684": {label: "DB_REF / Gauß-Krüger Zone 4", proj4: gk(4, DB_REF_TOWGS84)},
+    "EPSG:5685": {label: "DB_REF / Gauß-Krüger Zone 5", proj4: gk(5, DB_REF_TOWGS84)},
+};
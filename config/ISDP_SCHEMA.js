@@ -67,7 +67,7 @@ const ISDP_SCHEMA = {
                 type: "type",
                 refTrackEdge: "location.netElementRef",
                 linearCoordinate: "location.linearCoordinate",
-                geometricCoordinate: "location.geometricCoordinate",
+                geometricCoordinate: "location.geometricCoordinate.geoCo|location.geometricCoordinate",
                 intrinsicCoord: "location.intrinsicCoord",
                 applicationDirection: "location.applicationDirection",
                 pos: "location.pos"
@@ -82,12 +82,46 @@ const ISDP_SCHEMA = {
                 dbName: "dbName",
                 refTrackEdge: "location.netElementRef",
                 linearCoordinate: "location.linearCoordinate",
-                geometricCoordinate: "location.geometricCoordinate",
+                geometricCoordinate: "location.geometricCoordinate.geoCo|location.geometricCoordinate",
                 intrinsicCoord: "location.intrinsicCoord",
                 applicationDirection: "location.applicationDirection",
                 pos: "location.pos"
             }
         }
+    },
+    // Wertetabellen für Enumerationsfelder (Rohwert -> normierter Wert)
+    enums: {
+        // ApplicationDirection relativ zum RefNode: 1 = in Richtung, -1 = entgegen, 0 = beide/undefiniert.
+        // Schlüssel in Großbuchstaben (Rohwert wird vor dem Vergleich normiert). Die Werte sind noch nicht gegen
+        // ISDP-Daten bestätigt; Abweichungen je Server-Version per Registry-Override (enums.applicationDirection).
+        applicationDirection: {NORMAL: 1, REVERSE: -1, BOTH: 0, UNDEFINED: 0}
+    },
+    // Nur eingebettet vorkommende Elemente (kein eigener Endpunkt): Felder relativ zum Listeneintrag der TrackEdge
+    embedded: {
+        Station: {
+            element: "stations",
+            fields: {
+                id: "id",
+                name: "names[0].name|name[0].name|name",
+                shortName: "shortName|abbreviation",
+                km: "kilometer.bdValue|km",
+                intrinsicCoord: "location.intrinsicCoord|intrinsicCoord",
+                intrinsicCoordBegin: "location.intrinsicCoordBegin|intrinsicCoordBegin",
+                intrinsicCoordEnd: "location.intrinsicCoordEnd|intrinsicCoordEnd"
+            }
+        },
+        TrackPoint: {
+            element: "trackPoints",
+            fields: {
+                id: "id",
+                x: "geoCo.x|coordinate.x|x",
+                y: "geoCo.y|coordinate.y|y",
+                intrinsicCoord: "intrinsicCoord|location.intrinsicCoord",
+                type: "type|kind",
+                radius: "radius.bdValue|radius",
+                km: "kilometer.bdValue|km"
+            }
+        }
     }
 };
 
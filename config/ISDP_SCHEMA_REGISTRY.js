@@ -0,0 +1,114 @@
+// src/config/ISDP_SCHEMA_REGISTRY.js
+// Registry der versionierten ISDP-Schemata (Auswahl über #sel-isdp-version im Start-Overlay)
+// – Basis ist ISDP_SCHEMA.js (3.0.17), jede weitere Version erbt per `extends` und überschreibt nur Abweichungen
+// – Overrides werden rekursiv gemerged: Objekte werden zusammengeführt, Werte/Arrays ersetzt, `null` entfernt einen Schlüssel
+//
+// Beispiel für eine abweichende Server-Version:
+//   "3.1.0": {
+//       extends: "3.0.17",
+//       overrides: {
+//           classes: {
+//               GeoNode: {fields: {name: 'names[0].name|s_name'}},
+//               Signalgroup: {fqn: 'de.bst.ibw.data.signal.SignalGroup'},
+//               TdsComponent: null            // Klasse existiert in dieser Version nicht
+//           }
+//       }
+//   }
+//
+// Weichen, Prellböcke, Bahnübergänge und Bahnsteigkanten liest ISDPDataFetcher, sobald das Schema die Klassen
+// Switch / BufferStop / LevelCrossing / PlatformEdge enthält. Im Basisschema fehlen sie, solange ihre FQNs nicht
+// gegen einen Server bestätigt sind (sonst liefe jeder Ladevorgang gegen nicht vorhandene Endpunkte); eine Version,
+// die sie liefert, ergänzt sie per Override:
+//   classes: {
+//       Switch: {fqn: '<FQN>', path: 'payload', fields: {id: 'id', name: 'name[0].name', type: 'switchType',
+//           refNode: 'refGeoNode', refTrackEdge: 'location.netElementRef', intrinsicCoord: 'location.intrinsicCoord',
+//           applicationDirection: 'location.applicationDirection'}},
+//       BufferStop: {...},      // Felder wie Switch (type: 'type')
+//       LevelCrossing: {...},   // Felder wie Switch ohne refNode (type: 'protectionType')
+//       PlatformEdge: {fqn: '<FQN>', path: 'payload', fields: {id: 'id', name: 'name[0].name',
+//           refTrackEdge: 'location.associatedNetElement.netElementRef',
+//           intrinsicCoordBegin: 'location.associatedNetElement.intrinsicCoordBegin',
+//           intrinsicCoordEnd: 'location.associatedNetElement.intrinsicCoordEnd',
+//           lengthM: 'length.bdValue', heightM: 'height.bdValue'}}
+//   }
+//   Unsichere Klassen lassen sich mit `optional: true` markieren: fehlen sie, gibt es kein Warnbanner.
+
+import ISDP_SCHEMA from "./ISDP_SCHEMA.js";
+
+export const DEFAULT_ISDP_VERSION = "3.0.17";
+
+const ISDP_SCHEMA_VERSIONS = {
+    "3.0.17": {extends: null, overrides: ISDP_SCHEMA},
+};
+
+const resolvedCache = new Map();
+
+/** Liste der verfügbaren Versionen (für das Dropdown), neueste zuerst */
+export function listIsdpVersions() {
+    return Object.keys(ISDP_SCHEMA_VERSIONS).sort(compareVersionsDesc);
+}
+
+/** Prüft, ob eine Version registriert ist */
+export function hasIsdpVersion(version) {
+    return Object.prototype.hasOwnProperty.call(ISDP_SCHEMA_VERSIONS, String(version));
+}
+
+/**
+ * Liefert das vollständig aufgelöste Schema einer Version (Basis + Overrides entlang der extends-Kette).
+ * @param {string} [version=DEFAULT_ISDP_VERSION]
+ * @returns {Object|null} Schema inkl. `version` oder null, falls unbekannt
+ */
+export function getIsdpSchema(version = DEFAULT_ISDP_VERSION) {
+    const key = String(version ?? DEFAULT_ISDP_VERSION);
+    if (resolvedCache.has(key)) return resolvedCache.get(key);
+    if (!hasIsdpVersion(key)) return null;
+
+    const chain = [];
+    const seen = new Set();
+    let cur = key;
+    while (cur != null) {
+        if (seen.has(cur)) throw new Error(`ISDP Schema: zyklische extends-Kette bei ${cur}`);
+        if (!hasIsdpVersion(cur)) throw new Error(`ISDP Schema: Basisversion ${cur} nicht registriert`);
+        seen.add(cur);
+        chain.unshift(ISDP_SCHEMA_VERSIONS[cur]);
+        cur = ISDP_SCHEMA_VERSIONS[cur].extends ?? null;
+    }
+
+    let schema = {};
+    for (const entry of chain) schema = mergeSchema(schema, entry.overrides || {});
+    schema.version = key;
+
+    resolvedCache.set(key, schema);
+    return schema;
+}
+
+// ---------------- Helpers ----------------
+function isPlainObject(v) {
+    return v != null && typeof v === 'object' && !Array.isArray(v);
+}
+
+function mergeSchema(base, override) {
+    const out = {...base};
+    for (const [k, v] of Object.entries(override)) {
+        if (v === null) {
+            delete out[k];
+        } else if (isPlainObject(v) && isPlainObject(out[k])) {
+            out[k] = mergeSchema(out[k], v);
+        } else if (isPlainObject(v)) {
+            out[k] = mergeSchema({}, v);
+        } else {
+            out[k] = Array.isArray(v) ? v.slice() : v;
+        }
+    }
+    return out;
+}
+
+function compareVersionsDesc(a, b) {
+    const pa = String(a).split('.').map(Number);
+    const pb = String(b).split('.').map(Number);
+    for (let i = 0; i < Math.max(pa.length, pb.length); i++) {
+        const d = (pb[i] || 0) - (pa[i] || 0);
+        if (d !== 0) return d;
+    }
+    return 0;
+}
@@ -0,0 +1,463 @@
+// js/DiagnosticsPanel.js
+// Diagnose-Overlay für den geladenen Datensatz (Reiter je Analyse, Export als JSON)
+// – Feldabdeckung: je Schema-Klasse, wie viele Datensätze jeden Feldpfad auflösen (siehe analysis/fieldCoverage.js)
+// – Integrität: ins Leere zeigende Referenzen, Waisen und doppelte IDs mit Sprung zur Fundstelle (siehe analysis/integrity.js)
+// – Abgleich: eingebettete vs. globale Elemente je ID (siehe analysis/reconciliation.js)
+// – Kantenlängen: deklarierte vs. geometrische Länge mit einstellbaren Toleranzen (siehe analysis/edgeLength.js)
+// – Lageabweichung: angegebene Koordinate vs. per IK projizierte Position (siehe analysis/positionDeviation.js)
+// Berichte werden beim Öffnen bzw. nach jedem Ladevorgang neu vom Controller geholt.
+
+import {downloadJSON, fileSafe} from './utils/download.js';
+
+export default class DiagnosticsPanel {
+    /**
+     * @param {Object} deps
+     * @param {import('./GraphController.js').default} deps.controller
+     */
+    constructor({controller} = {}) {
+        if (!controller) throw new Error('DiagnosticsPanel: controller ist erforderlich');
+        this.controller = controller;
+        this.tabs = [
+            {
+                id: 'coverage',
+                label: 'Feldabdeckung',
+                getReport: () => this.controller.getFieldCoverage(),
+                render: (el, report) => this._renderCoverage(el, report)
+            },
+            {
+                id: 'integrity',
+                label: 'Integrität',
+                getReport: () => this.controller.getIntegrityReport(),
+                render: (el, report) => this._renderIntegrity(el, report)
+            },
+            {
+                id: 'reconciliation',
+                label: 'Abgleich',
+                getReport: () => this.controller.getReconciliationReport(),
+                render: (el, report) => this._renderReconciliation(el, report)
+            },
+            {
+                id: 'edgeLength',
+                label: 'Kantenlängen',
+                getReport: () => this.controller.getEdgeLengthReport(),
+                render: (el, report) => this._renderEdgeLength(el, report)
+            },
+            {
+                id: 'deviation',
+                label: 'Lageabweichung',
+                getReport: () => this.controller.getPositionDeviationReport(),
+                render: (el, report) => this._renderDeviation(el, report)
+            }
+        ];
+        this.activeTab = this.tabs[0].id;
+        this._report = null;
+        this._build();
+        this.controller.bus?.on?.('graph:loaded', () => {
+            if (this.isOpen()) this.refresh();
+        });
+    }
+
+    isOpen() {
+        return !!this.root && !this.root.classList.contains('hidden');
+    }
+
+    open(tabId = null) {
+        if (tabId && this.tabs.some(t => t.id === tabId)) this.activeTab = tabId;
+        this.root.classList.remove('hidden');
+        this.root.setAttribute('aria-hidden', 'false');
+        document.addEventListener('keydown', this._onKey);
+        this.refresh();
+        this.els.closeBtn.focus();
+    }
+
+    close() {
+        this.root.classList.add('hidden');
+        this.root.setAttribute('aria-hidden', 'true');
+        document.removeEventListener('keydown', this._onKey);
+    }
+
+    /** Bericht des aktiven Reiters neu berechnen und darstellen */
+    refresh() {
+        const tab = this.tabs.find(t => t.id === this.activeTab) || this.tabs[0];
+        for (const btn of this.els.tabs.children) btn.classList.toggle('active', btn.dataset.tab === tab.id);
+        this.els.body.textContent = '';
+        try {
+            this._report = tab.getReport();
+        } catch (err) {
+            this._report = null;
+            this.els.body.appendChild(el('div', 'diag-empty', `Kein Bericht verfügbar: ${err?.message || err}`));
+            return;
+        }
+        tab.render(this.els.body, this._report);
+    }
+
+    exportReport() {
+        if (!this._report) return;
+        const f = this.controller.store?.fetcher;
+        const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+        downloadJSON(`isdp-${this.activeTab}_${fileSafe(f?.version)}_${fileSafe(f?.source?.label)}_${stamp}.json`, this._report, {pretty: true});
+    }
+
+    // ---------------- DOM ----------------
+    _build() {
+        const root = el('div', 'detail-overlay diagnostics-overlay hidden');
+        root.setAttribute('aria-hidden', 'true');
+        const backdrop = el('div', 'detail-overlay__backdrop');
+        const panel = el('div', 'detail-overlay__panel');
+        panel.setAttribute('role', 'dialog');
+        panel.setAttribute('aria-modal', 'true');
+
+        const header = el('div', 'detail-overlay__header');
+        const meta = el('div', 'detail-overlay__meta');
+        meta.append(el('div', 'detail-overlay__type', 'Diagnose'));
+        const tabs = el('div', 'diag-tabs');
+        for (const t of this.tabs) {
+            const b = el('button', 'btn btn-sm', t.label);
+            b.type = 'button';
+            b.dataset.tab = t.id;
+            b.addEventListener('click', () => {
+                this.activeTab = t.id;
+                this.refresh();
+            });
+            tabs.appendChild(b);
+        }
+        meta.append(tabs);
+        const actions = el('div', 'diag-actions');
+        const exportBtn = el('button', 'btn btn-sm', 'Export JSON');
+        exportBtn.type = 'button';
+        const closeBtn = el('button', 'detail-overlay__close btn btn-sm', 'close');
+        closeBtn.type = 'button';
+        actions.append(exportBtn, closeBtn);
+        header.append(meta, actions);
+
+        const body = el('div', 'detail-overlay__body diag-body');
+        panel.append(header, body);
+        root.append(backdrop, panel);
+        document.body.appendChild(root);
+
+        this.root = root;
+        this.els = {tabs, body, closeBtn, exportBtn};
+        this._onKey = (ev) => { if (ev.key === 'Escape') this.close(); };
+        backdrop.addEventListener('click', () => this.close());
+        closeBtn.addEventListener('click', () => this.close());
+        exportBtn.addEventListener('click', () => this.exportReport());
+    }
+
+    _renderCoverage(container, report) {
+        const classes = report?.classes || [];
+        if (!classes.length) {
+            container.appendChild(el('div', 'diag-empty', 'Keine Klassen im Schema.'));
+            return;
+        }
+        container.appendChild(el('div', 'diag-note',
+            `Schema ${report.schemaVersion ?? '—'} · Anteil der Datensätze, deren Feldpfad einen Wert liefert. Fehlende Pfade zeigen die Abbruchstelle und Beispiele aus den Rohdaten.`));
+
+        for (const c of classes) {
+            const section = el('section', 'diag-class');
+            const title = c.source === 'embedded' ? `${c.key} (Felder aus ${c.fieldsOf})` : c.key;
+            const head = el('h4', null, `${title} · ${c.records.toLocaleString()} Datensätze`);
+            if (c.state === 'failed') head.appendChild(el('span', 'diag-badge is-missing', 'nicht geladen'));
+            section.appendChild(head);
+
+            if (c.records && c.fields.length) {
+                const table = el('table', 'diag-table');
+                table.appendChild(row('th', ['Feld', 'Pfad', 'aufgelöst', 'Anteil', 'fehlt bei']));
+                for (const f of c.fields) {
+                    const tr = row('td', [
+                        f.field,
+                        f.path,
+                        `${f.resolved.toLocaleString()} / ${c.records.toLocaleString()}`,
+                        formatRatio(f.ratio),
+                        ''
+                    ]);
+                    tr.className = f.missing === 0 ? 'is-ok' : (f.resolved === 0 ? 'is-missing' : 'is-partial');
+                    if (f.missing) tr.lastChild.appendChild(missDetails(f));
+                    table.appendChild(tr);
+                }
+                section.appendChild(table);
+            }
+
+            if (c.records && c.elements?.length) {
+                const table = el('table', 'diag-table');
+                table.appendChild(row('th', ['Element', 'Pfad', 'Datensätze mit Einträgen', 'Einträge']));
+                for (const e of c.elements) {
+                    const tr = row('td', [e.element, e.path, e.recordsWithItems.toLocaleString(), e.items.toLocaleString()]);
+                    tr.className = e.items ? 'is-ok' : 'is-partial';
+                    table.appendChild(tr);
+                }
+                section.appendChild(table);
+            }
+            container.appendChild(section);
+        }
+    }
+
+    _renderIntegrity(container, report) {
+        const issues = report?.issues || [];
+        const groups = [
+            {type: 'dangling', title: 'Referenzen ins Leere'},
+            {type: 'orphan', title: 'Waisen'},
+            {type: 'duplicate', title: 'Doppelte IDs'}
+        ];
+        container.appendChild(el('div', 'diag-note', groups
+            .map(g => `${g.title}: ${(report?.summary?.[g.type] ?? 0).toLocaleString()}`).join(' · ')));
+        const status = el('div', 'diag-note');
+        container.appendChild(status);
+        if (!issues.length) {
+            container.appendChild(el('div', 'diag-empty', 'Keine Auffälligkeiten gefunden.'));
+            return;
+        }
+
+        for (const g of groups) {
+            const list = issues.filter(i => i.type === g.type);
+            if (!list.length) continue;
+            const section = el('section', 'diag-class');
+            section.appendChild(el('h4', null, `${g.title} · ${list.length.toLocaleString()}`));
+            // nach Kategorie gruppiert, lange Listen gekürzt (vollständig im Export)
+            const byCat = new Map();
+            for (const i of list) {
+                if (!byCat.has(i.category)) byCat.set(i.category, []);
+                byCat.get(i.category).push(i);
+            }
+            for (const [cat, items] of byCat) {
+                const d = document.createElement('details');
+                d.appendChild(el('summary', null, `${cat} (${items.length.toLocaleString()})`));
+                const ul = el('ul', 'diag-issues');
+                for (const i of items.slice(0, ISSUE_LIST_LIMIT)) {
+                    const li = el('li');
+                    li.appendChild(el('span', null, i.message));
+                    if (i.locateId != null) {
+                        const b = el('button', 'btn btn-sm', 'zeigen');
+                        b.type = 'button';
+                        b.addEventListener('click', () => this._locate(i.locateId, status));
+                        li.appendChild(b);
+                    }
+                    ul.appendChild(li);
+                }
+                if (items.length > ISSUE_LIST_LIMIT) {
+                    ul.appendChild(el('li', 'diag-more', `… ${(items.length - ISSUE_LIST_LIMIT).toLocaleString()} weitere (siehe Export)`));
+                }
+                d.appendChild(ul);
+                section.appendChild(d);
+            }
+            container.appendChild(section);
+        }
+    }
+
+    _renderReconciliation(container, report) {
+        const kinds = report?.kinds || [];
+        const tol = report?.tolerances || {};
+        container.appendChild(el('div', 'diag-note',
+            `Zuordnung per ID · Positionstoleranz ${tol.positionM ?? '—'} m · aktive Quelle in der Ansicht: ${this.controller.store?.elementSource ?? 'merged'}`));
+        const status = el('div', 'diag-note');
+        container.appendChild(status);
+
+        const table = el('table', 'diag-table');
+        table.appendChild(row('th', ['Element', 'eingebettet', 'global', 'zugeordnet', 'nur eingebettet', 'nur global', 'abweichend', 'ohne ID (e/g)']));
+        for (const k of kinds) {
+            const tr = row('td', [k.label, k.embedded, k.global, k.matched, k.onlyEmbedded.length, k.onlyGlobal.length,
+                k.differing.length, `${k.withoutId.embedded}/${k.withoutId.global}`].map(String));
+            const issues = k.onlyEmbedded.length + k.onlyGlobal.length + k.differing.length;
+            tr.className = issues ? 'is-partial' : 'is-ok';
+            table.appendChild(tr);
+        }
+        container.appendChild(table);
+
+        const fmt = (v) => (typeof v === 'number' ? v.toFixed(5) : String(v ?? '—'));
+        for (const k of kinds) {
+            const groups = [
+                ['nur eingebettet', k.onlyEmbedded.map(x => ({id: x.id, text: `${x.id}${x.name ? ` (${x.name})` : ''} auf ${x.edgeId ?? '—'}`}))],
+                ['nur global', k.onlyGlobal.map(x => ({id: x.id, text: `${x.id}${x.name ? ` (${x.name})` : ''} auf ${x.edgeId ?? '—'}`}))],
+                ['abweichend', k.differing.map(x => ({
+                    id: x.id,
+                    text: `${x.id}: ${x.diffs.map(d => d.field === 'position' && d.deltaM != null
+                        ? `Position Δ ${d.deltaM.toFixed(2)} m`
+                        : `${d.field} ${fmt(d.embedded)} ↔ ${fmt(d.global)}`).join(', ')}`
+                }))]
+            ];
+            for (const [title, items] of groups) {
+                if (!items.length) continue;
+                const d = document.createElement('details');
+                d.appendChild(el('summary', null, `${k.label} · ${title} (${items.length.toLocaleString()})`));
+                const ul = el('ul', 'diag-issues');
+                for (const it of items.slice(0, ISSUE_LIST_LIMIT)) {
+                    const li = el('li');
+                    li.appendChild(el('span', null, it.text));
+                    const b = el('button', 'btn btn-sm', 'zeigen');
+                    b.type = 'button';
+                    b.addEventListener('click', () => this._locate(it.id, status));
+                    li.appendChild(b);
+                    ul.appendChild(li);
+                }
+                if (items.length > ISSUE_LIST_LIMIT) {
+                    ul.appendChild(el('li', 'diag-more', `… ${(items.length - ISSUE_LIST_LIMIT).toLocaleString()} weitere (siehe Export)`));
+                }
+                d.appendChild(ul);
+                container.appendChild(d);
+            }
+        }
+    }
+
+    _renderEdgeLength(container, report) {
+        const tol = report?.tolerances || {};
+        const s = report?.summary || {};
+        container.appendChild(el('div', 'diag-note',
+            `Δ = geometrisch − deklariert · auffällig erst, wenn absolute UND relative Schwelle überschritten sind · ` +
+            `ok ${s.ok ?? 0} · Warnung ${s.warn ?? 0} · Fehler ${s.error ?? 0} · ohne Vergleich ${s.unknown ?? 0} · ` +
+            `IK-Bezug in der Ansicht: ${this.controller.store?.lengthSource ?? 'geometric'}`));
+
+        // Toleranzen bearbeiten (wirken auch auf die Einfärbung der Edges)
+        const form = el('form', 'diag-tolerances');
+        const inputs = {};
+        for (const [key, label, step] of [['warnM', 'Warnung [m]', '0.01'], ['warnRel', 'Warnung [rel]', '0.0001'],
+            ['errorM', 'Fehler [m]', '0.1'], ['errorRel', 'Fehler [rel]', '0.001']]) {
+            const lbl = el('label', null, `${label} `);
+            const inp = el('input', 'input input-sm');
+            inp.type = 'number';
+            inp.min = '0';
+            inp.step = step;
+            inp.value = String(tol[key] ?? '');
+            inputs[key] = inp;
+            lbl.appendChild(inp);
+            form.appendChild(lbl);
+        }
+        const apply = el('button', 'btn btn-sm', 'übernehmen');
+        apply.type = 'submit';
+        form.appendChild(apply);
+        form.addEventListener('submit', (ev) => {
+            ev.preventDefault();
+            const next = {};
+            for (const [key, inp] of Object.entries(inputs)) {
+                const v = Number(inp.value);
+                if (inp.value !== '' && Number.isFinite(v) && v >= 0) next[key] = v;
+            }
+            this.controller.setLengthTolerances(next);
+            this.refresh();
+        });
+        container.appendChild(form);
+        const status = el('div', 'diag-note');
+        container.appendChild(status);
+
+        const flagged = (report?.edges || []).filter(e => e.status === 'warn' || e.status === 'error');
+        if (!flagged.length) {
+            container.appendChild(el('div', 'diag-empty', 'Keine Abweichungen über den Toleranzen.'));
+            return;
+        }
+        const table = el('table', 'diag-table');
+        table.appendChild(row('th', ['Edge', 'Name', 'deklariert [m]', 'geometrisch [m]', 'Δ [m]', 'Δ rel', '']));
+        for (const e of flagged.slice(0, ISSUE_LIST_LIMIT)) {
+            const tr = row('td', [e.edgeId, e.name ?? '—', e.declaredM.toFixed(2), e.geometricM.toFixed(2),
+                `${e.deltaM >= 0 ? '+' : ''}${e.deltaM.toFixed(2)}`, `${(e.deltaRel * 100).toFixed(3)} %`, '']);
+            tr.className = e.status === 'error' ? 'is-missing' : 'is-partial';
+            const b = el('button', 'btn btn-sm', 'zeigen');
+            b.type = 'button';
+            b.addEventListener('click', () => this._locate(e.edgeId, status));
+            tr.lastChild.appendChild(b);
+            table.appendChild(tr);
+        }
+        container.appendChild(table);
+        if (flagged.length > ISSUE_LIST_LIMIT) {
+            container.appendChild(el('div', 'diag-more', `… ${(flagged.length - ISSUE_LIST_LIMIT).toLocaleString()} weitere (siehe Export)`));
+        }
+    }
+
+    _renderDeviation(container, report) {
+        const s = report?.summary || {};
+        container.appendChild(el('div', 'diag-note',
+            `Δ = Abstand zwischen geometricCoordinate und der per Edge + IK projizierten Position · ` +
+            `geprüft ${s.checked ?? 0} · Ausreißer ${s.outliers ?? 0} · nicht projizierbar ${s.unplaced ?? 0} · ` +
+            `IK-Bezug in der Ansicht: ${this.controller.store?.lengthSource ?? 'geometric'}`));
+
+        const form = el('form', 'diag-tolerances');
+        const lbl = el('label', null, 'Schwelle [m] ');
+        const inp = el('input', 'input input-sm');
+        inp.type = 'number';
+        inp.min = '0';
+        inp.step = '0.1';
+        inp.value = String(report?.thresholdM ?? '');
+        lbl.appendChild(inp);
+        const apply = el('button', 'btn btn-sm', 'übernehmen');
+        apply.type = 'submit';
+        form.append(lbl, apply);
+        form.addEventListener('submit', (ev) => {
+            ev.preventDefault();
+            const v = Number(inp.value);
+            if (inp.value === '' || !Number.isFinite(v) || v < 0) return;
+            this.controller.setDeviationThreshold(v);
+            this.refresh();
+        });
+        container.appendChild(form);
+        const status = el('div', 'diag-note');
+        container.appendChild(status);
+
+        const outliers = (report?.items || []).filter(i => i.outlier);
+        if (!outliers.length) {
+            container.appendChild(el('div', 'diag-empty', (report?.items || []).length
+                ? 'Keine Abweichungen über der Schwelle.'
+                : 'Keine Elemente mit geometricCoordinate im Datensatz.'));
+            return;
+        }
+        const fmtXY = (p) => p ? `${p.x.toFixed(2)}, ${p.y.toFixed(2)}` : '—';
+        const table = el('table', 'diag-table');
+        table.appendChild(row('th', ['Element', 'Typ', 'Edge', 'angegeben (x,y)', 'projiziert (x,y)', 'Δ [m]', '']));
+        for (const i of outliers.slice(0, ISSUE_LIST_LIMIT)) {
+            const tr = row('td', [i.id ?? '(ohne id)', i.label, i.edgeId, fmtXY(i.given), fmtXY(i.projected), i.deviationM.toFixed(2), '']);
+            tr.className = 'is-missing';
+            if (i.id != null) {
+                const b = el('button', 'btn btn-sm', 'zeigen');
+                b.type = 'button';
+                b.addEventListener('click', () => this._locate(i.id, status));
+                tr.lastChild.appendChild(b);
+            }
+            table.appendChild(tr);
+        }
+        container.appendChild(table);
+        if (outliers.length > ISSUE_LIST_LIMIT) {
+            container.appendChild(el('div', 'diag-more', `… ${(outliers.length - ISSUE_LIST_LIMIT).toLocaleString()} weitere (siehe Export)`));
+        }
+    }
+
+    async _locate(id, statusEl) {
+        const res = await this.controller.searchAndSelect(String(id));
+        if (res?.ok) {
+            this.close();
+        } else if (statusEl) {
+            statusEl.textContent = `${id} lässt sich nicht anzeigen: ${res?.reason || 'nicht gefunden'}`;
+        }
+    }
+}
+
+// ---------------- Helpers ----------------
+const ISSUE_LIST_LIMIT = 200;
+
+function el(tag, className = null, text = null) {
+    const n = document.createElement(tag);
+    if (className) n.className = className;
+    if (text != null) n.textContent = text;
+    return n;
+}
+
+function row(cellTag, values) {
+    const tr = document.createElement('tr');
+    for (const v of values) tr.appendChild(el(cellTag, null, v));
+    return tr;
+}
+
+function formatRatio(r) {
+    return r == null ? '—' : `${(r * 100).toLocaleString(undefined, {maximumFractionDigits: 1})} %`;
+}
+
+function missDetails(f) {
+    const d = document.createElement('details');
+    const top = f.failedAt?.[0];
+    d.appendChild(el('summary', null, `${f.missing.toLocaleString()}× ${top ? `ab „${top.at}“` : ''}`.trim()));
+    const list = el('ul', 'diag-samples');
+    for (const at of f.failedAt.slice(1, 4)) list.appendChild(el('li', null, `${at.count.toLocaleString()}× ab „${at.at}“`));
+    for (const s of f.missSamples) {
+        const li = el('li');
+        li.appendChild(el('span', 'diag-id', s.id != null ? String(s.id) : '(ohne id)'));
+        li.appendChild(el('code', null, `${s.parentPath} = ${s.parentValue}`));
+        list.appendChild(li);
+    }
+    d.appendChild(list);
+    return d;
+}
@@ -1,5 +1,11 @@
 import GraphDataStore from './GraphDataStore.js';
 import GraphProjector from './GraphProjector.js';
+import {DEFAULT_CRS} from '../config/CRS_DEFINITIONS.js';
+import {ensureCrs, hasCrs, isCrsReady, isGeoreferenced, toWgs84} from './utils/crs.js';
+import {viewToGeoJSON} from './utils/geojson.js';
+
+// Projektor-Optionen, die nur die Renderer auswerten – ändern sie sich, bleibt die zwischengespeicherte View gültig
+const RENDER_ONLY_OPTIONS = ['flipX', 'flipY', 'centerGraph', 'zoomTo', 'zoomToTarget'];
 
 export default class GraphController {
     constructor({store, projector, locatedRenderer, dynamicRenderer, bus} = {}) {
@@ -19,9 +25,12 @@ export default class GraphController {
         this.projectorOptions = {maxChord: 1, includeSpeed: true, includeTopEdges: true, includeTdsSections: true};
         this.selection = new Set();
         this.hover = null;
+        this.crs = DEFAULT_CRS; // CRS der lokalen Koordinaten (siehe config/CRS_DEFINITIONS.js)
 
         this._isLoading = false;
         this._lastView = null;
+        this._lastError = null;
+        this._viewCache = {located: null, dynamic: null, search: null}; // je Slot {key, view}, siehe _cachedView
     }
 
     /** Zentriert und skaliert den Graph so, dass er voll sichtbar ist */
@@ -40,20 +49,221 @@ export default class GraphController {
     }
 
     async loadFromISDP() {
-        console.log('GraphController.loadFromISDP: Start loading data.');
+        const onProgress = (classes) => this.bus.emit('graph:loadProgress', {classes});
+        return this._runLoad('loadFromISDP', () => this.store.loadAll({onProgress}));
+    }
+
+    /** Nur die fehlgeschlagenen Klassen des letzten Server-Abrufs neu laden; übrige Daten bleiben erhalten. */
+    async retryFailedClasses() {
+        const onProgress = (classes) => this.bus.emit('graph:loadProgress', {classes});
+        return this._runLoad('retryFailedClasses', () => this.store.retryFailed({onProgress}));
+    }
+
+    /** Lade-Report je Klasse (ok/failed, Anzahl, Dauer, HTTP-Status/Fehler) */
+    getLoadReport() {
+        return this.store.getLoadReport();
+    }
+
+    /**
+     * Offline-Datensatz laden (Server-Antworten je Klasse, z. B. aus ISDPDumpReader).
+     * @param {Object<string,*>} payloads
+     * @param {{source?:string}} [opts]
+     */
+    async loadFromDump(payloads, opts = {}) {
+        return this._runLoad('loadFromDump', () => this.store.loadFromPayloads(payloads, opts));
+    }
+
+    /**
+     * Exportierten Snapshot wieder öffnen (inkl. Schema-Version des Snapshots).
+     * @param {Object} snapshot
+     * @param {{sourceType?:'snapshot'|'cache'}} [opts]
+     */
+    async loadFromSnapshot(snapshot, opts = {}) {
+        return this._runLoad('loadFromSnapshot', () => this.store.loadFromSnapshot(snapshot, opts));
+    }
+
+    /**
+     * Server im Hintergrund erneut abfragen und Änderungen gegenüber dem geladenen Datensatz ermitteln.
+     * Der angezeigte Datensatz bleibt unverändert, bis applyUpdate aufgerufen wird.
+     * @returns {Promise<{changed:string[], failed:string[]}|null>} null bei Fehler (siehe lastError)
+     */
+    async checkForUpdates() {
+        try {
+            const update = await this.store.checkForUpdates({
+                onProgress: (done, total) => this.bus.emit('graph:updateProgress', {done, total})
+            });
+            return update;
+        } catch (err) {
+            console.error('GraphController.checkForUpdates failed:', err);
+            this._lastError = err;
+            return null;
+        }
+    }
+
+    /** Ergebnis von checkForUpdates übernehmen (nur geänderte Klassen werden ersetzt). */
+    async applyUpdate(update) {
+        return this._runLoad('applyUpdate', () => this.store.applyUpdate(update));
+    }
+
+    /** Feldabdeckung je Schema-Klasse (Diagnose: welche Pfade lösen in den Rohdaten auf) */
+    getFieldCoverage() {
+        return this.store.getFieldCoverage();
+    }
+
+    /** Integritätsprüfung (verwaiste/ins Leere zeigende Referenzen, doppelte IDs) */
+    getIntegrityReport() {
+        return this.store.getIntegrityReport();
+    }
+
+    /** Geometrie-QA (Lücken, Überlappungen, umgedrehte Elemente, Knicke) über alle Edges */
+    getGeometryReport() {
+        return this.store.getGeometryReport();
+    }
+
+    /** Deklarierte vs. geometrische Kantenlänge je Edge */
+    getEdgeLengthReport() {
+        return this.store.getEdgeLengthReport();
+    }
+
+    /** Angegebene vs. projizierte Lage von Signalen und TDS-Komponenten */
+    getPositionDeviationReport() {
+        return this.store.getPositionDeviationReport();
+    }
+
+    /** Ausreißer-Schwelle der Lageabweichung [m]; Overlay folgt beim nächsten Rendern */
+    setDeviationThreshold(thresholdM) {
+        this.store.setDeviationThreshold(thresholdM);
+        this.refreshView();
+    }
+
+    /** Abgleich eingebetteter vs. globaler Elemente */
+    getReconciliationReport() {
+        return this.store.getReconciliationReport();
+    }
+
+    /**
+     * Herkunft der dargestellten Elemente umschalten ('merged'|'embedded'|'global').
+     * @param {string} source
+     */
+    setElementSource(source) {
+        if (this.store.elementSource === source) return;
+        this.store.setElementSource(source);
+        this.bus.emit('graph:elementSourceChanged', {source});
+        this.refreshView();
+    }
+
+    /**
+     * Bezugslänge der IK-Projektion umschalten ('geometric' | 'declared', siehe GraphDataStore.setLengthSource).
+     * @param {string} source
+     */
+    setLengthSource(source) {
+        if (this.store.lengthSource === source) return;
+        this.store.setLengthSource(source);
+        this.bus.emit('graph:lengthSourceChanged', {source});
+        this.refreshView();
+    }
+
+    /** Toleranzen des Längenberichts setzen; Einfärbung der Edges folgt beim nächsten Rendern */
+    setLengthTolerances(tolerances) {
+        this.store.setLengthTolerances(tolerances);
+        this.refreshView();
+    }
+
+    /** Level of Detail der Lageansicht (Polylinien-Toleranz in Metern, 0 = exakt); vom Renderer je Zoomband gemeldet */
+    setLodTolerance(tolerance) {
+        const tol = tolerance > 0 ? tolerance : 0;
+        if ((this.projectorOptions.lodTolerance ?? 0) === tol) return;
+        this.setProjectorOptions({lodTolerance: tol});
+    }
+
+    /**
+     * Zeichen-Backend der Lageansicht wählen (nur mit umschaltbarem Renderer, siehe LocatedRendererSwitch).
+     * @param {'auto'|'svg'|'canvas'} backend 'auto' = Canvas ab dem Objekt-Schwellwert
+     */
+    setRendererBackend(backend) {
+        if (typeof this.locatedRenderer.setBackend !== 'function') return;
+        this.locatedRenderer.setBackend(backend);
+        this.refreshView();
+        this.bus.emit('graph:rendererChanged', {backend, active: this.locatedRenderer.activeBackend ?? null});
+    }
+
+    /** Objektanzahl, ab der das Backend 'auto' per Canvas statt SVG zeichnet */
+    setCanvasThreshold(n) {
+        if (typeof this.locatedRenderer.setCanvasThreshold !== 'function') return;
+        this.locatedRenderer.setCanvasThreshold(n);
+        this.refreshView();
+        this.bus.emit('graph:rendererChanged', {backend: this.locatedRenderer.backend, active: this.locatedRenderer.activeBackend ?? null});
+    }
+
+    /**
+     * CRS der GeoNode-Koordinaten setzen; bestimmt Lat/Lon-Anzeige und GeoJSON-Export, nicht die Darstellung.
+     * @param {string} code z. B. 'EPSG:31467' oder 'local'
+     */
+    setCrs(code) {
+        if (!hasCrs(code)) throw new Error(`GraphController: unbekanntes CRS ${code}`);
+        if (this.crs === code) return;
+        this.crs = code;
+        this.bus.emit('graph:crsChanged', {crs: code});
+        // proj4 kommt erst mit dem ersten georeferenzierten CRS; nach dem Laden Anzeige erneut anstoßen
+        if (isGeoreferenced(code) && !isCrsReady(code)) {
+            ensureCrs(code)
+                .then(() => { if (this.crs === code) this.bus.emit('graph:crsChanged', {crs: code}); })
+                .catch(err => this.bus.emit('graph:error', {where: 'setCrs', error: String(err)}));
+        }
+    }
+
+    /** Lokale XY -> {lat, lon} im gewählten CRS; null ohne Georeferenz oder solange proj4 lädt */
+    toWgs84(xy) {
+        return toWgs84(this.crs, xy);
+    }
+
+    /**
+     * Lageansicht (aktuelle Projektor-Optionen) als GeoJSON.
+     * @param {{target?:'local'|'wgs84'}} [opts] 'wgs84' = [lon, lat] nach RFC 7946, 'local' = Rohkoordinaten mit crs-Member
+     * @returns {Promise<Object>} FeatureCollection (für 'wgs84' wird proj4 bei Bedarf erst geladen)
+     */
+    async exportGeoJSON({target = 'local'} = {}) {
+        const wgs = target === 'wgs84';
+        if (wgs && !isGeoreferenced(this.crs)) throw new Error('WGS84-Export braucht ein georeferenziertes CRS');
+        if (wgs) await ensureCrs(this.crs);
+        const view = this.projector.makeLocatedView({...this.projectorOptions, centerGraph: false, zoomTo: null, lodTolerance: 0});
+        const round = (v, d) => Math.round(v * 10 ** d) / 10 ** d;
+        const mapXY = wgs
+            ? (xy) => {
+                const ll = toWgs84(this.crs, xy);
+                return ll ? [round(ll.lon, 8), round(ll.lat, 8)] : null;
+            }
+            : (xy) => (Number.isFinite(xy?.x) && Number.isFinite(xy?.y)) ? [round(xy.x, 3), round(xy.y, 3)] : null;
+        const crsName = !wgs && this.crs.startsWith('EPSG:') ? `urn:ogc:def:crs:EPSG::${this.crs.slice(5)}` : null;
+        const f = this.store.fetcher;
+        return viewToGeoJSON(view, {
+            mapXY,
+            crsName,
+            properties: {name: `ISDP ${f?.version ?? ''} ${f?.source?.label ?? ''}`.trim(), sourceCrs: this.crs}
+        });
+    }
+
+    /** Snapshot des aktuell geladenen Datensatzes (Rohdaten + Version/Quelle/Zeitpunkt) */
+    getSnapshot() {
+        return this.store.toSnapshot();
+    }
+
+    async _runLoad(where, loader) {
+        console.log(`GraphController.${where}: Start loading data.`);
         if (this._isLoading) return false;
         this._isLoading = true;
+        this._lastError = null;
         try {
             this.bus.emit('graph:loading');
-            await this.store.loadAll();
-            console.log('GraphController.loadFromISDP: Data loaded, projecting view.');
+            await loader();
+            console.log(`GraphController.${where}: Data loaded, projecting view.`);
             this.bus.emit('graph:loaded');
             this.refreshView();
             return true;
         } catch (err) {
-            console.log('GraphController.loadFromISDP: Error loading data:', err);
-            console.error('GraphController.loadFromISDP failed:', err);
-            this.bus.emit('graph:error', {where: 'loadFromISDP', error: String(err)});
+            console.error(`GraphController.${where} failed:`, err);
+            this.bus.emit('graph:error', {where, error: String(err)});
+            this._lastError = err;
             return false;
         } finally {
             this._isLoading = false;
@@ -94,10 +304,13 @@ export default class GraphController {
 
             let view;
             if (this.mode === 'located') {
-                view = this.projector.makeLocatedView(this.projectorOptions);
+                view = this._cachedView('located', this.projectorOptions);
                 this.locatedRenderer.update(view, state);
             } else {
-                view = this.projector.makeDynamicView({includeSpeed: this.projectorOptions.includeSpeed});
+                view = this._cachedView('dynamic', {
+                    includeSpeed: this.projectorOptions.includeSpeed,
+                    includeStations: this.projectorOptions.includeStations
+                });
                 this.dynamicRenderer.update(view, state);
             }
 
@@ -119,6 +332,23 @@ export default class GraphController {
         }
     }
 
+    // Projektion nur bei geändertem Store-Stand (store.revision) oder projektionsrelevanten Optionen neu berechnen.
+    // Auswahl, Filter, Flip und Zoom-Ziele rendern die gleiche View – die Renderer erkennen sie an der Identität.
+    // slot trennt Nebennutzungen (Suche) vom Anzeige-Slot des Modus, damit sie sich nicht gegenseitig verdrängen;
+    // passt die Projektion zum Anzeige-Slot, wird dessen View mitbenutzt.
+    _cachedView(mode, opts, slot = mode) {
+        const projection = Object.fromEntries(Object.entries(opts || {}).filter(([k]) => !RENDER_ONLY_OPTIONS.includes(k)));
+        // Funktionen (edgeFilter) lassen sich nicht vergleichen → nicht zwischenspeichern
+        const cacheable = !Object.values(projection).some(v => typeof v === 'function');
+        const key = JSON.stringify({revision: this.store.revision, ...projection});
+        for (const hit of [this._viewCache[slot], this._viewCache[mode]]) {
+            if (cacheable && hit?.key === key) return hit.view;
+        }
+        const view = mode === 'located' ? this.projector.makeLocatedView(opts) : this.projector.makeDynamicView(opts);
+        this._viewCache[slot] = cacheable ? {key, view} : null;
+        return view;
+    }
+
     select(ids) {
         if (!ids) return;
         this.selection = new Set(ids);
@@ -165,8 +395,23 @@ export default class GraphController {
         this.bus.emit('graph:resize', {width, height});
     }
 
+    /**
+     * Mausposition der Lageansicht aufs nächste Gleis fangen (inverse Projektion).
+     * @param {{x:number, y:number, tolerance?:number}|null} pos Datenkoordinaten; null = Maus hat die Ansicht verlassen
+     */
+    pickTrackPosition(pos) {
+        const hit = pos ? this.store.nearestPointOnTrack(pos, {maxDistance: pos.tolerance ?? Infinity}) : null;
+        this.hover = hit;
+        this.locatedRenderer.showSnap?.(hit);
+        this.bus.emit('graph:pointer', {xy: pos ? {x: pos.x, y: pos.y} : null, hit});
+        return hit;
+    }
+
     lastView() { return this._lastView; }
 
+    /** Letzter Fehler eines Ladevorgangs (für Statusmeldungen) */
+    lastError() { return this._lastError; }
+
     /**
      * Suche nach Elementen oder Kanten per ID oder Name. Fügt Treffer zur Selection hinzu und zoomt auf die Position.
      * @param {string} query
@@ -177,8 +422,10 @@ export default class GraphController {
             const q = String(query || '').trim();
             if (!q) return {ok: false, reason: 'Leere Suchanfrage'};
 
-            // Verwende eine Located-View für Suche & XY-Ermittlung (unabhängig vom aktuellen Modus)
-            const view = this.projector.makeLocatedView(this.projectorOptions || {});
+            // Verwende eine Located-View für Suche & XY-Ermittlung (unabhängig vom aktuellen Modus);
+            // Bahnhöfe und QA-Marker immer mitnehmen, damit sie auch bei ausgeblendeter Ebene auffindbar sind.
+            // Zwischengespeichert wie die Anzeige: wiederholte Suchen (z. B. "zeigen" in der Diagnose) projizieren nicht neu
+            const view = this._cachedView('located', {...(this.projectorOptions || {}), includeStations: true, includeGeometryQA: true}, 'search');
             const elems = view?.elements || {};
             const edgesGeo = view?.geo_edges || [];
             const topEdges = view?.top_edges || [];
@@ -200,7 +447,9 @@ export default class GraphController {
 
             const byIdElem = (id) => {
                 const match = (arr) => (arr || []).find(d => d?.id != null && eq(d.id, id));
-                return match(elems.balises) || match(elems.signals) || match(elems.tds_components) || null;
+                return match(elems.balises) || match(elems.signals) || match(elems.tds_components) ||
+                    match(elems.switches) || match(elems.buffer_stops) || match(elems.level_crossings) || match(elems.platforms) ||
+                    match(elems.stations) || match(view?.overlays?.geometry_qa) || null;
             };
 
             const byNameElem = (pred) => {
@@ -208,7 +457,9 @@ export default class GraphController {
                     const name = norm(d?.name ?? d?.label ?? d?.id ?? '');
                     return name && pred(name);
                 });
-                return match(elems.balises) || match(elems.signals) || match(elems.tds_components) || null;
+                return match(elems.balises) || match(elems.signals) || match(elems.tds_components) ||
+                    match(elems.switches) || match(elems.buffer_stops) || match(elems.level_crossings) || match(elems.platforms) ||
+                    match(elems.stations) || null;
             };
 
             const byIdNode = (id) => {
@@ -11,7 +11,19 @@
 //  - Caches für Segmentzerlegung pro Edge
 
 import ISDPDataFetcher from "./ISDPDataFetcher.js";
-import {buildOrderedSegments, projectIK_Ordered} from "./PathSegmentsOrdered.js";
+import {buildOrderedSegments, nearestOnSegments, projectIK_Ordered, sampleClothoid, tangentIK_Ordered} from "./PathSegmentsOrdered.js";
+import {computeFieldCoverage} from "./analysis/fieldCoverage.js";
+import {computeIntegrity} from "./analysis/integrity.js";
+import {computeReconciliation} from "./analysis/reconciliation.js";
+import {computeEdgeLengthReport} from "./analysis/edgeLength.js";
+import {computePositionDeviation, DEFAULT_DEVIATION_THRESHOLD_M} from "./analysis/positionDeviation.js";
+import {boxDistance, boxOfPoints, SpatialIndex} from "./utils/spatialIndex.js";
+
+export const ELEMENT_SOURCES = ['merged', 'embedded', 'global'];
+// Bezugslänge für IK-Projektion: 'geometric' = aus der Segmentkette, 'declared' = TrackEdge.edgeLength
+export const LENGTH_SOURCES = ['geometric', 'declared'];
+// Rand um die gesampelten Edge-Boxen (m): deckt die Pfeilhöhe von Bögen zwischen den 5-m-Stützpunkten ab
+const EDGE_BOX_PAD = 1;
 
 /** @typedef {{x:number,y:number}} XY */
 
@@ -24,15 +36,188 @@ export default class GraphDataStore {
             throw new Error("GraphDataStore: fetcher muss eine ISDPDataFetcher-Instanz sein.");
         }
         this.fetcher = fetcher;
+        this.elementSource = 'merged'; // siehe setElementSource
+        this.lengthSource = 'geometric'; // siehe setLengthSource
+        this.lengthTolerances = {}; // Überschreibungen für den Längenbericht (siehe analysis/edgeLength.js)
+        this.deviationThresholdM = DEFAULT_DEVIATION_THRESHOLD_M; // siehe setDeviationThreshold
+        this.revision = 0; // steigt bei jeder Änderung, die projizierte Views ungültig macht (View-Cache des Controllers)
         this._clear();
     }
 
-    /** Lädt alle Daten über den Fetcher und spiegelt anschließend die Indizes. */
-    async loadAll() {
-        await this.fetcher.loadAll();
+    /**
+     * Lädt alle Daten über den Fetcher und spiegelt anschließend die Indizes.
+     * @param {{onProgress?:Function}} [opts] wird an ISDPDataFetcher.loadAll durchgereicht
+     */
+    async loadAll(opts = {}) {
+        const report = await this.fetcher.loadAll(opts);
+        this._rebuildIndices();
+        return report;
+    }
+
+    /** Nur fehlgeschlagene Klassen erneut abrufen (ISDPDataFetcher.retryFailed) und Indizes spiegeln. */
+    async retryFailed(opts = {}) {
+        const report = await this.fetcher.retryFailed(opts);
+        this._rebuildIndices();
+        return report;
+    }
+
+    /** Status je Klasse des letzten Ladevorgangs (siehe ISDPDataFetcher.getLoadReport) */
+    getLoadReport() { return this.fetcher.getLoadReport(); }
+
+    /** Offline-Import: Server-Antworten je Klasse (siehe ISDPDumpReader) normalisieren und Indizes spiegeln. */
+    async loadFromPayloads(payloads, opts = {}) {
+        this.fetcher.loadFromPayloads(payloads, opts);
         this._rebuildIndices();
     }
 
+    /** Exportierten Snapshot (ISDPDataFetcher.toSnapshot) wieder öffnen. */
+    async loadFromSnapshot(snapshot, opts = {}) {
+        this.fetcher.loadFromSnapshot(snapshot, opts);
+        this._rebuildIndices();
+    }
+
+    /** Server-Daten erneut abrufen und mit dem geladenen Datensatz vergleichen (ändert nichts). */
+    checkForUpdates(opts = {}) { return this.fetcher.checkForUpdates(opts); }
+
+    /** Ergebnis von checkForUpdates übernehmen und Indizes spiegeln. */
+    async applyUpdate(update) {
+        this.fetcher.applyUpdate(update);
+        this._rebuildIndices();
+    }
+
+    /** Wertetabelle einer Schema-Enumeration (siehe ISDP_SCHEMA.enums) oder null */
+    getSchemaEnum(name) { return this.fetcher.schema?.enums?.[name] || null; }
+
+    /** Feldabdeckung je Schema-Klasse für den geladenen Datensatz (einmal pro Ladevorgang berechnet) */
+    getFieldCoverage() {
+        if (!this._fieldCoverage) {
+            this._fieldCoverage = computeFieldCoverage(this.fetcher.schema, this.fetcher.raw, this.fetcher.classStatus);
+        }
+        return this._fieldCoverage;
+    }
+
+    /** Referenzielle Integrität (dangling/orphan/duplicate) des geladenen Graphen */
+    getIntegrityReport() {
+        if (!this._integrity) this._integrity = computeIntegrity(this);
+        return this._integrity;
+    }
+
+    /**
+     * Herkunft der dargestellten Balisen/Signale/TDS-Komponenten wählen.
+     * 'merged' = Vereinigung (eingebettet hat Vorrang), 'embedded' = nur TrackEdge-Listen, 'global' = nur Klassen-Endpunkte
+     */
+    setElementSource(source) {
+        if (!ELEMENT_SOURCES.includes(source)) throw new Error(`GraphDataStore: unbekannte Elementquelle ${source}`);
+        this.elementSource = source;
+        this._applyElementSource();
+        this._positionDeviation = null;
+        this.revision++;
+    }
+
+    /** Element-Indizes einer Quelle (für Abgleich/Analyse, unabhängig von der aktiven Auswahl) */
+    getElementIndex(source = this.elementSource) {
+        if (source === 'embedded') return this.fetcher.embeddedIndex;
+        if (source === 'global') return this.fetcher.globalIndex;
+        return {
+            balisesByEdge: this.fetcher.balisesByEdge,
+            signalsByEdge: this.fetcher.signalsByEdge,
+            tdsComponentsByEdge: this.fetcher.tdsComponentsByEdge
+        };
+    }
+
+    /** Geometrie-QA einer Edge (Lücken, Überlappungen, umgedrehte Elemente, Knicke) aus dem Segmentaufbau */
+    getGeometryIssues(edgeId) {
+        const packed = this._getPathSegments(edgeId);
+        return (packed?.issues || []).map((i, n) => ({id: `qa:${edgeId}:${n}`, edgeId, ...i}));
+    }
+
+    /** Geometrie-QA über alle Edges (einmal pro Ladevorgang berechnet) */
+    getGeometryReport() {
+        if (!this._geometryQA) {
+            const issues = this.getAllEdges().flatMap(e => this.getGeometryIssues(e.id));
+            const summary = {gap: 0, overlap: 0, reversed: 0, tangency: 0};
+            for (const i of issues) summary[i.type]++;
+            this._geometryQA = {generatedAt: new Date().toISOString(), summary, issues};
+            this._geometryIssuesById = new Map(issues.map(i => [i.id, i]));
+        }
+        return this._geometryQA;
+    }
+
+    getGeometryIssue(id) {
+        this.getGeometryReport();
+        return this._geometryIssuesById.get(id) || null;
+    }
+
+    /**
+     * Bezugslänge für projectIntrinsicToXY wählen (siehe LENGTH_SOURCES).
+     * Bei 'declared' werden IK (0..1) mit der deklarierten Länge in Meter umgerechnet und entlang der
+     * Geometrie abgetragen; fehlt die deklarierte Länge, gilt die geometrische.
+     */
+    setLengthSource(source) {
+        if (!LENGTH_SOURCES.includes(source)) throw new Error(`GraphDataStore: unbekannte Längenquelle ${source}`);
+        this.lengthSource = source;
+        this._positionDeviation = null;
+        this.revision++;
+    }
+
+    /** Toleranzen des Längenberichts überschreiben ({warnM, warnRel, errorM, errorRel}) */
+    setLengthTolerances(tolerances = {}) {
+        this.lengthTolerances = {...this.lengthTolerances, ...tolerances};
+        this._edgeLengthReport = null;
+        this.revision++;
+    }
+
+    /** Deklarierte vs. geometrische Kantenlänge je Edge */
+    getEdgeLengthReport() {
+        if (!this._edgeLengthReport) {
+            this._edgeLengthReport = computeEdgeLengthReport(this, this.lengthTolerances);
+            this._edgeLengthById = new Map(this._edgeLengthReport.edges.map(r => [r.edgeId, r]));
+        }
+        return this._edgeLengthReport;
+    }
+
+    /** Zeile des Längenberichts für eine Edge oder null */
+    getEdgeLengthCheck(edgeId) {
+        this.getEdgeLengthReport();
+        return this._edgeLengthById.get(edgeId) || null;
+    }
+
+    /** Schwelle [m], ab der eine Lageabweichung als Ausreißer gilt */
+    setDeviationThreshold(thresholdM) {
+        const v = Number(thresholdM);
+        if (!Number.isFinite(v) || v < 0) throw new Error(`GraphDataStore: ungültige Abweichungsschwelle ${thresholdM}`);
+        this.deviationThresholdM = v;
+        this._positionDeviation = null;
+        this.revision++;
+    }
+
+    /** Angegebene (geometricCoordinate) vs. per IK projizierte Lage von Signalen und TDS-Komponenten */
+    getPositionDeviationReport() {
+        if (!this._positionDeviation) {
+            this._positionDeviation = computePositionDeviation(this, {thresholdM: this.deviationThresholdM});
+            this._positionDeviationById = new Map();
+            for (const it of this._positionDeviation.items) {
+                if (it.id != null && !this._positionDeviationById.has(it.id)) this._positionDeviationById.set(it.id, it);
+            }
+        }
+        return this._positionDeviation;
+    }
+
+    /** Eintrag des Abweichungsberichts für ein Element oder null (nur Elemente mit eigener Koordinate) */
+    getPositionDeviation(elementId) {
+        this.getPositionDeviationReport();
+        return this._positionDeviationById.get(elementId) || null;
+    }
+
+    /** Abgleich eingebetteter vs. globaler Elemente (nur in einer Quelle, abweichende Position/Name) */
+    getReconciliationReport() {
+        if (!this._reconciliation) this._reconciliation = computeReconciliation(this);
+        return this._reconciliation;
+    }
+
+    /** Rohdaten + Metadaten des geladenen Datensatzes als Snapshot-Objekt */
+    toSnapshot() { return this.fetcher.toSnapshot(); }
+
     // ---------------- Public Selectors ----------------
     getNode(id) { return this.nodesById.get(id) || null; }
     getEdge(id) { return this.edgesById.get(id) || null; }
@@ -41,6 +226,24 @@ export default class GraphDataStore {
     getAllNodes() { return Array.from(this.nodesById.values()); }
     getAllEdges() { return Array.from(this.edgesById.values()); }
 
+    // Alle normalisierten Elemente (inkl. solcher ohne/mit unbekanntem Kantenbezug)
+    getAllBalises() { return this.balises; }
+    getAllSignals() { return this.signals; }
+    getAllTdsComponents() { return this.tdsComponents; }
+    getAllTdsSections() { return this.tdsSections; }
+    getAllSwitches() { return this.switches; }
+    getAllBufferStops() { return this.bufferStops; }
+    getAllLevelCrossings() { return this.levelCrossings; }
+    getAllPlatformEdges() { return this.platformEdges; }
+
+    // Bahnhöfe (je ID zusammengefasst, `parts` = Teilstücke je Edge)
+    getAllStations() { return this.stations; }
+    getStation(id) { return this.stationsById.get(id) || null; }
+
+    // Stützpunkte der Geometrie (TrackEdge.trackPoints)
+    getAllTrackPoints() { return this.trackPoints; }
+    getTrackPoint(id) { return this.trackPointsById.get(id) || null; }
+
     getEdgeLabel(edgeId) {
         const e = this.getEdge(edgeId);
         return e?.name ?? e?.s_name ?? e?.isdmName ?? null;
@@ -63,8 +266,29 @@ export default class GraphDataStore {
     getTrackPointsByEdge(edgeId) { return this.trackPointsByEdge.get(edgeId) || []; }
     getStationsByEdge(edgeId) { return this.stationsByEdge.get(edgeId) || []; }
 
+    // Infrastruktur auf Edge (Weichen, Prellböcke, Bahnübergänge, Bahnsteigkanten)
+    getSwitchesByEdge(edgeId) { return this.switchesByEdge.get(edgeId) || []; }
+    getBufferStopsByEdge(edgeId) { return this.bufferStopsByEdge.get(edgeId) || []; }
+    getLevelCrossingsByEdge(edgeId) { return this.levelCrossingsByEdge.get(edgeId) || []; }
+    getPlatformEdgesByEdge(edgeId) { return this.platformEdgesByEdge.get(edgeId) || []; }
+
+    /** Deklarierte Länge (TrackEdge.edgeLength) */
     getEdgeLength(edgeId) { return this.edgesById.get(edgeId)?.lengthM ?? null; }
 
+    /** Aus der Segmentkette berechnete Länge */
+    getGeometricLength(edgeId) {
+        const L = this._getPathSegments(edgeId)?.length;
+        return L > 0 ? L : null;
+    }
+
+    /** Länge, auf die sich IK in projectIntrinsicToXY beziehen (siehe setLengthSource) */
+    getProjectionLength(edgeId) {
+        const geo = this.getGeometricLength(edgeId);
+        if (this.lengthSource !== 'declared') return geo;
+        const declared = this.getEdgeLength(edgeId);
+        return Number.isFinite(declared) && declared > 0 ? declared : geo;
+    }
+
     /** Zusammenfassung aller Inhalte einer Edge (für Debug/Inspektion) */
     listEdgeContent(edgeId) {
         return {
@@ -79,6 +303,10 @@ export default class GraphDataStore {
             speedSegs: this.getSpeedByEdge(edgeId).length,
             trackPoints: this.getTrackPointsByEdge(edgeId).length,
             stations: this.getStationsByEdge(edgeId).length,
+            switches: this.getSwitchesByEdge(edgeId).length,
+            bufferStops: this.getBufferStopsByEdge(edgeId).length,
+            levelCrossings: this.getLevelCrossingsByEdge(edgeId).length,
+            platformEdges: this.getPlatformEdgesByEdge(edgeId).length,
             geoElementsRaw: this.getGeoElementsRawByEdge(edgeId).length,
         };
     }
@@ -87,12 +315,12 @@ export default class GraphDataStore {
 
     /**
      * IK (0..1 **oder** Meter) entlang der Pfadgeometrie -> XY
-     * - Wenn 0..1 übergeben wird, wird intern mit der Gesamtlänge multipliziert.
+     * - Wenn 0..1 übergeben wird, wird intern mit der Bezugslänge (getProjectionLength) multipliziert.
      * - Wenn ein Wert >1 übergeben wird, wird er als Meter interpretiert.
+     * Meter jenseits der Geometrie werden auf deren Ende begrenzt.
      */
     projectIntrinsicToXY(edgeId, ikOrMeters) {
-        const packed = buildOrderedSegments(this, edgeId);
-        const total = (packed?.length ?? packed?.totalLen ?? 0);
+        const total = this.getProjectionLength(edgeId) ?? 0;
         if (!(total > 0)) return null;
         const v = Number(ikOrMeters);
         if (!Number.isFinite(v)) return null;
@@ -100,7 +328,68 @@ export default class GraphDataStore {
         return projectIK_Ordered(this, edgeId, meters);
     }
 
-    /** Polylinien (Lines/Transitions) + Arcs als Liniensegmente (gesampelt) */
+    /** Fahrtrichtung A->B als Einheitsvektor an IK (0..1) bzw. Meterposition, gleiche Konvention wie projectIntrinsicToXY */
+    tangentAtIntrinsic(edgeId, ikOrMeters) {
+        const total = this.getProjectionLength(edgeId) ?? 0;
+        if (!(total > 0)) return null;
+        const v = Number(ikOrMeters);
+        if (!Number.isFinite(v)) return null;
+        return tangentIK_Ordered(this, edgeId, (v >= 0 && v <= 1) ? (v * total) : v);
+    }
+
+    /**
+     * Inverse Projektion XY -> Lage auf einer Edge (Fußpunkt auf der Segmentkette).
+     * distanceM und intrinsic laufen von A nach B (intrinsic bezogen auf getProjectionLength),
+     * intrinsicRef vom RefNode aus; lateralOffsetM > 0 = links in Richtung A->B.
+     */
+    nearestPointOnEdge(edgeId, xy) {
+        if (!Number.isFinite(xy?.x) || !Number.isFinite(xy?.y)) return null;
+        const hit = nearestOnSegments(this._getPathSegments(edgeId), xy);
+        if (!hit) return null;
+        const total = this.getProjectionLength(edgeId);
+        const intrinsic = total > 0 ? hit.s / total : null;
+        return {
+            edgeId,
+            x: hit.x,
+            y: hit.y,
+            distanceM: hit.s,
+            intrinsic,
+            intrinsicRef: intrinsic == null ? null : this._toAB(this.getEdge(edgeId), intrinsic),
+            lateralOffsetM: hit.lateral,
+            dist: hit.dist
+        };
+    }
+
+    /**
+     * Nächstgelegene Edge zu XY (nur Edges, deren Bounding-Box innerhalb maxDistance liegt).
+     * Mit endlichem maxDistance kommen die Kandidaten aus dem räumlichen Index statt aus allen Edges.
+     * @returns {ReturnType<GraphDataStore['nearestPointOnEdge']>|null}
+     */
+    nearestPointOnTrack(xy, {maxDistance = Infinity} = {}) {
+        if (!Number.isFinite(xy?.x) || !Number.isFinite(xy?.y)) return null;
+        const candidates = Number.isFinite(maxDistance)
+            ? this._getEdgeIndex().within(xy.x, xy.y, maxDistance + EDGE_BOX_PAD).map(({item}) => item)
+            : Array.from(this._getEdgeBoxes().keys());
+        let best = null;
+        for (const edgeId of candidates) {
+            const boxDist = Math.max(0, boxDistance(this._edgeBoxes.get(edgeId), xy.x, xy.y) - EDGE_BOX_PAD);
+            if (boxDist > maxDistance || (best && boxDist > best.dist)) continue;
+            const hit = this.nearestPointOnEdge(edgeId, xy);
+            if (hit && hit.dist <= maxDistance && (!best || hit.dist < best.dist)) best = hit;
+        }
+        return best;
+    }
+
+    /**
+     * Edge-IDs, deren Bounding-Box das Rechteck schneidet (Viewport-Abfragen, räumlicher Index).
+     * @param {{minX:number, minY:number, maxX:number, maxY:number}} box
+     * @returns {string[]}
+     */
+    queryEdges(box) {
+        return this._getEdgeIndex().search(box);
+    }
+
+    /** Polylinien (Lines) + Arcs/Klothoiden als Liniensegmente (gesampelt) */
     getEdgePolyline(edgeId, maxChord = 1) {
         const packed = this._getPathSegments(edgeId);
         const segments = packed?.segments || [];
@@ -118,8 +407,8 @@ export default class GraphDataStore {
             if (seg.kind === "line") {
                 if (!pts.length) pts.push(seg.p1);
                 pts.push(seg.p2);
-            } else if (seg.kind === "arc") {
-                const sampled = this._sampleArc(seg, maxChord);
+            } else if (seg.kind === "arc" || seg.kind === "clothoid") {
+                const sampled = seg.kind === "arc" ? this._sampleArc(seg, maxChord) : sampleClothoid(seg, maxChord);
                 if (!pts.length && sampled.length) pts.push(sampled[0]);
                 for (let i = 1; i < sampled.length; i++) pts.push(sampled[i]);
             }
@@ -130,6 +419,7 @@ export default class GraphDataStore {
     // ---------------- Internals ----------------
 
     _clear() {
+        this.revision++;
         this.nodesById = new Map();
         this.edgesById = new Map();
         this.edgesByNodeId = new Map();
@@ -146,12 +436,39 @@ export default class GraphDataStore {
         this.speedByEdge = new Map();
 
         this.trackPointsByEdge = new Map();
+        this.trackPointsById = new Map();
         this.stationsByEdge = new Map();
+        this.stationsById = new Map();
+
+        this.switchesByEdge = new Map();
+        this.bufferStopsByEdge = new Map();
+        this.levelCrossingsByEdge = new Map();
+        this.platformEdgesByEdge = new Map();
+
+        this.balises = [];
+        this.signals = [];
+        this.tdsComponents = [];
+        this.tdsSections = [];
+        this.switches = [];
+        this.bufferStops = [];
+        this.levelCrossings = [];
+        this.platformEdges = [];
+        this.stations = [];
+        this.trackPoints = [];
 
         this._segmentsCache = new Map(); // edgeId -> {segments,length}
+        this._fieldCoverage = null;
+        this._integrity = null;
+        this._reconciliation = null;
+        this._geometryQA = null;
+        this._edgeLengthReport = null;
+        this._positionDeviation = null;
+        this._edgeBoxes = null;
+        this._edgeIndex = null;
     }
 
     _rebuildIndices() {
+        this.revision++;
         // Spiegeln (keine Deep-Copies) – die Maps kommen direkt aus dem Fetcher.
         this.nodesById = this.fetcher.nodesById;
         this.edgesById = this.fetcher.edgesById;
@@ -162,17 +479,76 @@ export default class GraphDataStore {
         this.geoTransitionsByEdge = this.fetcher.geoTransitionsByEdge;
         this.geoElementsByEdge = this.fetcher.geoElementsByEdge;
 
-        this.balisesByEdge = this.fetcher.balisesByEdge;
-        this.signalsByEdge = this.fetcher.signalsByEdge;
         this.tdsSectionsByEdge = this.fetcher.tdsSectionsByEdge;
-        this.tdsComponentsByEdge = this.fetcher.tdsComponentsByEdge;
+        this._applyElementSource();
 
         this.speedByEdge = this.fetcher.speedProfilesByEdge;
 
         this.trackPointsByEdge = this.fetcher.trackPointsByEdge;
+        this.trackPointsById = this.fetcher.trackPointsById;
         this.stationsByEdge = this.fetcher.stationsByEdge;
+        this.stationsById = this.fetcher.stationsById;
+
+        this.switchesByEdge = this.fetcher.switchesByEdge;
+        this.bufferStopsByEdge = this.fetcher.bufferStopsByEdge;
+        this.levelCrossingsByEdge = this.fetcher.levelCrossingsByEdge;
+        this.platformEdgesByEdge = this.fetcher.platformEdgesByEdge;
+
+        this.balises = this.fetcher.balises;
+        this.signals = this.fetcher.signals;
+        this.tdsComponents = this.fetcher.tdsComponents;
+        this.tdsSections = this.fetcher.tdsSections;
+        this.switches = this.fetcher.switches;
+        this.bufferStops = this.fetcher.bufferStops;
+        this.levelCrossings = this.fetcher.levelCrossings;
+        this.platformEdges = this.fetcher.platformEdges;
+        this.stations = this.fetcher.stations;
+        this.trackPoints = this.fetcher.trackPoints;
 
         this._segmentsCache.clear();
+        this._fieldCoverage = null;
+        this._integrity = null;
+        this._reconciliation = null;
+        this._geometryQA = null;
+        this._edgeLengthReport = null;
+        this._positionDeviation = null;
+        this._edgeBoxes = null;
+        this._edgeIndex = null;
+    }
+
+    // Balisen/Signale/TDS-Komponenten je nach gewählter Quelle spiegeln
+    _applyElementSource() {
+        const idx = this.getElementIndex(this.elementSource);
+        this.balisesByEdge = idx.balisesByEdge;
+        this.signalsByEdge = idx.signalsByEdge;
+        this.tdsComponentsByEdge = idx.tdsComponentsByEdge;
+    }
+
+    /** Bounding-Box der Edge-Geometrie ({min, max}) oder null ohne Segmente – unabhängig vom Level of Detail der Ansicht */
+    getEdgeBBox(edgeId) {
+        const b = this._getEdgeBoxes().get(edgeId);
+        return b ? {min: {x: b.minX, y: b.minY}, max: {x: b.maxX, y: b.maxY}} : null;
+    }
+
+    // Bounding-Boxen je Edge (lazy, Sampling-Sehne 5 m; Bögen liegen um höchstens die Pfeilhöhe außerhalb, siehe EDGE_BOX_PAD)
+    _getEdgeBoxes() {
+        if (this._edgeBoxes) return this._edgeBoxes;
+        const CHORD = 5;
+        this._edgeBoxes = new Map();
+        for (const edgeId of this.edgesById.keys()) {
+            if (!this._getPathSegments(edgeId)?.segments?.length) continue;
+            const box = boxOfPoints(this.getEdgePolyline(edgeId, CHORD));
+            if (box) this._edgeBoxes.set(edgeId, box);
+        }
+        return this._edgeBoxes;
+    }
+
+    // Räumlicher Index über die Edge-Boxen (lazy, gemeinsam mit _edgeBoxes verworfen)
+    _getEdgeIndex() {
+        if (this._edgeIndex) return this._edgeIndex;
+        const boxes = this._getEdgeBoxes();
+        this._edgeIndex = SpatialIndex.fromItems(Array.from(boxes.keys()), (edgeId) => boxes.get(edgeId));
+        return this._edgeIndex;
     }
 
     /** Liefert geordnete Pfad-Segmente (Lines/Transitions als Polyline, Arcs als Kreisbogen) und die Gesamtlänge */
@@ -188,6 +564,17 @@ export default class GraphDataStore {
         return edge && edge.refIsA === false ? (1 - ikRef) : ikRef;
     }
 
+    /**
+     * AB-IK eines Elements auf edge: intrinsicAB bzw. ikAB, sonst intrinsicRef über refIsA umgerechnet.
+     * Gemeinsame Quelle für Projector (Symbolposition) und Analysen, damit beide dieselbe Stelle meinen.
+     * @returns {number|null}
+     */
+    getIntrinsicAB(el, edge) {
+        const num = v => (v == null || v === '' || !Number.isFinite(Number(v))) ? null : Number(v);
+        const ab = num(el?.intrinsicAB) ?? num(el?.ikAB);
+        return ab != null ? ab : this._toAB(edge, num(el?.intrinsicRef));
+    }
+
     /** Projektion aus Ref-IK (Convenience) */
     projectFromRef(edgeId, ikRef) {
         if (!Number.isFinite(ikRef)) return null;
@@ -237,8 +624,25 @@ export default class GraphDataStore {
                     sweep: s.sweep,
                     len: s.len
                 };
+            } else if (s.kind === "clothoid") {
+                return {
+                    id: `${edgeId}:${i}`,
+                    edgeId,
+                    kind: "clothoid",
+                    p1: {x: s.p1.x, y: s.p1.y},
+                    p2: {x: s.p2.x, y: s.p2.y},
+                    k1: s.k1,
+                    k2: s.k2,
+                    theta1: s.theta1,
+                    theta2: s.theta2,
+                    len: s.len,
+                    startRadius: s.startRadius ?? null,
+                    endRadius: s.endRadius ?? null,
+                    declaredLen: s.declaredLen ?? null,
+                    polyline: sampleClothoid(s, 1)
+                };
             }
-            // sollte eigentlich nicht vorkommen (transitions sind als line aufgelöst)
+            // sollte eigentlich nicht vorkommen
             return {
                 id: `${edgeId}:${i}`, edgeId, kind: "line",
                 p1: {x: s.p1.x, y: s.p1.y}, p2: {x: s.p2.x, y: s.p2.y}, len: s.len
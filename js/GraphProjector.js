@@ -8,6 +8,8 @@
 // Er gibt nur schlanke JSON‑Objekte zurück, die z.B. Canvas/SVG/WebGL‑Renderer konsumieren.
 
 import GraphDataStore from "./GraphDataStore.js";
+import {simplifyPolyline} from "./utils/simplify.js";
+import {boxOfPoints, SpatialIndex} from "./utils/spatialIndex.js";
 
 export default class GraphProjector {
     /** @param {GraphDataStore} store */
@@ -25,27 +27,39 @@ export default class GraphProjector {
      * Erzeugt eine Geo-View (echte Geometrie) mit optionalen Overlays.
      * @param {Object} [opts]
      * @param {number}  [opts.maxChord=1]             Maximale Sehnenlänge beim Arc-Sampling (Meter)
+     * @param {number}  [opts.lodTolerance=0]         Level of Detail: zulässige Abweichung der Edge-Polylinien (Meter, 0 = exakt)
      * @param {boolean} [opts.includeTopEdges=true]   Topologie-Metadaten der Edges mitgeben
      * @param {boolean} [opts.includeSpeed=true]      Statische Speed-Segmente projizieren
      * @param {boolean} [opts.includeTdsSections=true] TDS-Abschnitte projizieren
-     * @param {boolean} [opts.includeTrackPoints=false]
-     * @param {boolean} [opts.includeStations=false]
+     * @param {boolean} [opts.includeTrackPoints=false] Stützpunkte (eigene XY, sonst per IK projiziert)
+     * @param {boolean} [opts.includeStations=false] Bahnhöfe (Teilstücke je Edge + Label-Anker) ausgeben
+     * @param {boolean} [opts.includeGeometryQA=false] Marker der Geometrie-QA (Lücke/Überlappung/umgedreht/Knick)
+     * @param {boolean} [opts.includeLengthCheck=false] geo_edges[].lengthStatus aus dem Längenbericht (ok/warn/error/unknown)
+     * @param {boolean} [opts.includeDeviation=false] Ausreißer der Lageabweichung (angegebene vs. projizierte Position)
      * @param {boolean} [opts.includeSegments=false]  Segmentierte Geometrie (Line/Arc) ausgeben
      * @param {Function}[opts.edgeFilter]             Prädikat (edge)=>boolean zur Filterung
-     * @returns {Object} located view (nodes, geo_edges, elements, overlays, bbox {min,max}, geo_segments?)
+     * @returns {Object} located view (nodes, geo_edges, elements, overlays, bbox {min,max}, geo_segments?,
+     *   index: SpatialIndex über alle positionierten Objekte der View – Einträge sind die View-Objekte selbst)
      */
     makeLocatedView(opts = {}) {
         const maxChord = Number.isFinite(opts.maxChord) ? opts.maxChord : 1;
+        const lodTolerance = opts.lodTolerance > 0 ? opts.lodTolerance : 0;
+        // Sehne 4·tol hält die Pfeilhöhe c²/(8r) für Radien ≥ 2·tol unter tol; Douglas-Peucker dünnt danach Geraden aus
+        const edgeChord = lodTolerance > 0 ? Math.max(maxChord, 4 * lodTolerance) : maxChord;
         const includeTopEdges = opts.includeTopEdges !== false;
         const includeSpeed = opts.includeSpeed !== false;
         const includeTdsSections = opts.includeTdsSections !== false;
         const includeTrackPoints = opts.includeTrackPoints === true;
         const includeStations = opts.includeStations === true;
+        const includeGeometryQA = opts.includeGeometryQA === true;
+        const includeLengthCheck = opts.includeLengthCheck === true;
+        const includeDeviation = opts.includeDeviation === true;
         const includeSegments = opts.includeSegments === true;
         const edgeFilter = typeof opts.edgeFilter === "function" ? opts.edgeFilter : null;
 
         const nodes = [];
         const geo_edges = [];
+        const includedEdgeIds = new Set();
         const top_edges = includeTopEdges ? [] : undefined;
         const geo_segments = includeSegments ? [] : undefined;
 
@@ -53,6 +67,10 @@ export default class GraphProjector {
             balises: [],
             signals: [],
             tds_components: [],
+            switches: [],
+            buffer_stops: [],
+            level_crossings: [],
+            platforms: [],
             track_points: includeTrackPoints ? [] : undefined,
             stations: includeStations ? [] : undefined,
         };
@@ -60,6 +78,8 @@ export default class GraphProjector {
         const overlays = {
             speed: includeSpeed ? [] : undefined,
             tds_sections: includeTdsSections ? [] : undefined,
+            geometry_qa: includeGeometryQA ? [] : undefined,
+            position_deviation: includeDeviation ? [] : undefined,
         };
 
         // ---- Nodes
@@ -82,11 +102,14 @@ export default class GraphProjector {
         // ---- Edges + optionale Segmente + Inhalte/Overlays
         for (const edge of this.store.getAllEdges()) {
             if (edgeFilter && !edgeFilter(edge)) continue;
+            includedEdgeIds.add(edge.id);
 
             // Polyline der Edge (gesampelt)
-            const poly = this.store.getEdgePolyline(edge.id, maxChord);
+            const poly = simplifyPolyline(this.store.getEdgePolyline(edge.id, edgeChord), lodTolerance);
             if (Array.isArray(poly) && poly.length >= 2) {
-                geo_edges.push({edgeId: edge.id, polyline: poly});
+                const ge = {edgeId: edge.id, polyline: poly};
+                if (includeLengthCheck) ge.lengthStatus = this.store.getEdgeLengthCheck(edge.id)?.status ?? 'unknown';
+                geo_edges.push(ge);
             }
 
             // TopEdges (optional)
@@ -115,19 +138,28 @@ export default class GraphProjector {
                             cx: s.center.x, cy: s.center.y, r: s.r,
                             ang1: s.ang1, ang2: s.ang2, sweep: s.sweep, len: s.len
                         });
+                    } else if (s.kind === "clothoid") {
+                        geo_segments.push({
+                            id: s.id, edgeId: s.edgeId, kind: "clothoid",
+                            x1: s.p1.x, y1: s.p1.y, x2: s.p2.x, y2: s.p2.y,
+                            k1: s.k1, k2: s.k2, len: s.len, polyline: s.polyline
+                        });
                     }
                 }
             }
 
             // --- Elemente: Balisen / Signale / TDS-Komponenten (über IK projizieren)
             for (const b of this.store.getBalisesByEdge(edge.id)) {
-                const ik = _num(b.intrinsicAB ?? b.intrinsicRef ?? b.ikAB);
+                const ik = this.store.getIntrinsicAB(b, edge);
                 const p = Number.isFinite(ik) ? this.store.projectIntrinsicToXY(edge.id, ik) : null;
                 if (!p) continue;
-                elements.balises.push({id: (b.id || `${edge.id}:${(ik ?? 0).toFixed(5)}`), name: b.name ?? null, edgeId: edge.id, ikAB: ik, x: p.x, y: p.y});
+                elements.balises.push({
+                    id: (b.id || `${edge.id}:${(ik ?? 0).toFixed(5)}`), name: b.name ?? null, edgeId: edge.id, ikAB: ik, x: p.x, y: p.y,
+                    ...this._direction(edge, ik, b.applicationDirection)
+                });
             }
             for (const s of this.store.getSignalsByEdge(edge.id)) {
-                const ik = _num(s.intrinsicAB ?? s.intrinsicRef ?? s.ikAB);
+                const ik = this.store.getIntrinsicAB(s, edge);
                 const p = Number.isFinite(ik) ? this.store.projectIntrinsicToXY(edge.id, ik) : null;
                 if (!p) continue;
                 const resolvedName = this._resolvePrimaryName(s);
@@ -138,11 +170,12 @@ export default class GraphProjector {
                     kind: s.kind || null,
                     ikAB: ik,
                     x: p.x,
-                    y: p.y
+                    y: p.y,
+                    ...this._direction(edge, ik, s.applicationDirection)
                 });
             }
             for (const tc of this.store.getTdsComponentsByEdge(edge.id)) {
-                const ik = _num(tc.intrinsicAB ?? tc.intrinsicRef ?? tc.ikAB);
+                const ik = this.store.getIntrinsicAB(tc, edge);
                 const p = Number.isFinite(ik) ? this.store.projectIntrinsicToXY(edge.id, ik) : null;
                 if (!p) continue;
                 elements.tds_components.push({
@@ -152,10 +185,71 @@ export default class GraphProjector {
                     name: tc.name || null,
                     ikAB: ik,
                     x: p.x,
-                    y: p.y
+                    y: p.y,
+                    ...this._direction(edge, ik, tc.applicationDirection)
+                });
+            }
+
+            // --- Infrastruktur: Weichen / Prellböcke / Bahnübergänge (Punkt) und Bahnsteigkanten (Ausdehnung)
+            const pointAssets = [
+                [elements.switches, this.store.getSwitchesByEdge(edge.id)],
+                [elements.buffer_stops, this.store.getBufferStopsByEdge(edge.id)],
+                [elements.level_crossings, this.store.getLevelCrossingsByEdge(edge.id)]
+            ];
+            for (const [out, list] of pointAssets) {
+                for (const a of list) {
+                    const ik = _num(a.intrinsicAB);
+                    const p = Number.isFinite(ik) ? this.store.projectIntrinsicToXY(edge.id, ik) : null;
+                    if (!p) continue;
+                    out.push({
+                        id: a.id || `${edge.id}:${ik.toFixed(5)}`,
+                        name: a.name ?? null,
+                        edgeId: edge.id,
+                        type: a.assetType ?? null,
+                        ikAB: ik,
+                        x: p.x,
+                        y: p.y
+                    });
+                }
+            }
+            for (const pe of this.store.getPlatformEdgesByEdge(edge.id)) {
+                const t1 = _num(pe.startIntrinsicAB);
+                const t2 = _num(pe.endIntrinsicAB);
+                if (!Number.isFinite(t1) || !Number.isFinite(t2)) continue;
+                const polyline = this._sampleSpan(edge.id, t1, t2, maxChord);
+                if (polyline.length < 2) continue;
+                const mid = polyline[Math.floor((polyline.length - 1) / 2)];
+                elements.platforms.push({
+                    id: pe.id || `${edge.id}:${t1}-${t2}`,
+                    name: pe.name ?? null,
+                    edgeId: edge.id,
+                    startIK: t1,
+                    endIK: t2,
+                    polyline,
+                    x: mid.x,
+                    y: mid.y
                 });
             }
 
+            // --- Stützpunkte (TrackEdge.trackPoints)
+            if (includeTrackPoints && elements.track_points) {
+                for (const tp of this.store.getTrackPointsByEdge(edge.id)) {
+                    const ik = _num(tp.intrinsicAB);
+                    const p = tp.geoCo ?? (Number.isFinite(ik) ? this.store.projectIntrinsicToXY(edge.id, ik) : null);
+                    if (!p) continue;
+                    elements.track_points.push({
+                        id: tp.id,
+                        edgeId: edge.id,
+                        index: tp.index,
+                        type: tp.pointType ?? null,
+                        ikAB: ik,
+                        fromIK: !tp.geoCo,
+                        x: p.x,
+                        y: p.y
+                    });
+                }
+            }
+
             // ---- Overlays (Speed / TDS Sections) – IK oder Meter → XY
             if (includeSpeed && overlays.speed) {
                 for (const sp of this.store.getSpeedByEdge(edge.id)) {
@@ -188,12 +282,62 @@ export default class GraphProjector {
                     });
                 }
             }
+
+            if (includeGeometryQA && overlays.geometry_qa) {
+                for (const i of this.store.getGeometryIssues(edge.id)) {
+                    overlays.geometry_qa.push({id: i.id, edgeId: edge.id, type: i.type, value: i.value, elementId: i.elementId, x: i.x, y: i.y});
+                }
+            }
         } // <-- Ende Edges‑Schleife
 
+        // ---- Bahnhöfe: Teilstücke über alle (gefilterten) Edges, Label-Anker = Mittel der Teilstück-Mitten
+        if (includeStations && elements.stations) {
+            for (const st of this.store.getAllStations()) {
+                const spans = [];
+                const anchors = [];
+                for (const part of st.parts) {
+                    if (!includedEdgeIds.has(part.netElementRef)) continue;
+                    const t1 = _num(part.startIntrinsicAB);
+                    const t2 = _num(part.endIntrinsicAB);
+                    if (!Number.isFinite(t1) || !Number.isFinite(t2)) continue;
+                    if (t2 > t1) {
+                        const polyline = this._sampleSpan(part.netElementRef, t1, t2, maxChord);
+                        if (polyline.length < 2) continue;
+                        spans.push({edgeId: part.netElementRef, polyline});
+                        anchors.push(polyline[Math.floor((polyline.length - 1) / 2)]);
+                    } else {
+                        const p = this.store.projectIntrinsicToXY(part.netElementRef, t1);
+                        if (p) anchors.push(p);
+                    }
+                }
+                if (!anchors.length) continue;
+                elements.stations.push({
+                    id: st.id,
+                    name: st.name ?? null,
+                    shortName: st.shortName ?? null,
+                    spans,
+                    x: anchors.reduce((sum, p) => sum + p.x, 0) / anchors.length,
+                    y: anchors.reduce((sum, p) => sum + p.y, 0) / anchors.length
+                });
+            }
+        }
+
+        // ---- Lageabweichung: nur Ausreißer, angegebene und projizierte Position
+        if (includeDeviation && overlays.position_deviation) {
+            for (const it of this.store.getPositionDeviationReport().items) {
+                if (!it.outlier || !includedEdgeIds.has(it.edgeId)) continue;
+                overlays.position_deviation.push({
+                    id: it.id, edgeId: it.edgeId, kind: it.kind, deviationM: it.deviationM,
+                    given: it.given, projected: it.projected
+                });
+            }
+        }
+
         // ---- BBox aus Nodes + Geo-Edges
         const bbox = this._computeBBox(nodes, geo_edges);
+        const index = this._buildSpatialIndex(nodes, geo_edges, elements, overlays);
 
-        return {nodes, geo_edges, top_edges, elements, overlays, bbox, geo_segments};
+        return {nodes, geo_edges, top_edges, elements, overlays, bbox, geo_segments, lodTolerance, index};
     }
 
     // ---------------------------------------------------------------------------
@@ -204,17 +348,28 @@ export default class GraphProjector {
      * @param {Object} [opts]
      * @param {boolean} [opts.includeSpeed=true]
      * @param {boolean} [opts.includeTdsSections=true]
+     * @param {boolean} [opts.includeStations=false]
      * @param {Function}[opts.edgeFilter]
      * @returns {Object} dynamic view (nodes, edges, elements, overlays)
      */
     makeDynamicView(opts = {}) {
         const includeSpeed = opts.includeSpeed !== false;
         const includeTdsSections = opts.includeTdsSections !== false;
+        const includeStations = opts.includeStations === true;
         const edgeFilter = typeof opts.edgeFilter === "function" ? opts.edgeFilter : null;
 
         const nodes = [];
         const edges = [];
-        const elements = {balises: [], signals: [], tds_components: []};
+        const elements = {
+            balises: [],
+            signals: [],
+            tds_components: [],
+            switches: [],
+            buffer_stops: [],
+            level_crossings: [],
+            platforms: [],
+            stations: includeStations ? [] : undefined
+        };
         const overlays = {speed: includeSpeed ? [] : undefined, tds_sections: includeTdsSections ? [] : undefined};
 
         // Nodes (mit optionalen Start‑Hints aus Geo)
@@ -256,6 +411,23 @@ export default class GraphProjector {
                 });
             }
 
+            const pointAssets = [
+                [elements.switches, this.store.getSwitchesByEdge(edgeId)],
+                [elements.buffer_stops, this.store.getBufferStopsByEdge(edgeId)],
+                [elements.level_crossings, this.store.getLevelCrossingsByEdge(edgeId)]
+            ];
+            for (const [out, list] of pointAssets) {
+                for (const a of list) {
+                    const m = (Number.isFinite(L) && Number.isFinite(a?.intrinsicAB)) ? a.intrinsicAB * L : null;
+                    out.push({id: a.id || null, edgeId, name: a.name ?? null, type: a.assetType ?? null, distanceFromA: m});
+                }
+            }
+            for (const pe of this.store.getPlatformEdgesByEdge(edgeId)) {
+                const sM = (Number.isFinite(L) && Number.isFinite(pe?.startIntrinsicAB)) ? pe.startIntrinsicAB * L : null;
+                const eM = (Number.isFinite(L) && Number.isFinite(pe?.endIntrinsicAB)) ? pe.endIntrinsicAB * L : null;
+                elements.platforms.push({id: pe.id || null, edgeId, name: pe.name ?? null, startDistanceM: sM, endDistanceM: eM});
+            }
+
             if (includeSpeed && overlays.speed) {
                 for (const seg of this.store.getSpeedByEdge(edgeId)) {
                     const sM = _num(seg.startPosM) ?? (Number.isFinite(L) && Number.isFinite(seg.startIntrinsic) ? seg.startIntrinsic * L : null);
@@ -278,6 +450,24 @@ export default class GraphProjector {
             }
         }
 
+        if (includeStations && elements.stations) {
+            const edgeIds = new Set(edges.map(e => e.id));
+            for (const st of this.store.getAllStations()) {
+                const spans = [];
+                for (const part of st.parts) {
+                    if (!edgeIds.has(part.netElementRef)) continue;
+                    const L = this._edgeLength(part.netElementRef);
+                    if (!Number.isFinite(L)) continue;
+                    spans.push({
+                        edgeId: part.netElementRef,
+                        startDistanceM: Number.isFinite(part.startIntrinsicAB) ? part.startIntrinsicAB * L : null,
+                        endDistanceM: Number.isFinite(part.endIntrinsicAB) ? part.endIntrinsicAB * L : null
+                    });
+                }
+                if (spans.length) elements.stations.push({id: st.id, name: st.name ?? null, shortName: st.shortName ?? null, spans});
+            }
+        }
+
         return {nodes, edges, elements, overlays};
     }
 
@@ -296,6 +486,41 @@ export default class GraphProjector {
         return this.store.projectIntrinsicToXY(edgeId, t);
     }
 
+    /**
+     * Wirkrichtung eines Elements relativ zu A->B: dirAB = 1 (A->B), -1 (B->A), 0 (beide/unbekannt)
+     * plus Tangente A->B an der Position (für seitlichen Versatz und Richtungsmarke im Renderer).
+     * applicationDirection bezieht sich wie die IK auf den RefNode; Werte laut Schema-Enumeration
+     * (Schlüssel in Großbuchstaben, Vergleich ohne Groß-/Kleinschreibung), nicht gelistete Werte gelten als unbekannt.
+     */
+    _direction(edge, ikAB, applicationDirection) {
+        const values = this.store.getSchemaEnum('applicationDirection') || {};
+        const key = String(applicationDirection ?? '').trim().toUpperCase();
+        const known = Object.prototype.hasOwnProperty.call(values, key);
+        if (!known && key && !_unknownDirections.has(key)) {
+            // einmal je Wert melden, sonst bliebe ein abweichendes Server-Format unbemerkt (kein Versatz)
+            _unknownDirections.add(key);
+            console.warn(`GraphProjector: applicationDirection "${applicationDirection}" nicht in ISDP_SCHEMA.enums – ohne Versatz gezeichnet`);
+        }
+        const dirRef = known ? values[key] : 0;
+        if (dirRef !== 1 && dirRef !== -1) return {dirAB: 0, tangent: null};
+        const dirAB = edge?.refIsA === false ? -dirRef : dirRef;
+        const t = this.store.tangentAtIntrinsic(edge.id, ikAB);
+        return t ? {dirAB, tangent: {x: t.x, y: t.y}} : {dirAB: 0, tangent: null};
+    }
+
+    /** Teilstück einer Edge zwischen zwei AB-IKs als Polylinie (Stützpunkte ca. alle 5 m, max. 64) */
+    _sampleSpan(edgeId, t1, t2, maxChord = 1) {
+        const L = this._edgeLength(edgeId);
+        const spanM = Number.isFinite(L) ? Math.abs(t2 - t1) * L : 0;
+        const n = Math.min(64, Math.max(2, Math.ceil(spanM / Math.max(5, maxChord)) + 1));
+        const pts = [];
+        for (let i = 0; i < n; i++) {
+            const p = this.store.projectIntrinsicToXY(edgeId, t1 + (t2 - t1) * (i / (n - 1)));
+            if (p) pts.push(p);
+        }
+        return pts;
+    }
+
     _edgeLength(edgeId) {
         const L = this.store.getEdgeLength(edgeId);
         if (Number.isFinite(L)) return L;
@@ -342,6 +567,27 @@ export default class GraphProjector {
         return null;
     }
 
+    // Räumlicher Index der Located View (Datenkoordinaten): Edges über die LOD-unabhängige Store-Box,
+    // Bahnsteige/Bahnhöfe über ihre Polylinien, alle übrigen Objekte als Punkt
+    _buildSpatialIndex(nodes, geo_edges, elements, overlays) {
+        const items = [
+            ...nodes,
+            ...geo_edges,
+            ...Object.values(elements).filter(Array.isArray).flat(),
+            ...(overlays.geometry_qa || [])
+        ];
+        const edgeItems = new Set(geo_edges);
+        return SpatialIndex.fromItems(items, (d) => {
+            if (edgeItems.has(d)) {
+                const b = this.store.getEdgeBBox?.(d.edgeId);
+                return b ? {minX: b.min.x, minY: b.min.y, maxX: b.max.x, maxY: b.max.y} : boxOfPoints(d.polyline);
+            }
+            if (Array.isArray(d.polyline)) return boxOfPoints(d.polyline);
+            if (Array.isArray(d.spans)) return boxOfPoints([d, ...d.spans.flatMap(sp => sp.polyline || [])]);
+            return boxOfPoints([d]);
+        });
+    }
+
     _computeBBox(nodes, geo_edges) {
         let minX = +Infinity, minY = +Infinity, maxX = -Infinity, maxY = -Infinity;
         const bump = (p) => {
@@ -353,7 +599,17 @@ export default class GraphProjector {
         };
 
         for (const n of nodes) bump(n);
-        for (const ge of geo_edges) for (const p of ge.polyline) bump(p);
+        // Edge-Boxen aus dem Store statt der (LOD-vereinfachten) Polylinie – die Flip-Transformation
+        // hängt an der BBox und darf sich beim Zoomen nicht verschieben
+        for (const ge of geo_edges) {
+            const box = this.store.getEdgeBBox?.(ge.edgeId);
+            if (box) {
+                bump(box.min);
+                bump(box.max);
+            } else {
+                for (const p of ge.polyline) bump(p);
+            }
+        }
 
         if (!isFinite(minX)) return {min: null, max: null, width: 0, height: 0};
         const min = {x: minX, y: minY};
@@ -362,6 +618,9 @@ export default class GraphProjector {
     }
 }
 
+// bereits gemeldete unbekannte applicationDirection-Werte (siehe _direction)
+const _unknownDirections = new Set();
+
 // kleine Number‑Helper
 function _num(v) {
     const n = Number(v);
@@ -0,0 +1,89 @@
+// ISDPCache.js
+// Persistenter Cache der ISDP-Rohdaten in IndexedDB – ein Eintrag je Server-Adresse + Schema-Version
+// – Gespeichert wird das Snapshot-Objekt (ISDPDataFetcher.toSnapshot), geöffnet wird es über loadFromSnapshot(…, {sourceType:'cache'})
+// – Beim Start wird der zuletzt genutzte Eintrag sofort geöffnet; Aktualität prüft ISDPDataFetcher.checkForUpdates
+
+import ISDPDataFetcher from "./ISDPDataFetcher.js";
+
+const DB_NAME = "isdp-visualizer";
+const DB_VERSION = 1;
+const STORE = "datasets";
+
+export default class ISDPCache {
+    /** IndexedDB verfügbar? (fehlt z. B. in manchen privaten Fenstern) */
+    static isSupported() {
+        return typeof indexedDB !== "undefined";
+    }
+
+    /** Schlüssel eines Datensatzes */
+    static keyOf(address, schemaVersion) {
+        return `${String(address || "").replace(/\/+$/, "")}|${schemaVersion}`;
+    }
+
+    constructor() {
+        this._dbPromise = null;
+    }
+
+    /**
+     * Gespeicherten Datensatz lesen.
+     * @returns {Promise<{key:string, address:string, schemaVersion:string, savedAt:string, snapshot:Object}|null>}
+     */
+    async get(address, schemaVersion) {
+        const entry = await this._request("readonly", s => s.get(ISDPCache.keyOf(address, schemaVersion)));
+        return entry || null;
+    }
+
+    /** Snapshot speichern (überschreibt den Eintrag derselben Adresse + Version) */
+    async put(snapshot) {
+        if (!ISDPDataFetcher.isSnapshot(snapshot)) throw new Error("ISDPCache: kein Snapshot");
+        const entry = {
+            key: ISDPCache.keyOf(snapshot.address, snapshot.schemaVersion),
+            address: snapshot.address,
+            schemaVersion: snapshot.schemaVersion,
+            savedAt: new Date().toISOString(),
+            snapshot
+        };
+        await this._request("readwrite", s => s.put(entry));
+        return entry;
+    }
+
+    /** Eintrag einer Adresse + Version entfernen */
+    async remove(address, schemaVersion) {
+        await this._request("readwrite", s => s.delete(ISDPCache.keyOf(address, schemaVersion)));
+    }
+
+    /** Alle Einträge entfernen */
+    async clear() {
+        await this._request("readwrite", s => s.clear());
+    }
+
+    // ---------------- Internals ----------------
+    _open() {
+        if (this._dbPromise) return this._dbPromise;
+        this._dbPromise = new Promise((resolve, reject) => {
+            const req = indexedDB.open(DB_NAME, DB_VERSION);
+            req.onupgradeneeded = () => {
+                const db = req.result;
+                if (!db.objectStoreNames.contains(STORE)) db.createObjectStore(STORE, {keyPath: "key"});
+            };
+            req.onsuccess = () => resolve(req.result);
+            req.onerror = () => reject(req.error || new Error("ISDPCache: IndexedDB nicht verfügbar"));
+        });
+        // fehlgeschlagenes Öffnen nicht dauerhaft cachen
+        this._dbPromise.catch(() => { this._dbPromise = null; });
+        return this._dbPromise;
+    }
+
+    async _request(mode, op) {
+        const db = await this._open();
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(STORE, mode);
+            const req = op(tx.objectStore(STORE));
+            let result;
+            req.onsuccess = () => { result = req.result; };
+            tx.oncomplete = () => resolve(result);
+            tx.onerror = () => reject(tx.error || req.error);
+            tx.onabort = () => reject(tx.error || new Error("ISDPCache: Transaktion abgebrochen"));
+        });
+    }
+}
@@ -1,51 +1,307 @@
 // ISDPDataFetcher.js
-// Lädt & normalisiert ISDP-Daten strikt nach dem bereitgestellten Schema (src/config/ISDP_SCHEMA.js)
+// Lädt & normalisiert ISDP-Daten strikt nach dem bereitgestellten Schema (src/config/ISDP_SCHEMA_REGISTRY.js)
 // – dedizierte Geometriequellen pro TrackEdge: geoLines, geoArcs, geoTransitions
 // – geoElements werden zusätzlich separat abgelegt (nur zur Analyse/QA)
 // – Edge-embedded Elemente (tdsComponentsOnThisEdge, trainDetectionSections, signalsOnThisEdge, datapointsOnThisEdge) werden mit erfasst
 // – globale Endpunkte (ETCSDataPoint, TdsSection, TdsComponent, Signalgroup) werden weiterhin geladen und dupliziert
+// – Stützpunkte (TrackEdge.trackPoints) werden nach schema.embedded.TrackPoint normalisiert (XY und/oder IK)
+// – Bahnhöfe (TrackEdge.stations) werden nach schema.embedded.Station normalisiert und je ID über alle Edges zusammengefasst
+// – Infrastruktur-Klassen (Switch, BufferStop, LevelCrossing, PlatformEdge) nur als globale Endpunkte, je Edge indiziert;
+//   gelesen nur, wenn das Schema sie enthält (im Basisschema 3.0.17 nicht, siehe ISDP_SCHEMA_REGISTRY.js)
+// – Balisen/Signale/TDS-Komponenten tragen `source` ('embedded'|'global') und sind zusätzlich je Quelle indiziert
+//   (embeddedIndex/globalIndex); die gemeinsamen *ByEdge-Maps enthalten die Vereinigung (eingebettet hat Vorrang)
+// – alternativ Offline-Import von Dump-Dateien (loadFromPayloads) über dieselbe Normalisierung
+// – Rohdaten lassen sich als versionierter Snapshot exportieren und wieder öffnen (toSnapshot/loadFromSnapshot)
+// – Schema ist versioniert (config/ISDP_SCHEMA_REGISTRY.js) und per setVersion() umschaltbar
+
+import {DEFAULT_ISDP_VERSION, getIsdpSchema} from "../config/ISDP_SCHEMA_REGISTRY.js"
+import {pickPath} from "./utils/schemaPath.js";
+
+const DEFAULT_SCHEMA = getIsdpSchema(DEFAULT_ISDP_VERSION);
+
+// Snapshot-Dateiformat (Export der Rohdaten; bei Formatänderungen Version erhöhen)
+export const SNAPSHOT_FORMAT = "isdp-visualizer-snapshot";
+export const SNAPSHOT_FORMAT_VERSION = 1;
+const DEFAULT_URL = (DEFAULT_SCHEMA && DEFAULT_SCHEMA.baseUrlKey) ? DEFAULT_SCHEMA.baseUrlKey : "http://localhost:32308";
+
+// Fehler eines Klassen-Abrufs mit Art (http|auth|timeout|network|parse) und ggf. HTTP-Status
+function requestError(message, kind, httpStatus = null) {
+    const err = new Error(message);
+    err.kind = kind;
+    err.httpStatus = httpStatus;
+    return err;
+}
 
-import ISDP_SCHEMA from "../config/ISDP_SCHEMA.js"
-
-const DEFAULT_URL = (ISDP_SCHEMA && ISDP_SCHEMA.baseUrlKey) ? ISDP_SCHEMA.baseUrlKey : "http://localhost:32308";
+// Standard-Verhalten der Klassen-Abrufe (per setRequestOptions überschreibbar)
+export const DEFAULT_REQUEST_OPTIONS = {
+    timeoutMs: 20000,   // Timeout pro Request
+    retries: 2,         // zusätzliche Versuche nach Timeout/Netzwerkfehler/HTTP 429/5xx
+    backoffMs: 500,     // Wartezeit vor dem ersten Retry
+    backoffFactor: 2    // exponentieller Faktor je weiterem Retry
+};
 
 export default class ISDPDataFetcher {
-    constructor(schema = ISDP_SCHEMA) {
+    constructor(schema = DEFAULT_SCHEMA) {
+        this.address = schema.baseUrlKey || DEFAULT_URL;
+        this.source = null; // {type:'server'|'dump'|'snapshot', label} des zuletzt geladenen Datensatzes
+        this.loadedAt = null; // ISO-Zeitstempel des Ladevorgangs
+        this.requestOptions = {...DEFAULT_REQUEST_OPTIONS};
+        this.credentials = null; // {type:'basic'|'bearer', ...} siehe setCredentials
+        this.setSchema(schema);
+    }
+
+    /** Schema einer registrierten ISDP-Version aktivieren (verwirft geladene Daten) */
+    setVersion(version) {
+        const schema = getIsdpSchema(version);
+        if (!schema) throw new Error(`ISDP Version nicht unterstützt: ${version}`);
+        if (schema === this.schema) return;
+        this.setSchema(schema);
+    }
+
+    setSchema(schema) {
+        if (!schema || !schema.classes) throw new Error("ISDPDataFetcher: Schema ohne classes");
         this.schema = schema;
-        this.address = schema.baseUrlKey;
+        this.version = schema.version ?? null;
 
         // Klassen-Schlüssel, FQNs & Pfadmap
         this.classKeys = Object.keys(this.schema.classes);
         this.fqnByKey = new Map(this.classKeys.map(k => [k, this.schema.classes[k].fqn]));
         this.keyByFqn = new Map(this.classKeys.map(k => [this.schema.classes[k].fqn, k]));
 
-        // Rohdaten-Container
-        this.raw = {};
-        for (const k of this.classKeys) this.raw[k] = [];
-
-        // Normalisierte Sammlungen
+        // Rohdaten-Container, Ladestatus & normalisierte Sammlungen
+        this._resetRaw();
+        this._resetClassStatus('pending');
         this._resetCollections();
     }
 
     setAddress(url) {
         this.address = String(url || DEFAULT_URL).replace(/\/$/, "");
+        this.source = null;
+        this.loadedAt = null;
         this._resetRaw();
         this._resetCollections();
     }
 
-    async loadAll() {
-        const tasks = this.classKeys.map(k => this.#fetchClassByKey(k));
+    /** Timeout/Retry/Backoff der Klassen-Abrufe anpassen (siehe DEFAULT_REQUEST_OPTIONS) */
+    setRequestOptions(partial = {}) {
+        const next = {...this.requestOptions};
+        for (const [k, v] of Object.entries(partial || {})) {
+            const n = Number(v);
+            if (k in DEFAULT_REQUEST_OPTIONS && Number.isFinite(n) && n >= 0) next[k] = n;
+        }
+        next.retries = Math.floor(next.retries);
+        this.requestOptions = next;
+    }
+
+    /**
+     * Zugangsdaten für alle Klassen-Abrufe setzen (nur im Speicher; Persistenz entscheidet der Aufrufer).
+     * @param {{type:'none'|'basic'|'bearer', username?:string, password?:string, token?:string}|null} cred
+     */
+    setCredentials(cred) {
+        const type = cred?.type;
+        if (type === 'basic' && cred.username) {
+            this.credentials = {type, username: String(cred.username), password: String(cred.password ?? '')};
+        } else if (type === 'bearer' && cred.token) {
+            this.credentials = {type, token: String(cred.token).trim()};
+        } else {
+            this.credentials = null;
+        }
+    }
+
+    /**
+     * Lädt alle Klassen des Schemas parallel. Teilfehler werden pro Klasse in classStatus festgehalten
+     * (siehe getLoadReport); geworfen wird nur, wenn keine Klasse geladen werden konnte.
+     * @param {{onProgress?:(classes:Object[])=>void}} [opts]  wird bei jeder Statusänderung einer Klasse aufgerufen
+     * @returns {Promise<Object>} Lade-Report
+     */
+    async loadAll(opts = {}) {
+        const onProgress = typeof opts.onProgress === 'function' ? opts.onProgress : null;
+        this._resetClassStatus('pending');
+        const notify = () => { if (onProgress) onProgress(this.getLoadReport().classes); };
+        notify();
+
+        const tasks = this.classKeys.map(k => this.#fetchClassByKey(k, notify));
         const results = await Promise.allSettled(tasks);
         const anyFulfilled = results.some(r => r.status === 'fulfilled');
         if (!anyFulfilled) {
             throw new Error(`ISDP Abruf fehlgeschlagen: Keine Antwort von ${this.address}`);
         }
+        this.source = {type: 'server', label: this.address};
         this.#normalizeAndIndex();
-        // Nach der Normalisierung prüfen, ob brauchbare Daten vorhanden sind
-        const edgesCount = this.edgesById?.size || 0;
-        const nodesCount = this.nodesById?.size || 0;
-        if (edgesCount === 0 && nodesCount === 0) {
-            throw new Error(`ISDP Daten leer oder unbrauchbar von ${this.address}`);
+        this.#assertUsable();
+        this.loadedAt = new Date().toISOString();
+        return this.getLoadReport();
+    }
+
+    /**
+     * Lädt nur die beim letzten Server-Abruf fehlgeschlagenen Klassen erneut und indiziert anschließend neu.
+     * Bereits geladene Klassen bleiben unverändert.
+     * @param {{onProgress?:(classes:Object[])=>void}} [opts]
+     * @returns {Promise<Object>} Lade-Report
+     */
+    async retryFailed(opts = {}) {
+        if (this.source?.type !== 'server') throw new Error('Retry nur für Server-Abrufe möglich');
+        const onProgress = typeof opts.onProgress === 'function' ? opts.onProgress : null;
+        const failed = this.getLoadReport().failed;
+        if (!failed.length) return this.getLoadReport();
+        const notify = () => { if (onProgress) onProgress(this.getLoadReport().classes); };
+        for (const k of failed) this.classStatus.set(k, this._emptyClassStatus(k, 'pending'));
+        notify();
+        const results = await Promise.allSettled(failed.map(k => this.#fetchClassByKey(k, notify)));
+        this.#normalizeAndIndex();
+        this.#assertUsable();
+        // nachgeladene Klassen sind neuer als der Rest: Stand wie bei loadAll auf jetzt setzen
+        if (results.some(r => r.status === 'fulfilled')) this.loadedAt = new Date().toISOString();
+        return this.getLoadReport();
+    }
+
+    /**
+     * Status je Klasse des letzten Ladevorgangs.
+     * optional = Klasse darf fehlen (Schema-Flag), ihr Ausfall ist kein Ladefehler im Sinne des Warnbanners.
+     * @returns {{classes:Array<{key:string,fqn:string,optional:boolean,state:'pending'|'ok'|'failed',count:number|null,durationMs:number|null,httpStatus:number|null,attempts:number,errorKind:string|null,error:string|null}>, failed:string[], ok:string[]}}
+     */
+    getLoadReport() {
+        const classes = this.classKeys.map(k => ({...(this.classStatus.get(k) || this._emptyClassStatus(k, 'pending'))}));
+        return {
+            classes,
+            failed: classes.filter(c => c.state === 'failed').map(c => c.key),
+            ok: classes.filter(c => c.state === 'ok').map(c => c.key)
+        };
+    }
+
+    /**
+     * Offline-Import: unveränderte Server-Antworten je Klassen-Schlüssel (z. B. aus ISDPDumpReader)
+     * durchlaufen dieselbe Pfadauflösung & Normalisierung wie loadAll().
+     * @param {Object<string,*>} payloads  {GeoNode: <response>, TrackEdge: <response>, ...}
+     * @param {{source?:string}} [opts]
+     */
+    loadFromPayloads(payloads, opts = {}) {
+        if (!payloads || typeof payloads !== 'object') throw new Error('ISDP Import: keine Daten');
+        this._resetRaw();
+        this._resetClassStatus('failed', 'nicht im Import enthalten');
+        for (const k of this.classKeys) {
+            if (!(k in payloads)) continue;
+            this.raw[k] = this.#asArrayFromPath(payloads[k], this.schema.classes[k].path, true);
+            this.classStatus.set(k, {...this._emptyClassStatus(k, 'ok'), count: this.raw[k].length});
+        }
+        this.source = {type: 'dump', label: opts.source || 'dump'};
+        this.#normalizeAndIndex();
+        this.#assertUsable();
+        this.loadedAt = new Date().toISOString();
+    }
+
+    /** Erkennt ein exportiertes Snapshot-Objekt (siehe toSnapshot) */
+    static isSnapshot(json) {
+        return !!json && typeof json === 'object' && json.format === SNAPSHOT_FORMAT;
+    }
+
+    /**
+     * Rohdaten des aktuellen Datensatzes als versioniertes Snapshot-Objekt (JSON-serialisierbar).
+     * Enthält die Antworten je Klasse (bereits aus `path` gelöst) plus Schema-Version, Quelle und Ladezeitpunkt.
+     */
+    toSnapshot() {
+        if (!this.loadedAt) throw new Error('Snapshot: kein Datensatz geladen');
+        const classes = {};
+        // fehlgeschlagene Klassen weglassen, damit sie beim Öffnen wieder als fehlend erscheinen
+        for (const k of this.classKeys) {
+            if (this.classStatus.get(k)?.state === 'ok') classes[k] = this.raw[k] || [];
+        }
+        return {
+            format: SNAPSHOT_FORMAT,
+            formatVersion: SNAPSHOT_FORMAT_VERSION,
+            schemaVersion: this.version,
+            address: this.source?.label ?? this.address,
+            sourceType: this.source?.type ?? null,
+            loadedAt: this.loadedAt,
+            exportedAt: new Date().toISOString(),
+            classes
+        };
+    }
+
+    /**
+     * Snapshot (siehe toSnapshot) wieder öffnen. Aktiviert die gespeicherte Schema-Version und
+     * übernimmt Quelle & Ladezeitpunkt des ursprünglichen Abrufs.
+     * @param {Object} snapshot
+     * @param {{sourceType?:'snapshot'|'cache'|'server'}} [opts]  bei 'cache'/'server' wird zusätzlich die
+     *        Server-Adresse des Snapshots aktiv (Grundlage für Update-Prüfung & Retry)
+     */
+    loadFromSnapshot(snapshot, opts = {}) {
+        if (!ISDPDataFetcher.isSnapshot(snapshot)) throw new Error('Snapshot: unbekanntes Dateiformat');
+        const fv = Number(snapshot.formatVersion);
+        if (!(fv >= 1 && fv <= SNAPSHOT_FORMAT_VERSION)) {
+            throw new Error(`Snapshot: Formatversion ${snapshot.formatVersion} wird nicht unterstützt`);
+        }
+        if (snapshot.schemaVersion) this.setVersion(snapshot.schemaVersion);
+        this._resetRaw();
+        this._resetClassStatus('failed', 'nicht im Snapshot enthalten');
+        const classes = snapshot.classes || {};
+        for (const k of this.classKeys) {
+            if (!Array.isArray(classes[k])) continue;
+            this.raw[k] = classes[k];
+            this.classStatus.set(k, {...this._emptyClassStatus(k, 'ok'), count: classes[k].length});
+        }
+        const sourceType = opts.sourceType || 'snapshot';
+        if (sourceType !== 'snapshot' && snapshot.address) this.address = snapshot.address;
+        this.source = {type: sourceType, label: snapshot.address || 'snapshot'};
+        this.#normalizeAndIndex();
+        this.#assertUsable();
+        this.loadedAt = snapshot.loadedAt || new Date().toISOString();
+    }
+
+    /**
+     * Ruft alle Klassen erneut vom Server ab, ohne den geladenen Datensatz anzutasten, und vergleicht sie mit den Rohdaten.
+     * Nicht erreichbare Klassen gelten als unverändert.
+     * @param {{onProgress?:(done:number,total:number)=>void}} [opts]
+     * @returns {Promise<{address:string, schemaVersion:string, checkedAt:string, changed:string[], failed:string[], classes:Object<string,Array>}>}
+     */
+    async checkForUpdates(opts = {}) {
+        if (!this.loadedAt) throw new Error('Update-Prüfung: kein Datensatz geladen');
+        const onProgress = typeof opts.onProgress === 'function' ? opts.onProgress : null;
+        const address = this.address;
+        const classes = {};
+        const failed = [];
+        let authError = null;
+        let done = 0;
+        await Promise.all(this.classKeys.map(async (k) => {
+            const def = this.schema.classes[k];
+            try {
+                const {json} = await this.#getJSONWithRetry(`${address}/${def.fqn}`);
+                classes[k] = this.#asArrayFromPath(json, def.path, true);
+            } catch (err) {
+                failed.push(k);
+                if (err?.kind === 'auth') authError = err;
+            } finally {
+                done++;
+                if (onProgress) onProgress(done, this.classKeys.length);
+            }
+        }));
+        if (failed.length === this.classKeys.length) {
+            throw authError || new Error(`Update-Prüfung: Keine Antwort von ${address}`);
+        }
+        const changed = Object.keys(classes).filter(k => JSON.stringify(classes[k]) !== JSON.stringify(this.raw[k] || []));
+        return {address, schemaVersion: this.version, checkedAt: new Date().toISOString(), changed, failed, classes};
+    }
+
+    /**
+     * Ergebnis von checkForUpdates übernehmen: geänderte Klassen ersetzen, übrige Rohdaten bleiben; neu indizieren.
+     * @param {{address:string, schemaVersion:string, checkedAt:string, classes:Object<string,Array>}} update
+     */
+    applyUpdate(update) {
+        if (!update?.classes) throw new Error('Update: keine Daten');
+        if (update.schemaVersion && update.schemaVersion !== this.version) {
+            throw new Error(`Update: Schema-Version ${update.schemaVersion} passt nicht zum Datensatz (${this.version})`);
+        }
+        const snapshot = this.toSnapshot();
+        for (const [k, arr] of Object.entries(update.classes)) {
+            if (Array.isArray(arr)) snapshot.classes[k] = arr;
+        }
+        snapshot.address = update.address || snapshot.address;
+        snapshot.loadedAt = update.checkedAt || new Date().toISOString();
+        const prevStatus = new Map(this.classStatus);
+        this.loadFromSnapshot(snapshot, {sourceType: 'server'});
+        // Klassen ohne neue Antwort behalten ihren bisherigen Status (inkl. Fehlerursache)
+        for (const k of this.classKeys) {
+            if (!(k in update.classes) && prevStatus.has(k)) this.classStatus.set(k, prevStatus.get(k));
         }
     }
 
@@ -66,6 +322,10 @@ export default class ISDPDataFetcher {
     getSpeedSegmentsByEdge(edgeId) { return this.speedProfilesByEdge.get(edgeId) || []; }
     getTrackPointsByEdge(edgeId) { return this.trackPointsByEdge.get(edgeId) || []; }
     getStationsByEdge(edgeId) { return this.stationsByEdge.get(edgeId) || []; }
+    getSwitchesByEdge(edgeId) { return this.switchesByEdge.get(edgeId) || []; }
+    getBufferStopsByEdge(edgeId) { return this.bufferStopsByEdge.get(edgeId) || []; }
+    getLevelCrossingsByEdge(edgeId) { return this.levelCrossingsByEdge.get(edgeId) || []; }
+    getPlatformEdgesByEdge(edgeId) { return this.platformEdgesByEdge.get(edgeId) || []; }
 
     // ---------------- Internals ----------------
     _resetRaw() {
@@ -73,6 +333,25 @@ export default class ISDPDataFetcher {
         for (const k of this.classKeys) this.raw[k] = [];
     }
 
+    _emptyClassStatus(key, state, error = null) {
+        return {
+            key,
+            fqn: this.fqnByKey.get(key) ?? null,
+            optional: !!this.schema.classes[key]?.optional,
+            state,
+            count: null,
+            durationMs: null,
+            httpStatus: null,
+            attempts: 0,
+            errorKind: error ? 'missing' : null,
+            error
+        };
+    }
+
+    _resetClassStatus(state, error = null) {
+        this.classStatus = new Map(this.classKeys.map(k => [k, this._emptyClassStatus(k, state, error)]));
+    }
+
     _resetCollections() {
         // Normalisierte Sammlungen
         this.geoNodes = [];
@@ -83,6 +362,12 @@ export default class ISDPDataFetcher {
         this.tdsSections = [];
         this.tdsComponents = [];
         this.speedSegments = [];
+        this.switches = [];
+        this.bufferStops = [];
+        this.levelCrossings = [];
+        this.platformEdges = [];
+        this.stations = [];
+        this.trackPoints = [];
 
         // Indizes
         this.nodesById = new Map();
@@ -110,42 +395,131 @@ export default class ISDPDataFetcher {
         this.speedProfilesByEdge = new Map();
 
         this.trackPointsByEdge = new Map();
+        this.trackPointsById = new Map();
         this.stationsByEdge = new Map();
+        this.stationsById = new Map();
+
+        this.switchesById = new Map();
+        this.switchesByEdge = new Map();
+        this.bufferStopsById = new Map();
+        this.bufferStopsByEdge = new Map();
+        this.levelCrossingsById = new Map();
+        this.levelCrossingsByEdge = new Map();
+        this.platformEdgesById = new Map();
+        this.platformEdgesByEdge = new Map();
+
+        // Element-Indizes getrennt nach Herkunft (Abgleich & Quellenauswahl)
+        this.embeddedIndex = {balisesByEdge: new Map(), signalsByEdge: new Map(), tdsComponentsByEdge: new Map()};
+        this.globalIndex = {balisesByEdge: new Map(), signalsByEdge: new Map(), tdsComponentsByEdge: new Map()};
+    }
+
+    // Nach der Normalisierung prüfen, ob brauchbare Daten vorhanden sind
+    #assertUsable() {
+        const edgesCount = this.edgesById?.size || 0;
+        const nodesCount = this.nodesById?.size || 0;
+        if (edgesCount === 0 && nodesCount === 0) {
+            throw new Error(`ISDP Daten leer oder unbrauchbar von ${this.source?.label ?? this.address}`);
+        }
     }
 
-    async #fetchClassByKey(key) {
+    async #fetchClassByKey(key, notify = null) {
         const def = this.schema.classes[key];
         const fqn = def.fqn;
         const url = `${this.address}/${fqn}`;
-        const json = await this.#getJSON(url);
-        const arr = this.#asArrayFromPath(json, def.path);
-        this.raw[key] = arr;
+        const status = this._emptyClassStatus(key, 'pending');
+        this.classStatus.set(key, status);
+        const t0 = performance.now();
+        try {
+            const {json, httpStatus} = await this.#getJSONWithRetry(url, status);
+            const arr = this.#asArrayFromPath(json, def.path, true);
+            this.raw[key] = arr;
+            Object.assign(status, {state: 'ok', count: arr.length, httpStatus});
+        } catch (err) {
+            Object.assign(status, {
+                state: 'failed',
+                httpStatus: err?.httpStatus ?? null,
+                errorKind: err?.kind ?? 'network',
+                error: String(err?.message || err)
+            });
+            throw err;
+        } finally {
+            status.durationMs = Math.round(performance.now() - t0);
+            if (notify) notify();
+        }
+    }
+
+    // Wiederholt Timeouts, Netzwerkfehler sowie HTTP 429/5xx mit exponentiellem Backoff
+    async #getJSONWithRetry(url, status = null) {
+        const {retries, backoffMs, backoffFactor} = this.requestOptions;
+        let attempt = 0;
+        for (;;) {
+            attempt++;
+            if (status) status.attempts = attempt;
+            try {
+                return await this.#getJSON(url);
+            } catch (err) {
+                const retryable = err?.kind === 'timeout' || err?.kind === 'network'
+                    || (err?.kind === 'http' && (err.httpStatus === 429 || err.httpStatus >= 500));
+                if (!retryable || attempt > retries) throw err;
+                const wait = backoffMs * Math.pow(backoffFactor, attempt - 1);
+                await new Promise(r => setTimeout(r, wait));
+            }
+        }
     }
 
     async #getJSON(url) {
+        const timeoutMs = this.requestOptions.timeoutMs;
         const ctrl = new AbortController();
-        const t = setTimeout(() => ctrl.abort(), 20000);
+        const t = setTimeout(() => ctrl.abort(), timeoutMs);
+        let res;
         try {
-            const res = await fetch(url, {signal: ctrl.signal});
-            if (!res.ok) throw new Error(`HTTP ${res.status} ${res.statusText}`);
+            res = await fetch(url, {signal: ctrl.signal, headers: this.#authHeaders()});
+        } catch (e) {
+            if (e?.name === 'AbortError') throw requestError(`Timeout nach ${Math.round(timeoutMs / 1000)} s`, 'timeout');
+            throw requestError(`Netzwerkfehler: ${e?.message || e}`, 'network');
+        }
+        try {
+            if (res.status === 401 || res.status === 403) {
+                const hint = res.status === 401
+                    ? (this.credentials ? 'Zugangsdaten abgelehnt' : 'Anmeldung erforderlich')
+                    : 'keine Berechtigung';
+                throw requestError(`HTTP ${res.status} ${res.statusText} – ${hint}`, 'auth', res.status);
+            }
+            if (!res.ok) throw requestError(`HTTP ${res.status} ${res.statusText}`, 'http', res.status);
             const text = await res.text();
             try {
-                return JSON.parse(text);
+                return {json: JSON.parse(text), httpStatus: res.status};
             } catch (e) {
-                throw new Error(`Antwort ist kein JSON: ${text.slice(0, 200)}`);
+                throw requestError(`Antwort ist kein JSON: ${text.slice(0, 200)}`, 'parse', res.status);
             }
+        } catch (e) {
+            if (e?.name === 'AbortError') throw requestError(`Timeout nach ${Math.round(timeoutMs / 1000)} s`, 'timeout');
+            throw e;
         } finally {
             clearTimeout(t);
         }
     }
 
-    #asArrayFromPath(payload, path) {
+    #authHeaders() {
+        const c = this.credentials;
+        if (c?.type === 'basic') {
+            // UTF-8 → Base64 (btoa allein scheitert an Umlauten)
+            const bytes = new TextEncoder().encode(`${c.username}:${c.password}`);
+            return {Authorization: `Basic ${btoa(String.fromCharCode(...bytes))}`};
+        }
+        if (c?.type === 'bearer') return {Authorization: `Bearer ${c.token}`};
+        return {};
+    }
+
+    // firstArrayFallback nur für Klassen-Antworten: bei eingebetteten Listen würde sonst eine fremde Liste
+    // (z. B. geoLines statt datapointsOnThisEdge) als Elementliste gelesen
+    #asArrayFromPath(payload, path, firstArrayFallback = false) {
         if (payload == null) return [];
         const v = this.#pickPath(payload, path);
         if (Array.isArray(v)) return v;
         if (v == null) {
             // Fallback: erstes Array im Objekt suchen
-            if (typeof payload === 'object') {
+            if (firstArrayFallback && typeof payload === 'object') {
                 for (const [, val] of Object.entries(payload)) if (Array.isArray(val)) return val;
             }
             return [];
@@ -203,13 +577,17 @@ export default class ISDPDataFetcher {
             for (const raw of this.raw.ETCSDataPoint) {
                 const b = this.#normalizeBaliseBySchema(raw, cfg);
                 if (!b) continue;
+                b.source = 'global';
                 const edge = b.netElementRef ? this.edgesById.get(b.netElementRef) : null;
                 b.intrinsicAB = this.#toABIntrinsic(edge, b.intrinsicRef ?? b.intrinsicCoord ?? null);
                 if (b.id && !this.balisesById.has(b.id)) {
                     this.balises.push(b);
                     this.balisesById.set(b.id, b);
                 }
-                if (b.netElementRef) this.#pushIndexArray(this.balisesByEdge, b.netElementRef, b, true);
+                if (b.netElementRef) {
+                    this.#pushIndexArray(this.balisesByEdge, b.netElementRef, b, true);
+                    this.#pushIndexArray(this.globalIndex.balisesByEdge, b.netElementRef, b, true);
+                }
             }
         }
 
@@ -246,11 +624,15 @@ export default class ISDPDataFetcher {
             for (const raw of this.raw.TdsComponent) {
                 const tc = this.#normalizeTdsComponentBySchema(raw, cfg);
                 if (!tc) continue;
+                tc.source = 'global';
                 const edge = tc.netElementRef ? this.edgesById.get(tc.netElementRef) : null;
                 tc.intrinsicAB = this.#toABIntrinsic(edge, tc.intrinsicRef ?? tc.intrinsicCoord ?? null);
                 if (tc.id && !this.tdsComponentsById.has(tc.id)) this.tdsComponentsById.set(tc.id, tc);
                 this.tdsComponents.push(tc);
-                if (tc.netElementRef) this.#pushIndexArray(this.tdsComponentsByEdge, tc.netElementRef, tc, true);
+                if (tc.netElementRef) {
+                    this.#pushIndexArray(this.tdsComponentsByEdge, tc.netElementRef, tc, true);
+                    this.#pushIndexArray(this.globalIndex.tdsComponentsByEdge, tc.netElementRef, tc, true);
+                }
             }
         }
 
@@ -262,6 +644,27 @@ export default class ISDPDataFetcher {
                 if (!sg) continue;
                 this.signalGroups.push(sg);
                 if (sg.id) this.signalgroupsById.set(sg.id, sg);
+                // Lokalisierbare Gruppe = globales Gegenstück zu signalsOnThisEdge
+                if (sg.netElementRef) {
+                    const s = {
+                        id: sg.id,
+                        name: sg.name,
+                        netElementRef: sg.netElementRef,
+                        intrinsicRef: sg.intrinsicCoord,
+                        applicationDirection: sg.applicationDirection,
+                        geoCo: sg.geoCo,
+                        linearCoordinate: sg.linearCoordinate,
+                        source: 'global',
+                        raw
+                    };
+                    s.intrinsicAB = this.#toABIntrinsic(this.edgesById.get(s.netElementRef), s.intrinsicRef);
+                    this.#pushIndexArray(this.globalIndex.signalsByEdge, s.netElementRef, s, true);
+                    if (!s.id || !this.signalsById.has(s.id)) {
+                        if (s.id) this.signalsById.set(s.id, s);
+                        this.signals.push(s);
+                        this.#pushIndexArray(this.signalsByEdge, s.netElementRef, s, true);
+                    }
+                }
                 if (Array.isArray(sg.signals)) {
                     for (const s of sg.signals) {
                         const edge = s.netElementRef ? this.edgesById.get(s.netElementRef) : null;
@@ -274,6 +677,38 @@ export default class ISDPDataFetcher {
                 }
             }
         }
+
+        // 3.5) Weichen / Prellböcke / Bahnübergänge (punktförmig)
+        const pointClasses = [
+            ['Switch', this.switches, this.switchesById, this.switchesByEdge],
+            ['BufferStop', this.bufferStops, this.bufferStopsById, this.bufferStopsByEdge],
+            ['LevelCrossing', this.levelCrossings, this.levelCrossingsById, this.levelCrossingsByEdge]
+        ];
+        for (const [key, list, byId, byEdge] of pointClasses) {
+            if (!this.raw[key]) continue;
+            const cfg = this.schema.classes[key];
+            for (const raw of this.raw[key]) {
+                const el = this.#normalizePointAssetBySchema(raw, cfg);
+                if (!el) continue;
+                if (el.id && byId.has(el.id)) continue;
+                if (el.id) byId.set(el.id, el);
+                list.push(el);
+                if (el.netElementRef) this.#pushIndexArray(byEdge, el.netElementRef, el, true);
+            }
+        }
+
+        // 3.6) Bahnsteigkanten (Ausdehnung entlang einer Edge)
+        if (this.raw.PlatformEdge) {
+            const cfg = this.schema.classes.PlatformEdge;
+            for (const raw of this.raw.PlatformEdge) {
+                const pe = this.#normalizePlatformEdgeBySchema(raw, cfg);
+                if (!pe) continue;
+                if (pe.id && this.platformEdgesById.has(pe.id)) continue;
+                if (pe.id) this.platformEdgesById.set(pe.id, pe);
+                this.platformEdges.push(pe);
+                if (pe.netElementRef) this.#pushIndexArray(this.platformEdgesByEdge, pe.netElementRef, pe, true);
+            }
+        }
     }
 
     // ---- Normalizer: Schema-gesteuert ----
@@ -356,12 +791,20 @@ export default class ISDPDataFetcher {
         return {id, type: 'Arc', points, center, radius, raw};
     }
 
+    // Übergangsbogen: Endpunkte (A/B oder Punktliste) + Anfangs-/Endradius und Länge für die Klothoide.
+    // Radius 0 bzw. fehlend auf einer Seite = Gerade; fehlen beide, bleibt es bei der Polylinie.
     #normalizeGeoTransition(raw) {
         if (!raw || typeof raw !== 'object') return null;
         const id = this.#pick(raw, 'id', null);
+        const A = this.#normCoord(this.#pick(raw, 'A', this.#pick(raw, 'a', null)));
+        const B = this.#normCoord(this.#pick(raw, 'B', this.#pick(raw, 'b', null)));
         const pts = this.#pick(raw, 'pointList', this.#pick(raw, 'points', this.#pick(raw, 'vertices', [])));
-        const points = Array.isArray(pts) ? pts.map(p => this.#normCoord(p)).filter(Boolean) : [];
-        return {id, type: 'Transition', points, center: null, radius: null, raw};
+        let points = Array.isArray(pts) ? pts.map(p => this.#normCoord(p)).filter(Boolean) : [];
+        if (points.length < 2 && A && B) points = [A, B];
+        const startRadius = this.#safeNumber(this.#pickPath(raw, 'startRadius_in_meter|radiusA_in_meter|startRadius'), null);
+        const endRadius = this.#safeNumber(this.#pickPath(raw, 'endRadius_in_meter|radiusB_in_meter|endRadius'), null);
+        const length = this.#safeNumber(this.#pickPath(raw, 'length_in_meter|length'), null);
+        return {id, type: 'Transition', points, center: null, radius: null, startRadius, endRadius, length, raw};
     }
 
     #normalizeGeoElementLoose(raw) {
@@ -415,7 +858,9 @@ export default class ISDPDataFetcher {
         const intrinsicRef = this.#safeNumber(this.#pickPath(raw, cfg.fields.intrinsicCoord), null);
         const applicationDirection = this.#pickPath(raw, cfg.fields.applicationDirection) ?? null;
         const pos = this.#safeNumber(this.#pickPath(raw, cfg.fields.pos), null);
-        return {id, name, componentType, netElementRef, intrinsicRef, applicationDirection, pos, raw};
+        const geoCo = this.#normCoord(this.#pickPath(raw, cfg.fields.geometricCoordinate));
+        const linearCoordinate = this.#safeNumber(this.#pickPath(raw, cfg.fields.linearCoordinate), null);
+        return {id, name, componentType, netElementRef, intrinsicRef, applicationDirection, pos, geoCo, linearCoordinate, raw};
     }
 
     #normalizeSignalGroupBySchema(raw, cfg) {
@@ -425,12 +870,61 @@ export default class ISDPDataFetcher {
         // Viele ISDP-Dumps liefern Signale als separate Liste; hier belassen wir Group ohne Flatten,
         // die Flatten-Logik übernehmen wir in #normalizeAndIndex() sobald wir die Einzel-Signale kennen.
         // Optional: wenn im Group-Objekt ein "signals"-Array steckt, versuchen wir dort die Minimalfelder zu lesen
-        const loc = this.#pick(raw, 'location', null);
-        const netElementRef = this.#pick(loc, 'netElementRef', null);
-        const intrinsicCoord = this.#safeNumber(this.#pick(loc, 'intrinsicCoord', null), null);
-        // Dummy-Signal, falls Gruppe selbst lokalisierbar ist (optional)
+        const netElementRef = this.#pickPath(raw, cfg.fields.refTrackEdge) ?? null;
+        const intrinsicCoord = this.#safeNumber(this.#pickPath(raw, cfg.fields.intrinsicCoord), null);
+        const applicationDirection = this.#pickPath(raw, cfg.fields.applicationDirection) ?? null;
+        const geoCo = this.#normCoord(this.#pickPath(raw, cfg.fields.geometricCoordinate));
+        const linearCoordinate = this.#safeNumber(this.#pickPath(raw, cfg.fields.linearCoordinate), null);
         const signals = [];
-        return {id, name, netElementRef, intrinsicCoord, signals, raw};
+        return {id, name, netElementRef, intrinsicCoord, applicationDirection, geoCo, linearCoordinate, signals, raw};
+    }
+
+    // Weiche, Prellbock, Bahnübergang: Lage über TrackEdge+IK, ersatzweise über refNode (Kantenende am GeoNode)
+    #normalizePointAssetBySchema(raw, cfg) {
+        if (!raw || typeof raw !== 'object') return null;
+        const f = cfg.fields;
+        const id = this.#pickPath(raw, f.id) ?? null;
+        const name = this.#pickPath(raw, f.name) ?? null;
+        const assetType = this.#pickPath(raw, f.type) ?? null;
+        const nodeRef = this.#pickPath(raw, f.refNode) ?? null;
+        let netElementRef = this.#pickPath(raw, f.refTrackEdge) ?? null;
+        let intrinsicRef = this.#safeNumber(this.#pickPath(raw, f.intrinsicCoord), null);
+        const applicationDirection = this.#pickPath(raw, f.applicationDirection) ?? null;
+        let edge = netElementRef ? this.edgesById.get(netElementRef) : null;
+        let intrinsicAB = this.#toABIntrinsic(edge, intrinsicRef);
+        if (!netElementRef && nodeRef) {
+            edge = this.edgesById.get((this.edgesByNodeId.get(nodeRef) || [])[0]) || null;
+            if (edge) {
+                netElementRef = edge.id;
+                intrinsicAB = (edge.nodeIdA === nodeRef) ? 0 : 1;
+                intrinsicRef = this.#toABIntrinsic(edge, intrinsicAB); // AB↔Ref ist symmetrisch
+            }
+        }
+        return {id, name, assetType, nodeRef, netElementRef, intrinsicRef, intrinsicAB, applicationDirection, raw};
+    }
+
+    #normalizePlatformEdgeBySchema(raw, cfg) {
+        if (!raw || typeof raw !== 'object') return null;
+        const f = cfg.fields;
+        const id = this.#pickPath(raw, f.id) ?? null;
+        const name = this.#pickPath(raw, f.name) ?? null;
+        const netElementRef = this.#pickPath(raw, f.refTrackEdge) ?? null;
+        const startIntrinsicRef = this.#safeNumber(this.#pickPath(raw, f.intrinsicCoordBegin), null);
+        const endIntrinsicRef = this.#safeNumber(this.#pickPath(raw, f.intrinsicCoordEnd), null);
+        const lengthM = this.#safeNumber(this.#pickPath(raw, f.lengthM), null);
+        const heightM = this.#safeNumber(this.#pickPath(raw, f.heightM), null);
+        const edge = netElementRef ? this.edgesById.get(netElementRef) : null;
+        let sAB = this.#toABIntrinsic(edge, startIntrinsicRef);
+        let tAB = this.#toABIntrinsic(edge, endIntrinsicRef);
+        if (sAB != null && tAB != null && sAB > tAB) {
+            const tmp = sAB;
+            sAB = tAB;
+            tAB = tmp;
+        }
+        return {
+            id, name, netElementRef, startIntrinsicRef, endIntrinsicRef,
+            startIntrinsicAB: sAB, endIntrinsicAB: tAB, lengthM, heightM, raw
+        };
     }
 
     // ---- Edge-embedded ingest ----
@@ -465,11 +959,13 @@ export default class ISDPDataFetcher {
         for (const cRaw of tComp) {
             const tc = this.#normalizeTdsComponentBySchema(cRaw, this.schema.classes.TdsComponent);
             if (!tc) continue;
+            tc.source = 'embedded';
             if (!tc.netElementRef) tc.netElementRef = e.id;
             tc.intrinsicAB = this.#toABIntrinsic(e, tc.intrinsicRef ?? tc.intrinsicCoord ?? null);
             if (tc.id && !this.tdsComponentsById.has(tc.id)) this.tdsComponentsById.set(tc.id, tc);
             this.tdsComponents.push(tc);
             this.#pushIndexArray(this.tdsComponentsByEdge, e.id, tc, true);
+            this.#pushIndexArray(this.embeddedIndex.tdsComponentsByEdge, e.id, tc, true);
         }
 
         // Signals on edge (optional)
@@ -480,11 +976,17 @@ export default class ISDPDataFetcher {
             let netElementRef = this.#pickPath(sRaw, 'location.netElementRef') ?? null;
             let intrinsicRef = this.#safeNumber(this.#pickPath(sRaw, 'location.intrinsicCoord'), null);
             if (!netElementRef) netElementRef = e.id;
-            const s = {id, netElementRef, intrinsicRef, raw: sRaw};
+            const sgFields = this.schema.classes.Signalgroup?.fields;
+            const name = this.#pickPath(sRaw, sgFields?.name) ?? null;
+            const geoCo = this.#normCoord(this.#pickPath(sRaw, sgFields?.geometricCoordinate));
+            const linearCoordinate = this.#safeNumber(this.#pickPath(sRaw, sgFields?.linearCoordinate), null);
+            const applicationDirection = this.#pickPath(sRaw, sgFields?.applicationDirection) ?? null;
+            const s = {id, name, netElementRef, intrinsicRef, applicationDirection, geoCo, linearCoordinate, source: 'embedded', raw: sRaw};
             s.intrinsicAB = this.#toABIntrinsic(e, intrinsicRef);
             if (s.id && !this.signalsById.has(s.id)) this.signalsById.set(s.id, s);
             this.signals.push(s);
             this.#pushIndexArray(this.signalsByEdge, e.id, s, true);
+            this.#pushIndexArray(this.embeddedIndex.signalsByEdge, e.id, s, true);
         }
 
         // Balises on edge (optional)
@@ -492,20 +994,91 @@ export default class ISDPDataFetcher {
         for (const bRaw of bals) {
             const b = this.#normalizeBaliseBySchema(bRaw, this.schema.classes.ETCSDataPoint);
             if (!b) continue;
+            b.source = 'embedded';
             if (!b.netElementRef) b.netElementRef = e.id;
             b.intrinsicAB = this.#toABIntrinsic(e, b.intrinsicRef ?? b.intrinsicCoord ?? null);
             if (b.id && !this.balisesById.has(b.id)) this.balisesById.set(b.id, b);
             this.balises.push(b);
             this.#pushIndexArray(this.balisesByEdge, e.id, b, true);
+            this.#pushIndexArray(this.embeddedIndex.balisesByEdge, e.id, b, true);
         }
 
-        // trackPoints (roh)
+        // trackPoints (Stützpunkte der Geometrie, Reihenfolge bleibt erhalten)
         const tps = this.#asArrayFromPath(rawEdge, teCfg.elements.trackPoints);
-        for (const tp of tps) this.#pushIndexArray(this.trackPointsByEdge, e.id, tp, true);
-
-        // stations (roh)
+        tps.forEach((tpRaw, i) => {
+            const tp = this.#normalizeTrackPoint(tpRaw, e, i);
+            if (!tp || this.trackPointsById.has(tp.id)) return;
+            this.trackPointsById.set(tp.id, tp);
+            this.trackPoints.push(tp);
+            this.#pushIndexArray(this.trackPointsByEdge, e.id, tp, true);
+        });
+
+        // stations: Teilstück je Edge, zusammengefasst je Bahnhof (ID, sonst Name)
         const sts = this.#asArrayFromPath(rawEdge, teCfg.elements.stations);
-        for (const st of sts) this.#pushIndexArray(this.stationsByEdge, e.id, st, true);
+        sts.forEach((stRaw, i) => {
+            const part = this.#normalizeStationPart(stRaw, e, i);
+            if (!part) return;
+            this.#pushIndexArray(this.stationsByEdge, e.id, part, true);
+            let st = this.stationsById.get(part.id);
+            if (!st) {
+                st = {id: part.id, name: part.name, shortName: part.shortName, km: part.km, parts: []};
+                this.stationsById.set(part.id, st);
+                this.stations.push(st);
+            }
+            st.name = st.name ?? part.name;
+            st.shortName = st.shortName ?? part.shortName;
+            st.km = st.km ?? part.km;
+            st.parts.push(part);
+        });
+    }
+
+    // Stützpunkt: eigene Koordinate und/oder IK; ohne ID wird eine stabile ID aus Edge + Index gebildet
+    #normalizeTrackPoint(raw, e, index) {
+        if (!raw || typeof raw !== 'object') return null;
+        const f = this.schema.embedded?.TrackPoint?.fields || {};
+        const id = this.#pickPath(raw, f.id) ?? `${e.id}/tp${index}`;
+        const x = this.#safeNumber(this.#pickPath(raw, f.x), null);
+        const y = this.#safeNumber(this.#pickPath(raw, f.y), null);
+        const intrinsicRef = this.#safeNumber(this.#pickPath(raw, f.intrinsicCoord), null);
+        return {
+            id,
+            index,
+            netElementRef: e.id,
+            geoCo: (x != null && y != null) ? {x, y} : null,
+            intrinsicRef,
+            intrinsicAB: this.#toABIntrinsic(e, intrinsicRef),
+            pointType: this.#pickPath(raw, f.type) ?? null,
+            radius: this.#safeNumber(this.#pickPath(raw, f.radius), null),
+            km: this.#safeNumber(this.#pickPath(raw, f.km), null),
+            raw
+        };
+    }
+
+    // Bahnhof auf einer Edge: Punkt (intrinsicCoord), Ausdehnung (Begin/End) oder ohne Lage = ganze Edge
+    #normalizeStationPart(raw, e, index) {
+        if (!raw || typeof raw !== 'object') return null;
+        const f = this.schema.embedded?.Station?.fields || {};
+        const name = this.#pickPath(raw, f.name) ?? null;
+        const id = this.#pickPath(raw, f.id) ?? name ?? `${e.id}/station${index}`;
+        const shortName = this.#pickPath(raw, f.shortName) ?? null;
+        const km = this.#safeNumber(this.#pickPath(raw, f.km), null);
+        const ik = this.#safeNumber(this.#pickPath(raw, f.intrinsicCoord), null);
+        const ikBegin = this.#safeNumber(this.#pickPath(raw, f.intrinsicCoordBegin), null);
+        const ikEnd = this.#safeNumber(this.#pickPath(raw, f.intrinsicCoordEnd), null);
+        let sAB, tAB;
+        let intrinsicAB = null;
+        if (ikBegin != null && ikEnd != null) {
+            sAB = this.#toABIntrinsic(e, ikBegin);
+            tAB = this.#toABIntrinsic(e, ikEnd);
+            if (sAB > tAB) [sAB, tAB] = [tAB, sAB];
+        } else if (ik != null) {
+            intrinsicAB = this.#toABIntrinsic(e, ik);
+            sAB = tAB = intrinsicAB;
+        } else {
+            sAB = 0;
+            tAB = 1;
+        }
+        return {id, name, shortName, km, netElementRef: e.id, intrinsicAB, startIntrinsicAB: sAB, endIntrinsicAB: tAB, raw};
     }
 
     // ---------------- Helpers ----------------
@@ -543,35 +1116,9 @@ export default class ISDPDataFetcher {
         return (x != null && y != null) ? {x, y} : null;
     }
 
-    // Pfad-Leser: unterstützt Alternativen (a|b|c) und Array-Indices (names[0].name)
+    // Pfad-Leser: unterstützt Alternativen (a|b|c) und Array-Indices (names[0].name) – siehe utils/schemaPath.js
     #pickPath(obj, path) {
-        if (!path || !obj) return undefined;
-        const alts = String(path).split('|').map(s => s.trim());
-        for (const p of alts) {
-            const val = this.#getByPath(obj, p);
-            if (val !== undefined && val !== null) return val;
-        }
-        return undefined;
-    }
-
-    #getByPath(obj, path) {
-        if (!obj || !path) return undefined;
-        let cur = obj;
-        const parts = String(path).split('.');
-        for (let part of parts) {
-            if (cur == null) return undefined;
-            const m = part.match(/^(.*?)\[(\d+)\]$/);
-            if (m) {
-                const key = m[1];
-                const idx = Number(m[2]);
-                cur = cur[key];
-                if (!Array.isArray(cur)) return undefined;
-                cur = cur[idx];
-            } else {
-                cur = cur[part];
-            }
-        }
-        return cur;
+        return pickPath(obj, path);
     }
 
     // Ref-IK (von refNode aus) -> AB-IK (immer A→B)
@@ -0,0 +1,167 @@
+// ISDPDumpReader.js
+// Liest Offline-Dumps von ISDP-Antworten (Dateiauswahl oder Drag&Drop) und ordnet sie den Schema-Klassen zu
+// – Einzeldateien pro Klasse: Dateiname enthält Klassen-Schlüssel oder FQN (z. B. GeoNode.json, de.bst.ibw.data.topology.GeoNode.json)
+// – Ordner (webkitdirectory / gedroppte Verzeichnisse) werden rekursiv gelesen
+// – ZIP-Archive werden entpackt (JSZip wird erst bei Bedarf geladen)
+// – Kombinierte Datei: ein JSON-Objekt mit Klassen-Schlüsseln oder FQNs als Top-Level-Keys
+// – Exportierte Snapshots (ISDPDataFetcher.toSnapshot) werden erkannt und unverändert zurückgegeben
+// Ergebnis sind die unveränderten Server-Antworten je Klasse; Pfadauflösung & Normalisierung übernimmt der ISDPDataFetcher.
+
+import ISDPDataFetcher from "./ISDPDataFetcher.js";
+
+const JSZIP_URL = "https://cdn.jsdelivr.net/npm/jszip@3.10.1/+esm";
+
+export default class ISDPDumpReader {
+    /**
+     * @param {{classKeys:string[], fqnByKey:Map<string,string>}} fetcher  aktiver ISDPDataFetcher (liefert Klassen des Schemas)
+     */
+    constructor(fetcher) {
+        if (!fetcher || !Array.isArray(fetcher.classKeys)) {
+            throw new Error("ISDPDumpReader: fetcher mit classKeys erforderlich");
+        }
+        this.fetcher = fetcher;
+    }
+
+    /**
+     * Liest alle übergebenen Dateien (JSON/ZIP) und liefert die Antworten je Klassen-Schlüssel.
+     * @param {Iterable<File>} files
+     * @returns {Promise<{payloads:Object<string,*>, matched:string[], unmatched:string[], label:string, snapshot?:Object}>}
+     */
+    async read(files) {
+        const list = Array.from(files || []);
+        if (!list.length) throw new Error("Keine Dateien ausgewählt");
+
+        const payloads = {};
+        const unmatched = [];
+        const entries = [];
+
+        for (const file of list) {
+            const name = file.webkitRelativePath || file.name || "";
+            if (/\.zip$/i.test(name)) {
+                entries.push(...await this._readZip(file));
+            } else if (/\.json$/i.test(name) || file.type === "application/json") {
+                entries.push({name, text: await file.text()});
+            } else {
+                unmatched.push(name);
+            }
+        }
+
+        for (const {name, text} of entries) {
+            let json;
+            try {
+                json = JSON.parse(text);
+            } catch (e) {
+                throw new Error(`Datei ist kein JSON: ${name}`);
+            }
+            if (ISDPDataFetcher.isSnapshot(json)) {
+                if (entries.length > 1) throw new Error(`Snapshot muss einzeln geöffnet werden: ${name}`);
+                return {payloads: {}, matched: Object.keys(json.classes || {}), unmatched, label: name, snapshot: json};
+            }
+            const key = this.matchClassKey(name);
+            if (key) {
+                payloads[key] = json;
+                continue;
+            }
+            // Kombinierte Datei: Top-Level-Keys sind Klassen
+            const combined = this._splitCombined(json);
+            if (combined) {
+                Object.assign(payloads, combined);
+                continue;
+            }
+            unmatched.push(name);
+        }
+
+        const matched = Object.keys(payloads);
+        if (!matched.length) {
+            throw new Error("Keine Datei konnte einer ISDP-Klasse zugeordnet werden");
+        }
+        const label = list.length === 1
+            ? (list[0].name || "dump")
+            : (this._commonFolder(list) || `${list.length} Dateien`);
+        return {payloads, matched, unmatched, label};
+    }
+
+    /** Ordnet einen Dateinamen (inkl. Pfad) einem Klassen-Schlüssel zu – per FQN oder Klassen-Schlüssel */
+    matchClassKey(fileName) {
+        const base = String(fileName || "").split(/[\\/]/).pop().replace(/\.json$/i, "").toLowerCase();
+        if (!base) return null;
+        // FQN zuerst (eindeutiger als der kurze Schlüssel)
+        for (const key of this.fetcher.classKeys) {
+            const fqn = String(this.fetcher.fqnByKey.get(key) || "").toLowerCase();
+            if (fqn && (base === fqn || base.includes(fqn))) return key;
+        }
+        for (const key of this.fetcher.classKeys) {
+            const k = key.toLowerCase();
+            if (base === k || base.endsWith(`.${k}`) || base.startsWith(`${k}.`) || base.startsWith(`${k}_`) || base.startsWith(`${k}-`)) return key;
+        }
+        return null;
+    }
+
+    /**
+     * Sammelt Dateien aus einem Drop-Event (inkl. Ordnern über webkitGetAsEntry).
+     * @param {DataTransfer} dt
+     * @returns {Promise<File[]>}
+     */
+    static async filesFromDataTransfer(dt) {
+        if (!dt) return [];
+        const items = Array.from(dt.items || []);
+        const entries = items
+            .map(it => (typeof it.webkitGetAsEntry === "function") ? it.webkitGetAsEntry() : null)
+            .filter(Boolean);
+        if (!entries.length) return Array.from(dt.files || []);
+
+        const out = [];
+        const walk = async (entry, prefix) => {
+            if (entry.isFile) {
+                const file = await new Promise((res, rej) => entry.file(res, rej));
+                // relativer Pfad für Label/Zuordnung erhalten
+                try {
+                    Object.defineProperty(file, "webkitRelativePath", {value: `${prefix}${file.name}`});
+                } catch {}
+                out.push(file);
+            } else if (entry.isDirectory) {
+                const reader = entry.createReader();
+                let batch;
+                do {
+                    batch = await new Promise((res, rej) => reader.readEntries(res, rej));
+                    for (const child of batch) await walk(child, `${prefix}${entry.name}/`);
+                } while (batch.length);
+            }
+        };
+        for (const e of entries) await walk(e, "");
+        return out;
+    }
+
+    // ---------------- Internals ----------------
+    async _readZip(file) {
+        let JSZip;
+        try {
+            JSZip = (await import(JSZIP_URL)).default;
+        } catch (e) {
+            throw new Error("ZIP-Unterstützung konnte nicht geladen werden");
+        }
+        const zip = await JSZip.loadAsync(file);
+        const out = [];
+        for (const entry of Object.values(zip.files)) {
+            if (entry.dir || !/\.json$/i.test(entry.name)) continue;
+            out.push({name: entry.name, text: await entry.async("string")});
+        }
+        return out;
+    }
+
+    _splitCombined(json) {
+        if (!json || typeof json !== "object" || Array.isArray(json)) return null;
+        const out = {};
+        for (const [k, v] of Object.entries(json)) {
+            const key = this.fetcher.classKeys.includes(k) ? k : this.matchClassKey(k);
+            if (key) out[key] = v;
+        }
+        return Object.keys(out).length ? out : null;
+    }
+
+    _commonFolder(files) {
+        const first = String(files[0]?.webkitRelativePath || "").split("/")[0];
+        if (!first) return null;
+        return files.every(f => String(f.webkitRelativePath || "").split("/")[0] === first) ? first : null;
+    }
+}
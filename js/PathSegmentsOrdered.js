@@ -27,13 +27,28 @@
 //   packed = {
 //     length: number,           // Gesamtlänge
 //     segments: Array<Segment>, // Segmentliste
+//     issues: Array<Issue>,     // Geometrie-QA (siehe unten)
 //   }
 //   Segment:
 //     { kind:"line", p1:{x,y}, p2:{x,y}, len:number }
 //     { kind:"arc", p1:{x,y}, p2:{x,y}, center:{x,y}, r:number,
 //       ang1:number, ang2:number, sweep:number, len:number }
+//     { kind:"clothoid", p1:{x,y}, p2:{x,y}, k1:number, k2:number,
+//       theta1:number, theta2:number, len:number }
+//       (Übergangsbogen: Krümmung linear von k1 nach k2, Vorzeichen + = links;
+//        theta1/theta2 = Tangentenrichtung an p1/p2; Auswertung über pointOnClothoid)
+//   Issue (Stetigkeitsprüfung beim Aufbau; Snapping/Umdrehen bleibt wie gehabt, wird aber protokolliert):
+//     { type:"gap"|"overlap"|"reversed"|"tangency", elementId, prevElementId,
+//       segmentIndex:number, x, y, value:number|null }
+//     gap/overlap: Abstand [m] zwischen Kettenende und Elementanfang (overlap = Anfang liegt hinter dem Ende)
+//     reversed:    Element musste gegen seine Rohrichtung eingehängt werden
+//     tangency:    Richtungssprung [rad] zwischen aufeinanderfolgenden Elementen
 // ----------------------------------------------------------------------------
 
+// Toleranzen der Geometrie-QA
+const QA_GAP_TOL = 1e-3;       // [m], entspricht der "same"-Toleranz
+const QA_HEADING_TOL = 2e-3;   // [rad] ≈ 0.11°
+
 export function buildOrderedSegments(store, edgeId, opts = {}) {
     const EPS = opts.eps ?? 1e-6;
     const cache = store._segmentsCache || (store._segmentsCache = new Map());
@@ -46,8 +61,11 @@ export function buildOrderedSegments(store, edgeId, opts = {}) {
     const As = new Map((store.getGeoArcsByEdge(edgeId) || []).map(e => [e.id, e]));
 
     const segs = [];
+    const issues = [];
     let lastEnd = null;     // letzter Endpunkt der bisher gebauten Kette
     let lastDir = null;     // letzte Tangentenrichtung (Einheitsvektor)
+    let curId = null;       // ID des gerade verarbeiteten Roh-Elements (für QA)
+    let prevId = null;
 
     const norm = p => (p && isFinite(p.x) && isFinite(p.y)) ? {x: +p.x, y: +p.y} : null;
     const dist = (a, b) => Math.hypot(b.x - a.x, b.y - a.y);
@@ -59,6 +77,19 @@ export function buildOrderedSegments(store, edgeId, opts = {}) {
     };
     const same = (a, b) => dist(a, b) <= (opts.snap ?? 1e-3);
 
+    const note = (type, at, value = null, segmentIndex = segs.length) =>
+        issues.push({type, elementId: curId, prevElementId: prevId, segmentIndex, x: at.x, y: at.y, value});
+
+    // Anschluss eines Elements an die bisherige Kette prüfen (vor dem Snappen)
+    function checkJoin(a) {
+        if (!lastEnd || !segs.length) return;
+        const d = dist(lastEnd, a);
+        if (d <= (opts.gapTol ?? QA_GAP_TOL)) return;
+        const t = tangentAtEnd(segs[segs.length - 1]);
+        const behind = (a.x - lastEnd.x) * t.x + (a.y - lastEnd.y) * t.y < 0;
+        note(behind ? "overlap" : "gap", lastEnd, d);
+    }
+
     function pushLineOriented(p1, p2) {
         let a = norm(p1), b = norm(p2);
         if (!a || !b) return;
@@ -88,7 +119,11 @@ export function buildOrderedSegments(store, edgeId, opts = {}) {
         if (lastEnd) {
             const dStart = dist(lastEnd, P[0]);
             const dEnd = dist(lastEnd, P[P.length - 1]);
-            if (dEnd + EPS < dStart) P.reverse();
+            if (dEnd + EPS < dStart) {
+                P.reverse();
+                note("reversed", P[0]);
+            }
+            checkJoin(P[0]);
             if (!same(lastEnd, P[0]) && dist(lastEnd, P[0]) < (opts.snap ?? 1e-2)) P[0] = lastEnd;
         }
         for (let i = 0; i < P.length - 1; i++) pushLineOriented(P[i], P[i + 1]);
@@ -144,7 +179,17 @@ export function buildOrderedSegments(store, edgeId, opts = {}) {
         return {kind: "arc", p1: a, p2: b, ...s1};
     }
 
+    function tangentAtEnd(seg) {
+        if (seg.kind === "clothoid") return {x: Math.cos(seg.theta2), y: Math.sin(seg.theta2)};
+        if (seg.kind === "arc") {
+            const rv = vnorm(vsub(seg.p2, seg.center));
+            return seg.sweep < 0 ? {x: rv.y, y: -rv.x} : {x: -rv.y, y: rv.x};
+        }
+        return vnorm(vsub(seg.p2, seg.p1));
+    }
+
     function tangentAtStart(seg) {
+        if (seg.kind === "clothoid") return {x: Math.cos(seg.theta1), y: Math.sin(seg.theta1)};
         if (seg.kind === "line") {
             const v = vnorm(vsub(seg.p2, seg.p1));
             return v;
@@ -171,7 +216,9 @@ export function buildOrderedSegments(store, edgeId, opts = {}) {
             if (dB + EPS < dA) {
                 a = pB;
                 b = pA;
+                note("reversed", a);
             }
+            checkJoin(a);
             if (!same(lastEnd, a) && dist(lastEnd, a) < (opts.snap ?? 1e-2)) a = lastEnd;
         }
 
@@ -205,36 +252,100 @@ export function buildOrderedSegments(store, edgeId, opts = {}) {
         lastDir = tangentAtStart(arc);
     }
 
-    // --- Hauptrunde: **genau in Roh-Reihenfolge** abarbeiten
-    for (const r of raw) {
+    function pushClothoidOriented(T) {
+        const pts = (T.points || []).map(norm).filter(Boolean);
+        const pA = pts[0], pB = pts[pts.length - 1];
+        // Ohne Radien (oder ohne Endpunkte) bleibt es bei der Sehnen-Polylinie
+        if (pts.length < 2 || (T.startRadius == null && T.endRadius == null)) {
+            pushPolylineOriented(T.points);
+            return;
+        }
+        const curv = r => (Number.isFinite(r) && r !== 0) ? 1 / r : 0;
+        let a = pA, b = pB, k1 = curv(T.startRadius), k2 = curv(T.endRadius);
+        // Deklarierte Radien für die Anzeige in Durchlaufrichtung (wie k1/k2); Vorzeichen nur, wenn die Quelle es trägt
+        const signed = T.startRadius < 0 || T.endRadius < 0;
+        let r1 = Number.isFinite(T.startRadius) ? T.startRadius : null;
+        let r2 = Number.isFinite(T.endRadius) ? T.endRadius : null;
+        if (lastEnd) {
+            if (dist(lastEnd, pB) + EPS < dist(lastEnd, pA)) {
+                // rückwärts durchlaufen: Krümmungen tauschen und spiegeln
+                a = pB;
+                b = pA;
+                [k1, k2] = [-k2, -k1];
+                [r1, r2] = [flipRadius(r2, signed), flipRadius(r1, signed)];
+                note("reversed", a);
+            }
+            checkJoin(a);
+            if (!same(lastEnd, a) && dist(lastEnd, a) < (opts.snap ?? 1e-2)) a = lastEnd;
+        }
+        const L = (T.length > 0) ? T.length : dist(a, b);
+
+        let seg = makeClothoid(a, b, k1, k2, L);
+        // Nur Beträge geliefert → Drehsinn über Tangenten-Kontinuität wählen (wie bei Bögen)
+        if (seg && lastDir && !(T.startRadius < 0 || T.endRadius < 0)) {
+            const alt = makeClothoid(a, b, -k1, -k2, L);
+            const dot = c => lastDir.x * Math.cos(c.theta1) + lastDir.y * Math.sin(c.theta1);
+            if (alt && dot(alt) > dot(seg)) seg = alt;
+        }
+        if (!seg) {
+            pushPolylineOriented([a, b]);
+            return;
+        }
+        // k1/k2/len sind auf die Sehne eingepasst; deklarierte Werte für die Anzeige behalten
+        seg.startRadius = r1;
+        seg.endRadius = r2;
+        seg.radiiSigned = signed;
+        seg.declaredLen = (T.length > 0) ? T.length : null;
+        segs.push(seg);
+        lastEnd = seg.p2;
+        lastDir = {x: Math.cos(seg.theta2), y: Math.sin(seg.theta2)};
+    }
+
+    function pushElement(r) {
         const id = r?.id ?? r?.geoElementId ?? null;
         if (!id) {
             if (r?.points) pushPolylineOriented(r.points);
-            continue;
+            return;
         }
 
         const L = Ls.get(id);
         if (L) {
             pushPolylineOriented(L.points);
-            continue;
+            return;
         }
 
         const T = Ts.get(id);
         if (T) {
-            pushPolylineOriented(T.points);
-            continue;
+            pushClothoidOriented(T);
+            return;
         }
 
         const A = As.get(id);
         if (A) {
             pushArcOriented(A);
-            continue;
+            return;
         }
 
         // Unbekannt → Fallback
         if (r?.points) pushPolylineOriented(r.points);
     }
 
+    // --- Hauptrunde: **genau in Roh-Reihenfolge** abarbeiten
+    for (const r of raw) {
+        const before = segs.length;
+        curId = r?.id ?? r?.geoElementId ?? null;
+        pushElement(r);
+        if (segs.length === before) continue;
+        // Richtungssprung am Elementübergang
+        if (before > 0) {
+            const t0 = tangentAtEnd(segs[before - 1]);
+            const t1 = tangentAtStart(segs[before]);
+            const ang = Math.acos(Math.max(-1, Math.min(1, t0.x * t1.x + t0.y * t1.y)));
+            if (ang > (opts.headingTol ?? QA_HEADING_TOL)) note("tangency", segs[before].p1, ang, before);
+        }
+        prevId = curId;
+    }
+
     // Orientierung A→B global prüfen und ggf. invertieren
     const ends = store.getEdgeEndpoints(edgeId);
     if (ends?.A && ends?.B && segs.length) {
@@ -242,7 +353,13 @@ export function buildOrderedSegments(store, edgeId, opts = {}) {
         const dB = dist(segs[0].p1, ends.B);
         if (dB + EPS < dA) {
             segs.reverse();
-            for (const s of segs) {
+            for (const i of issues) i.segmentIndex = Math.max(0, segs.length - 1 - i.segmentIndex);
+            for (let i = 0; i < segs.length; i++) {
+                const s = segs[i];
+                if (s.kind === "clothoid") {
+                    segs[i] = reverseClothoid(s);
+                    continue;
+                }
                 const t = s.p1;
                 s.p1 = s.p2;
                 s.p2 = t;
@@ -259,7 +376,7 @@ export function buildOrderedSegments(store, edgeId, opts = {}) {
     // Länge aufaddieren
     let total = 0;
     for (const s of segs) total += s.len ?? 0;
-    const packed = {length: total, segments: segs};
+    const packed = {length: total, segments: segs, issues};
     cache.set(edgeId, packed);
     return packed;
 }
@@ -275,6 +392,8 @@ export function projectIK_Ordered(store, edgeId, ik) {
             const t = (s.len > 0) ? (L - acc) / s.len : 0;
             if (s.kind === "line") {
                 return {x: s.p1.x + (s.p2.x - s.p1.x) * t, y: s.p1.y + (s.p2.y - s.p1.y) * t};
+            } else if (s.kind === "clothoid") {
+                return pointOnClothoid(s, L - acc);
             } else {
                 const ang = s.ang1 + s.sweep * t;
                 return {x: s.center.x + s.r * Math.cos(ang), y: s.center.y + s.r * Math.sin(ang)};
@@ -292,6 +411,104 @@ export function projectIK_Ordered(store, edgeId, ik) {
     return {x: 0, y: 0};
 }
 
+// Einheits-Tangente (Richtung A→B) an Meterposition ik; null ohne Segmente
+export function tangentIK_Ordered(store, edgeId, ik) {
+    const packed = buildOrderedSegments(store, edgeId);
+    const L = Math.max(0, Math.min(+ik || 0, packed.length || 0));
+    let acc = 0;
+    for (const s of packed.segments) {
+        const next = acc + (s.len || 0);
+        if (L <= next) return tangentOnSegment(s, L - acc);
+        acc = next;
+    }
+    const last = packed.segments[packed.segments.length - 1];
+    return last ? tangentOnSegment(last, last.len || 0) : null;
+}
+
+// --- Inverse Projektion: XY → nächster Punkt auf der geordneten Kette ----------
+// Liefert Bogenlänge ab Kettenanfang (s), Fußpunkt, Abstand und den vorzeichenbehafteten
+// Querabstand (lateral > 0 = links in Laufrichtung) oder null ohne Segmente.
+export function nearestOnSegments(packed, p) {
+    let best = null;
+    let acc = 0;
+    for (const seg of packed?.segments || []) {
+        const t = nearestParamOnSegment(seg, p);
+        const q = pointOnSegment(seg, t);
+        const d = Math.hypot(p.x - q.x, p.y - q.y);
+        if (!best || d < best.dist) best = {s: acc + t, x: q.x, y: q.y, dist: d, seg, t};
+        acc += seg.len || 0;
+    }
+    if (!best) return null;
+    const tan = tangentOnSegment(best.seg, best.t);
+    const cross = tan.x * (p.y - best.y) - tan.y * (p.x - best.x);
+    return {s: best.s, x: best.x, y: best.y, dist: best.dist, lateral: cross >= 0 ? best.dist : -best.dist};
+}
+
+function pointOnSegment(seg, t) {
+    if (seg.kind === "clothoid") return pointOnClothoid(seg, t);
+    const f = seg.len > 0 ? t / seg.len : 0;
+    if (seg.kind === "arc") {
+        const ang = seg.ang1 + seg.sweep * f;
+        return {x: seg.center.x + seg.r * Math.cos(ang), y: seg.center.y + seg.r * Math.sin(ang)};
+    }
+    return {x: seg.p1.x + (seg.p2.x - seg.p1.x) * f, y: seg.p1.y + (seg.p2.y - seg.p1.y) * f};
+}
+
+function tangentOnSegment(seg, t) {
+    if (seg.kind === "clothoid") {
+        const th = seg.theta1 + clothoidHeading(seg.k1, seg.k2, seg.len, t);
+        return {x: Math.cos(th), y: Math.sin(th)};
+    }
+    if (seg.kind === "arc") {
+        const ang = seg.ang1 + seg.sweep * (seg.len > 0 ? t / seg.len : 0);
+        const dir = seg.sweep < 0 ? -1 : 1;
+        return {x: -Math.sin(ang) * dir, y: Math.cos(ang) * dir};
+    }
+    const L = Math.hypot(seg.p2.x - seg.p1.x, seg.p2.y - seg.p1.y) || 1;
+    return {x: (seg.p2.x - seg.p1.x) / L, y: (seg.p2.y - seg.p1.y) / L};
+}
+
+// Bogenlänge (0..seg.len) des Fußpunkts von p auf einem Segment
+function nearestParamOnSegment(seg, p) {
+    const len = seg.len || 0;
+    if (seg.kind === "line") {
+        const vx = seg.p2.x - seg.p1.x, vy = seg.p2.y - seg.p1.y;
+        const vv = vx * vx + vy * vy;
+        const f = vv > 0 ? ((p.x - seg.p1.x) * vx + (p.y - seg.p1.y) * vy) / vv : 0;
+        return Math.max(0, Math.min(1, f)) * len;
+    }
+    if (seg.kind === "arc") {
+        const ang = Math.atan2(p.y - seg.center.y, p.x - seg.center.x);
+        const TAU = 2 * Math.PI;
+        const rel = seg.sweep >= 0
+            ? (((ang - seg.ang1) % TAU) + TAU) % TAU
+            : (((seg.ang1 - ang) % TAU) + TAU) % TAU;
+        if (rel <= Math.abs(seg.sweep)) return rel * seg.r;
+        // außerhalb des Bogens: näheres Ende
+        return Math.hypot(p.x - seg.p1.x, p.y - seg.p1.y) <= Math.hypot(p.x - seg.p2.x, p.y - seg.p2.y) ? 0 : len;
+    }
+    // Klothoide: grob abtasten, dann per Intervallschachtelung verfeinern
+    const n = Math.max(8, Math.ceil(len / 2));
+    const d2 = t => {
+        const q = pointOnClothoid(seg, t);
+        return (p.x - q.x) ** 2 + (p.y - q.y) ** 2;
+    };
+    let bi = 0, bd = Infinity;
+    for (let i = 0; i <= n; i++) {
+        const d = d2(len * i / n);
+        if (d < bd) {
+            bd = d;
+            bi = i;
+        }
+    }
+    let lo = len * Math.max(0, bi - 1) / n, hi = len * Math.min(n, bi + 1) / n;
+    for (let k = 0; k < 30; k++) {
+        const m1 = lo + (hi - lo) / 3, m2 = hi - (hi - lo) / 3;
+        if (d2(m1) <= d2(m2)) hi = m2; else lo = m1;
+    }
+    return (lo + hi) / 2;
+}
+
 // --- Hilfsfunktion: Sampling zu Polyline (für Renderer/Projector) -------------
 export function sampleSegmentsToPolyline(packed, maxChord = 3.0) {
     // maxChord: maximale Sehnenlänge beim Bogen-Sampling (in Einheiten des Koordinatensystems)
@@ -301,6 +518,8 @@ export function sampleSegmentsToPolyline(packed, maxChord = 3.0) {
         if (s.kind === "line") {
             push(s.p1);
             push(s.p2);
+        } else if (s.kind === "clothoid") {
+            for (const p of sampleClothoid(s, maxChord)) push(p);
         } else {
             const n = Math.max(2, Math.ceil(Math.abs(s.sweep) * s.r / Math.max(1e-6, maxChord)) + 1);
             for (let i = 0; i < n; i++) {
@@ -312,3 +531,71 @@ export function sampleSegmentsToPolyline(packed, maxChord = 3.0) {
     }
     return pts;
 }
+
+// --- Klothoide (Übergangsbogen) ---------------------------------------------
+// Lokale Form ab Ursprung mit Richtung 0: θ(t) = k1·t + (k2−k1)·t²/(2·len),
+// Lage über Simpson-Integration von cos/sin θ. Die Einpassung zwischen p1/p2
+// erfolgt per Ähnlichkeitstransformation (Drehung + Streckung), damit die
+// Endpunkte exakt sitzen, auch wenn Länge/Radien nur ungefähr stimmen.
+
+const CLOTHOID_STEPS = 16; // gerade Anzahl Simpson-Intervalle
+
+function clothoidHeading(k1, k2, len, t) {
+    return k1 * t + (len > 0 ? (k2 - k1) * t * t / (2 * len) : 0);
+}
+
+function clothoidLocal(k1, k2, len, t) {
+    if (!(t > 0)) return {x: 0, y: 0};
+    const h = t / CLOTHOID_STEPS;
+    let sx = 0, sy = 0;
+    for (let i = 0; i <= CLOTHOID_STEPS; i++) {
+        const w = (i === 0 || i === CLOTHOID_STEPS) ? 1 : (i % 2 ? 4 : 2);
+        const th = clothoidHeading(k1, k2, len, i * h);
+        sx += w * Math.cos(th);
+        sy += w * Math.sin(th);
+    }
+    return {x: sx * h / 3, y: sy * h / 3};
+}
+
+function makeClothoid(p1, p2, k1, k2, len) {
+    if (!(len > 0)) return null;
+    const q = clothoidLocal(k1, k2, len, len);
+    const qLen = Math.hypot(q.x, q.y);
+    const cLen = Math.hypot(p2.x - p1.x, p2.y - p1.y);
+    if (!(qLen > 1e-9) || !(cLen > 1e-9)) return null;
+    const scale = cLen / qLen;
+    const theta1 = Math.atan2(p2.y - p1.y, p2.x - p1.x) - Math.atan2(q.y, q.x);
+    const k1s = k1 / scale, k2s = k2 / scale, lenS = len * scale;
+    return {
+        kind: "clothoid", p1, p2, k1: k1s, k2: k2s, len: lenS,
+        theta1, theta2: theta1 + clothoidHeading(k1s, k2s, lenS, lenS)
+    };
+}
+
+function reverseClothoid(s) {
+    return {
+        ...s, p1: s.p2, p2: s.p1, k1: -s.k2, k2: -s.k1, theta1: s.theta2 + Math.PI, theta2: s.theta1 + Math.PI,
+        startRadius: flipRadius(s.endRadius, s.radiiSigned), endRadius: flipRadius(s.startRadius, s.radiiSigned)
+    };
+}
+
+// Radius bei Richtungsumkehr: Betragsangaben bleiben, vorzeichenbehaftete wechseln die Seite
+function flipRadius(r, signed) {
+    return r == null ? null : (signed ? -r : r);
+}
+
+/** Punkt auf einer Klothoide nach Bogenlänge t (0..seg.len) */
+export function pointOnClothoid(seg, t) {
+    const q = clothoidLocal(seg.k1, seg.k2, seg.len, Math.max(0, Math.min(t, seg.len)));
+    const c = Math.cos(seg.theta1), s = Math.sin(seg.theta1);
+    return {x: seg.p1.x + q.x * c - q.y * s, y: seg.p1.y + q.x * s + q.y * c};
+}
+
+/** Sampling einer Klothoide (inkl. exakter Endpunkte) */
+export function sampleClothoid(seg, maxChord = 3.0) {
+    const n = Math.max(2, Math.ceil(seg.len / Math.max(1e-6, maxChord)) + 1);
+    const pts = [seg.p1];
+    for (let i = 1; i < n - 1; i++) pts.push(pointOnClothoid(seg, (i / (n - 1)) * seg.len));
+    pts.push(seg.p2);
+    return pts;
+}
@@ -0,0 +1,52 @@
+// js/analysis/edgeLength.js
+// Vergleich der deklarierten Kantenlänge (TrackEdge.edgeLength) mit der aus der Geometrie
+// berechneten Länge (buildOrderedSegments). Eine Abweichung zählt erst, wenn sie absolut
+// UND relativ über der jeweiligen Schwelle liegt – so fallen kurze Kanten nicht wegen
+// Zentimetern und lange Kanten nicht wegen Promille auf.
+
+export const DEFAULT_LENGTH_TOLERANCES = {
+  warnM: 0.1,
+  warnRel: 0.0005,
+  errorM: 1,
+  errorRel: 0.005
+};
+
+/**
+ * @param {import('../GraphDataStore.js').default} store
+ * @param {Partial<typeof DEFAULT_LENGTH_TOLERANCES>} [tolerances]
+ * @returns {{generatedAt:string, tolerances:Object, summary:{ok:number, warn:number, error:number, unknown:number},
+ *   edges:Array<{edgeId:string, name:string|null, declaredM:number|null, geometricM:number|null, deltaM:number|null, deltaRel:number|null, status:'ok'|'warn'|'error'|'unknown'}>}}
+ */
+export function computeEdgeLengthReport(store, tolerances = {}) {
+  const tol = {...DEFAULT_LENGTH_TOLERANCES, ...tolerances};
+  const summary = {ok: 0, warn: 0, error: 0, unknown: 0};
+  const edges = [];
+
+  for (const e of store.getAllEdges()) {
+    const declaredM = positive(store.getEdgeLength(e.id));
+    const geometricM = positive(store.getGeometricLength(e.id));
+    let deltaM = null, deltaRel = null, status = 'unknown';
+    if (declaredM != null && geometricM != null) {
+      deltaM = geometricM - declaredM;
+      deltaRel = Math.abs(deltaM) / declaredM;
+      status = classify(Math.abs(deltaM), deltaRel, tol);
+    }
+    summary[status]++;
+    edges.push({edgeId: e.id, name: store.getEdgeLabel(e.id), declaredM, geometricM, deltaM, deltaRel, status});
+  }
+
+  // größte Abweichungen zuerst, unbekannte ans Ende
+  edges.sort((a, b) => (b.deltaM == null ? -1 : Math.abs(b.deltaM)) - (a.deltaM == null ? -1 : Math.abs(a.deltaM)));
+  return {generatedAt: new Date().toISOString(), tolerances: tol, summary, edges};
+}
+
+// ---------------- intern ----------------
+function classify(absM, rel, tol) {
+  if (absM > tol.errorM && rel > tol.errorRel) return 'error';
+  if (absM > tol.warnM && rel > tol.warnRel) return 'warn';
+  return 'ok';
+}
+
+function positive(v) {
+  return Number.isFinite(v) && v > 0 ? v : null;
+}
@@ -0,0 +1,142 @@
+// js/analysis/fieldCoverage.js
+// Feldabdeckung je Schema-Klasse: wie viele Rohdatensätze lösen jeden gemappten Feldpfad auf?
+// Fehlende Pfade liefern im Fetcher stillschweigend null – hier werden sie sichtbar, inkl. Beispielen,
+// was an der Abbruchstelle tatsächlich im Rohdatensatz steht.
+
+import {pickPath, resolvePath} from "../utils/schemaPath.js";
+
+// Edge-eingebettete Listen, die mit den Feldern einer globalen Klasse normalisiert werden
+const EMBEDDED_CLASS_BY_ELEMENT = {
+  balises: 'ETCSDataPoint',
+  tdsComponents: 'TdsComponent',
+  tdsSections: 'TdsSection'
+};
+
+const SAMPLE_LIMIT = 3;
+const SAMPLE_MAX_CHARS = 240;
+
+/**
+ * @param {Object} schema  aufgelöstes ISDP-Schema (classes, version)
+ * @param {Object<string,Array>} raw  Rohdaten je Klassen-Schlüssel (ISDPDataFetcher.raw)
+ * @param {Map<string,Object>} [classStatus]  Ladestatus je Klasse (fehlende Klassen werden markiert)
+ * @returns {{schemaVersion:string, generatedAt:string, classes:Array<Object>}}
+ */
+export function computeFieldCoverage(schema, raw, classStatus = null) {
+  const classes = [];
+  for (const [key, def] of Object.entries(schema?.classes || {})) {
+    const records = Array.isArray(raw?.[key]) ? raw[key] : [];
+    classes.push({
+      key,
+      fqn: def.fqn ?? null,
+      source: 'global',
+      state: classStatus?.get(key)?.state ?? null,
+      records: records.length,
+      fields: coverageOfFields(def.fields, records),
+      elements: def.elements ? coverageOfElements(def.elements, records) : []
+    });
+  }
+
+  // Eingebettete Elemente der TrackEdges gegen die Felder ihrer Klasse prüfen
+  // (globale Klasse oder reine Embedded-Definition aus schema.embedded)
+  const te = schema?.classes?.TrackEdge;
+  const edges = Array.isArray(raw?.TrackEdge) ? raw.TrackEdge : [];
+  const embeddedDefs = Object.entries(EMBEDDED_CLASS_BY_ELEMENT).map(([elemKey, classKey]) => [elemKey, classKey, schema?.classes?.[classKey]]);
+  for (const [classKey, def] of Object.entries(schema?.embedded || {})) embeddedDefs.push([def.element, classKey, def]);
+  for (const [elemKey, classKey, def] of embeddedDefs) {
+    const path = te?.elements?.[elemKey];
+    if (!path || !def) continue;
+    const records = [];
+    for (const e of edges) {
+      const arr = pickPath(e, path);
+      if (Array.isArray(arr)) records.push(...arr);
+    }
+    classes.push({
+      key: `TrackEdge.${path}`,
+      fqn: def.fqn ?? null,
+      source: 'embedded',
+      fieldsOf: classKey,
+      state: null,
+      records: records.length,
+      fields: coverageOfFields(def.fields, records),
+      elements: []
+    });
+  }
+
+  return {schemaVersion: schema?.version ?? null, generatedAt: new Date().toISOString(), classes};
+}
+
+// ---------------- intern ----------------
+function coverageOfFields(fields, records) {
+  const out = [];
+  for (const [field, path] of Object.entries(fields || {})) {
+    let resolved = 0;
+    const missSamples = [];
+    const failedAtCounts = new Map();
+    for (const rec of records) {
+      const r = resolvePath(rec, path);
+      if (r.value !== undefined && r.value !== null) {
+        resolved++;
+        continue;
+      }
+      if (r.failedAt) failedAtCounts.set(r.failedAt, (failedAtCounts.get(r.failedAt) || 0) + 1);
+      if (missSamples.length < SAMPLE_LIMIT) {
+        missSamples.push({
+          id: rec && typeof rec === 'object' ? (rec.id ?? null) : null,
+          failedAt: r.failedAt,
+          parentPath: r.parentPath || '(root)',
+          parentValue: excerpt(r.parent)
+        });
+      }
+    }
+    const missing = records.length - resolved;
+    out.push({
+      field,
+      path,
+      resolved,
+      missing,
+      ratio: records.length ? resolved / records.length : null,
+      // häufigste Abbruchstelle zuerst
+      failedAt: Array.from(failedAtCounts, ([at, count]) => ({at, count})).sort((a, b) => b.count - a.count),
+      missSamples
+    });
+  }
+  return out;
+}
+
+function coverageOfElements(elements, records) {
+  const out = [];
+  for (const [element, path] of Object.entries(elements || {})) {
+    let withItems = 0;
+    let items = 0;
+    for (const rec of records) {
+      const arr = pickPath(rec, path);
+      const n = Array.isArray(arr) ? arr.length : (arr != null ? 1 : 0);
+      if (n) withItems++;
+      items += n;
+    }
+    out.push({element, path, recordsWithItems: withItems, items});
+  }
+  return out;
+}
+
+// Kurzer JSON-Auszug eines Rohwerts (Objekte nur mit ihren Schlüsseln auf oberster Ebene)
+function excerpt(value) {
+  if (value === undefined) return 'undefined';
+  let text;
+  try {
+    if (value && typeof value === 'object' && !Array.isArray(value)) {
+      text = JSON.stringify(Object.fromEntries(Object.entries(value).map(([k, v]) => [k, summarize(v)])));
+    } else {
+      text = JSON.stringify(value);
+    }
+  } catch {
+    text = String(value);
+  }
+  return text.length > SAMPLE_MAX_CHARS ? `${text.slice(0, SAMPLE_MAX_CHARS)}…` : text;
+}
+
+function summarize(v) {
+  if (Array.isArray(v)) return `[${v.length}]`;
+  if (v && typeof v === 'object') return '{…}';
+  return v;
+}
@@ -0,0 +1,85 @@
+// js/analysis/integrity.js
+// Referenzielle Integrität des geladenen Graphen (über GraphDataStore):
+// – dangling: Verweise ins Leere (TrackEdge → GeoNode, Element → TrackEdge)
+// – orphan: GeoNodes ohne Kante, Elemente ohne Kantenbezug
+// – duplicate: mehrfach vergebene IDs innerhalb einer Klasse oder über Klassen hinweg
+// Jedes Issue trägt `locateId` (per Suche selektierbar) oder null, wenn es nichts zu zeigen gibt.
+
+import {pickPath} from "../utils/schemaPath.js";
+
+// Element-Sammlungen des Stores mit Anzeigename
+const ELEMENT_KINDS = [
+  {kind: 'ETCSDataPoint', label: 'Balise', all: s => s.getAllBalises()},
+  {kind: 'Signal', label: 'Signal', all: s => s.getAllSignals()},
+  {kind: 'TdsComponent', label: 'TDS Component', all: s => s.getAllTdsComponents()},
+  {kind: 'TdsSection', label: 'TDS Section', all: s => s.getAllTdsSections()},
+  {kind: 'Switch', label: 'Switch', all: s => s.getAllSwitches()},
+  {kind: 'BufferStop', label: 'Buffer Stop', all: s => s.getAllBufferStops()},
+  {kind: 'LevelCrossing', label: 'Level Crossing', all: s => s.getAllLevelCrossings()},
+  {kind: 'PlatformEdge', label: 'Platform', all: s => s.getAllPlatformEdges()}
+];
+
+/**
+ * @param {import('../GraphDataStore.js').default} store
+ * @returns {{generatedAt:string, summary:{dangling:number, orphan:number, duplicate:number}, issues:Array<{type:string, category:string, id:string|null, ref:string|null, locateId:string|null, message:string}>}}
+ */
+export function computeIntegrity(store) {
+  const issues = [];
+  const push = (type, category, id, ref, locateId, message) => issues.push({type, category, id: id ?? null, ref: ref ?? null, locateId: locateId ?? null, message});
+
+  // 1) TrackEdge → GeoNode
+  for (const e of store.getAllEdges()) {
+    for (const [field, ref] of [['nodeIdA', e.nodeIdA], ['nodeIdB', e.nodeIdB], ['refNode', e.refNodeId]]) {
+      if (ref == null || ref === '') {
+        if (field !== 'refNode') push('dangling', `TrackEdge.${field}`, e.id, null, e.id, `TrackEdge ${e.id}: ${field} fehlt`);
+        continue;
+      }
+      if (!store.getNode(ref)) push('dangling', `TrackEdge.${field}`, e.id, ref, e.id, `TrackEdge ${e.id}: ${field} → GeoNode ${ref} existiert nicht`);
+    }
+  }
+
+  // 2) Elemente → TrackEdge; Elemente ohne Bezug sind Waisen
+  for (const {kind, label, all} of ELEMENT_KINDS) {
+    const seen = new Set();
+    for (const el of all(store) || []) {
+      if (!el || seen.has(el)) continue;
+      seen.add(el);
+      const ref = el.netElementRef ?? null;
+      if (!ref) {
+        push('orphan', `${kind}.refTrackEdge`, el.id, null, null, `${label} ${el.id ?? '(ohne id)'}: kein TrackEdge-Bezug`);
+      } else if (!store.getEdge(ref)) {
+        push('dangling', `${kind}.refTrackEdge`, el.id, ref, null, `${label} ${el.id ?? '(ohne id)'}: refTrackEdge → TrackEdge ${ref} existiert nicht`);
+      }
+    }
+  }
+
+  // 3) GeoNodes ohne Kante
+  for (const n of store.getAllNodes()) {
+    if (!store.getEdgesByNode(n.id).length) push('orphan', 'GeoNode', n.id, null, n.id, `GeoNode ${n.id}: von keiner TrackEdge referenziert`);
+  }
+
+  // 4) Doppelte IDs in den Rohdaten der globalen Klassen
+  const schema = store.fetcher?.schema;
+  const raw = store.fetcher?.raw || {};
+  const classesById = new Map();
+  for (const [key, def] of Object.entries(schema?.classes || {})) {
+    const counts = new Map();
+    for (const rec of raw[key] || []) {
+      const id = pickPath(rec, def.fields?.id);
+      if (id == null || id === '') continue;
+      counts.set(id, (counts.get(id) || 0) + 1);
+    }
+    for (const [id, n] of counts) {
+      if (n > 1) push('duplicate', key, id, null, id, `${key}: ID ${id} kommt ${n}× vor`);
+      if (!classesById.has(id)) classesById.set(id, []);
+      classesById.get(id).push(key);
+    }
+  }
+  for (const [id, keys] of classesById) {
+    if (keys.length > 1) push('duplicate', 'klassenübergreifend', id, null, id, `ID ${id} in mehreren Klassen: ${keys.join(', ')}`);
+  }
+
+  const summary = {dangling: 0, orphan: 0, duplicate: 0};
+  for (const i of issues) summary[i.type]++;
+  return {generatedAt: new Date().toISOString(), summary, issues};
+}
@@ -0,0 +1,49 @@
+// js/analysis/positionDeviation.js
+// Lageabweichung: TdsComponent und Signal(gruppe) tragen neben dem IK eine eigene Koordinate
+// (location.geometricCoordinate). Verglichen wird sie mit der Position, die der Projector aus
+// Edge + IK entlang der Geometrie berechnet; Ausreißer liegen über der Schwelle thresholdM.
+
+export const DEFAULT_DEVIATION_THRESHOLD_M = 1;
+
+// Element-Sammlungen je Edge mit Anzeigename (aktive Elementquelle des Stores)
+const ELEMENT_KINDS = [
+  {kind: 'Signal', label: 'Signal', byEdge: (s, edgeId) => s.getSignalsByEdge(edgeId)},
+  {kind: 'TdsComponent', label: 'TDS Component', byEdge: (s, edgeId) => s.getTdsComponentsByEdge(edgeId)}
+];
+
+/**
+ * @param {import('../GraphDataStore.js').default} store
+ * @param {{thresholdM?:number}} [opts]
+ * @returns {{generatedAt:string, thresholdM:number, summary:{checked:number, outliers:number, unplaced:number},
+ *   items:Array<{id:string|null, kind:string, label:string, edgeId:string, given:{x:number,y:number},
+ *   projected:{x:number,y:number}|null, deviationM:number|null, linearCoordinate:number|null, outlier:boolean}>}}
+ *   items enthält nur Elemente mit eigener Koordinate; unplaced = Koordinate vorhanden, aber keine Projektion möglich
+ */
+export function computePositionDeviation(store, {thresholdM = DEFAULT_DEVIATION_THRESHOLD_M} = {}) {
+  const summary = {checked: 0, outliers: 0, unplaced: 0};
+  const items = [];
+
+  for (const e of store.getAllEdges()) {
+    for (const {kind, label, byEdge} of ELEMENT_KINDS) {
+      for (const el of byEdge(store, e.id) || []) {
+        if (!el?.geoCo) continue;
+        const ik = store.getIntrinsicAB(el, e); // wie der Projector, damit Symbol und Linie übereinstimmen
+        const p = Number.isFinite(ik) ? store.projectIntrinsicToXY(e.id, ik) : null;
+        const projected = p ? {x: p.x, y: p.y} : null;
+        const deviationM = projected ? Math.hypot(projected.x - el.geoCo.x, projected.y - el.geoCo.y) : null;
+        const outlier = deviationM != null && deviationM > thresholdM;
+        if (projected) summary.checked++; else summary.unplaced++;
+        if (outlier) summary.outliers++;
+        items.push({
+          id: el.id ?? null, kind, label, edgeId: e.id,
+          given: {x: el.geoCo.x, y: el.geoCo.y}, projected, deviationM,
+          linearCoordinate: el.linearCoordinate ?? null, outlier
+        });
+      }
+    }
+  }
+
+  // größte Abweichungen zuerst, nicht projizierbare ans Ende
+  items.sort((a, b) => (b.deviationM ?? -1) - (a.deviationM ?? -1));
+  return {generatedAt: new Date().toISOString(), thresholdM, summary, items};
+}
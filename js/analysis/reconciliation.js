@@ -0,0 +1,98 @@
+// js/analysis/reconciliation.js
+// Abgleich der Elemente aus TrackEdge-Listen (embedded) mit den globalen Klassen-Endpunkten (global):
+// Zuordnung per ID, gemeldet werden Elemente nur in einer Quelle sowie abweichende Kante, Position oder Name.
+
+// Positionsabweichung ab der ein Paar als "abweichend" gilt
+const POSITION_TOLERANCE_M = 0.5;
+const IK_TOLERANCE = 1e-4; // falls keine Kantenlänge bekannt ist
+
+const KINDS = [
+  {kind: 'balises', label: 'Balise', indexKey: 'balisesByEdge'},
+  {kind: 'signals', label: 'Signal', indexKey: 'signalsByEdge'},
+  {kind: 'tdsComponents', label: 'TDS Component', indexKey: 'tdsComponentsByEdge'}
+];
+
+/**
+ * @param {import('../GraphDataStore.js').default} store
+ * @returns {{generatedAt:string, tolerances:Object, kinds:Array<{kind:string, label:string, embedded:number, global:number, matched:number, withoutId:{embedded:number, global:number}, onlyEmbedded:Array, onlyGlobal:Array, differing:Array}>}}
+ */
+export function computeReconciliation(store) {
+  const embeddedIdx = store.getElementIndex('embedded');
+  const globalIdx = store.getElementIndex('global');
+  const kinds = [];
+
+  for (const {kind, label, indexKey} of KINDS) {
+    const emb = collectById(embeddedIdx[indexKey]);
+    const glob = collectById(globalIdx[indexKey]);
+    const onlyEmbedded = [];
+    const onlyGlobal = [];
+    const differing = [];
+    let matched = 0;
+
+    for (const [id, e] of emb.byId) {
+      const g = glob.byId.get(id);
+      if (!g) {
+        onlyEmbedded.push(describe(e));
+        continue;
+      }
+      matched++;
+      const diffs = compare(store, e, g);
+      if (diffs.length) differing.push({id, edgeId: e.netElementRef ?? null, diffs});
+    }
+    for (const [id, g] of glob.byId) {
+      if (!emb.byId.has(id)) onlyGlobal.push(describe(g));
+    }
+
+    kinds.push({
+      kind,
+      label,
+      embedded: emb.byId.size + emb.withoutId,
+      global: glob.byId.size + glob.withoutId,
+      matched,
+      withoutId: {embedded: emb.withoutId, global: glob.withoutId},
+      onlyEmbedded,
+      onlyGlobal,
+      differing
+    });
+  }
+
+  return {
+    generatedAt: new Date().toISOString(),
+    tolerances: {positionM: POSITION_TOLERANCE_M, intrinsic: IK_TOLERANCE},
+    kinds
+  };
+}
+
+// ---------------- intern ----------------
+function collectById(byEdge) {
+  const byId = new Map();
+  let withoutId = 0;
+  for (const list of byEdge?.values?.() || []) {
+    for (const el of list) {
+      if (el?.id == null || el.id === '') withoutId++;
+      else if (!byId.has(el.id)) byId.set(el.id, el);
+    }
+  }
+  return {byId, withoutId};
+}
+
+function describe(el) {
+  return {id: el.id, name: el.name ?? null, edgeId: el.netElementRef ?? null, intrinsicAB: el.intrinsicAB ?? null};
+}
+
+function compare(store, e, g) {
+  const diffs = [];
+  if ((e.netElementRef ?? null) !== (g.netElementRef ?? null)) {
+    diffs.push({field: 'edge', embedded: e.netElementRef ?? null, global: g.netElementRef ?? null});
+  } else if (Number.isFinite(e.intrinsicAB) || Number.isFinite(g.intrinsicAB)) {
+    const len = store.getEdgeLength(e.netElementRef);
+    const dIk = Math.abs((e.intrinsicAB ?? NaN) - (g.intrinsicAB ?? NaN));
+    const deltaM = Number.isFinite(len) ? dIk * len : null;
+    const differs = !Number.isFinite(dIk) || (deltaM != null ? deltaM > POSITION_TOLERANCE_M : dIk > IK_TOLERANCE);
+    if (differs) diffs.push({field: 'position', embedded: e.intrinsicAB ?? null, global: g.intrinsicAB ?? null, deltaM});
+  }
+  if ((e.name ?? null) !== (g.name ?? null) && e.name != null && g.name != null) {
+    diffs.push({field: 'name', embedded: e.name, global: g.name});
+  }
+  return diffs;
+}
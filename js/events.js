@@ -1,6 +1,11 @@
 // src/v2.0.0/js/events.js
 // Kapselt alle UI-Events und entkoppelt main.js von DOM-Wiring
 
+import {downloadJSON, fileSafe} from './utils/download.js';
+import {renderClassStatusList} from './utils/loadReport.js';
+import {formatLatLon, isGeoreferenced, listCrs} from './utils/crs.js';
+import DiagnosticsPanel from './DiagnosticsPanel.js';
+
 export default class Events {
     /**
      * @param {Object} deps
@@ -29,14 +34,40 @@ export default class Events {
         this.elBal = document.getElementById('chk-balises');
         this.elSig = document.getElementById('chk-signals');
         this.elTds = document.getElementById('chk-tdscomp');
+        this.elSwitches = document.getElementById('chk-switches');
+        this.elBufferStops = document.getElementById('chk-bufferstops');
+        this.elLevelCrossings = document.getElementById('chk-levelcrossings');
+        this.elPlatforms = document.getElementById('chk-platforms');
+        this.elSideOffset = document.getElementById('chk-side-offset');
+        this.selElementSource = document.getElementById('sel-element-source');
+        this.selLengthSource = document.getElementById('sel-length-source');
         this.elSpd = document.getElementById('chk-speed');
         this.elTdsSec = document.getElementById('chk-tdssec');
+        this.elStations = document.getElementById('chk-stations');
+        this.elTrackPoints = document.getElementById('chk-trackpoints');
+
+        // Bahnhofsliste (Sprungnavigation)
+        this.txtStationFilter = document.getElementById('txt-station-filter');
+        this.elStationList = document.getElementById('station-list');
+
+        // Geometrie-QA (Marker + Liste zum Durchschalten)
+        this.elGeometryQA = document.getElementById('chk-geomqa');
+        this.selGeometryQAType = document.getElementById('sel-geomqa-type');
+        this.elGeometryQASummary = document.getElementById('geomqa-summary');
+        this.elGeometryQAList = document.getElementById('geomqa-list');
+        this.btnGeometryQAPrev = document.getElementById('btn-geomqa-prev');
+        this.btnGeometryQANext = document.getElementById('btn-geomqa-next');
+
+        // Statuszeile der Lageansicht: Mausposition auf dem Gleis
+        this.elCursorReadout = document.getElementById('cursor-readout');
 
         // Geometrie-Ansicht
         this.elNodes = document.getElementById('chk-nodes');
         this.elEdges = document.getElementById('chk-edges');
         this.elSegs = document.getElementById('chk-segs');
         this.elArcsOnly = document.getElementById('chk-arcsOnly');
+        this.elLengthCheck = document.getElementById('chk-length-check');
+        this.elDeviation = document.getElementById('chk-deviation');
         this.elSegArrows = document.getElementById('chk-seg-arrows');
 
         // Names & IDs
@@ -48,6 +79,7 @@ export default class Events {
         this.btnCenterGraph = document.getElementById('btn-center-graph');
         this.elFlipX = document.getElementById('chk-flip-x');
         this.elFlipY = document.getElementById('chk-flip-y');
+        this.elMinimap = document.getElementById('chk-minimap');
 
         // Right panel
         this.elRightPanel = document.querySelector('.rightpanel');
@@ -58,26 +90,57 @@ export default class Events {
         this.txtSearch = document.getElementById('txt-search');
         this.btnSearch = document.getElementById('btn-search');
         this.elSearchStatus = document.getElementById('search-status');
+
+        // Data (Quelle, Snapshot-Export & Update-Prüfung)
+        this.elDataSource = document.getElementById('data-source');
+        this.btnExportSnapshot = document.getElementById('btn-export-snapshot');
+        this.selCrs = document.getElementById('sel-crs');
+        this.selRenderer = document.getElementById('sel-renderer');
+        this.inpCanvasThreshold = document.getElementById('inp-canvas-threshold');
+        this.elRendererActive = document.getElementById('renderer-active');
+        this.selGeoJSONTarget = document.getElementById('sel-geojson-target');
+        this.btnExportGeoJSON = document.getElementById('btn-export-geojson');
+        this.btnCheckUpdates = document.getElementById('btn-check-updates');
+        this.btnApplyUpdate = document.getElementById('btn-apply-update');
+        this.btnDiagnostics = document.getElementById('btn-diagnostics');
+        this.elDataStatus = document.getElementById('data-status');
+
+        // Warnbanner bei unvollständigem Laden
+        this.elLoadWarning = document.getElementById('load-warning');
+        this.elLoadWarningTitle = document.getElementById('load-warning-title');
+        this.elLoadWarningList = document.getElementById('load-warning-list');
+        this.btnLoadWarningClose = document.getElementById('btn-load-warning-close');
+        this.btnRetryFailed = document.getElementById('btn-retry-failed');
     }
 
     _bindUI() {
         // Geometrie toggles
-        [this.elNodes, this.elEdges, this.elSegs, this.elArcsOnly, this.elSegArrows]
+        [this.elNodes, this.elEdges, this.elSegs, this.elArcsOnly, this.elSegArrows, this.elLengthCheck, this.elDeviation]
             .filter(Boolean)
             .forEach(el => el.addEventListener('change', () => this.applyGeometryToggles()));
 
         // Filter toggles
-        [this.elBal, this.elSig, this.elTds]
+        [this.elBal, this.elSig, this.elTds, this.elSwitches, this.elBufferStops, this.elLevelCrossings, this.elPlatforms, this.elSideOffset]
             .filter(Boolean)
             .forEach(el => el.addEventListener('change', () => this.applyFilterToggles()));
 
+        // Herkunft der Elemente (merged/embedded/global)
+        if (this.selElementSource) {
+            this.selElementSource.addEventListener('change', () => this.controller.setElementSource(this.selElementSource.value));
+        }
+
+        // Bezugslänge der IK-Projektion (geometrisch/deklariert)
+        if (this.selLengthSource) {
+            this.selLengthSource.addEventListener('change', () => this.controller.setLengthSource(this.selLengthSource.value));
+        }
+
         // Names & IDs toggles
         [this.elNames, this.elIds, this.elHideSel]
             .filter(Boolean)
             .forEach(el => el.addEventListener('change', () => this.applyFilterToggles()));
 
-        // Projector options (speed, tds sections)
-        [this.elSpd, this.elTdsSec]
+        // Projector options (speed, tds sections, stations, track points, geometry QA)
+        [this.elSpd, this.elTdsSec, this.elStations, this.elTrackPoints, this.elGeometryQA]
             .filter(Boolean)
             .forEach(el => el.addEventListener('input', () => this.applyProjectorOpts()));
 
@@ -101,6 +164,11 @@ export default class Events {
                 this.controller.setFlipAxis('y', this.elFlipY.checked);
             });
         }
+        if (this.elMinimap) {
+            this.elMinimap.addEventListener('change', () => {
+                this.controller.setFilters({showMinimap: this.elMinimap.checked});
+            });
+        }
 
         // Search wiring
         const doSearch = async () => {
@@ -140,6 +208,387 @@ export default class Events {
         if (this.txtSearch) this.txtSearch.addEventListener('keydown', (ev) => {
             if (ev.key === 'Enter') doSearch();
         });
+
+        // Data
+        if (this.btnExportSnapshot) this.btnExportSnapshot.addEventListener('click', () => this.exportSnapshot());
+        if (this.btnExportGeoJSON) this.btnExportGeoJSON.addEventListener('click', () => this.exportGeoJSON());
+        this._bindCrs();
+        this._bindRenderer();
+        if (this.btnCheckUpdates) this.btnCheckUpdates.addEventListener('click', () => this.checkForUpdates());
+        if (this.btnApplyUpdate) this.btnApplyUpdate.addEventListener('click', () => this.applyUpdate());
+        if (this.btnDiagnostics) this.btnDiagnostics.addEventListener('click', () => this.openDiagnostics());
+        if (this.btnLoadWarningClose) this.btnLoadWarningClose.addEventListener('click', () => {
+            if (this.elLoadWarning) this.elLoadWarning.hidden = true;
+        });
+        if (this.btnRetryFailed) this.btnRetryFailed.addEventListener('click', () => this.retryFailedClasses());
+
+        // Bahnhofsliste: filtern & anspringen
+        if (this.txtStationFilter) this.txtStationFilter.addEventListener('input', () => this._renderStationList());
+        if (this.elStationList) {
+            this.elStationList.addEventListener('click', async (ev) => {
+                const btn = ev.target.closest('button[data-station-id]');
+                if (!btn) return;
+                const res = await this.controller.searchAndSelect(btn.dataset.stationId);
+                if (!res?.ok) this._setStatus(this.elSearchStatus, res?.reason || 'Bahnhof ohne darstellbare Lage.', 'error');
+            });
+        }
+
+        // Geometrie-QA: Liste & Durchschalten
+        this._bindGeometryQA();
+    }
+
+    _bindGeometryQA() {
+        this._qaIndex = -1;
+        if (this.selGeometryQAType) this.selGeometryQAType.addEventListener('change', () => {
+            this._qaIndex = -1;
+            this._renderGeometryQAList();
+        });
+        if (this.btnGeometryQAPrev) this.btnGeometryQAPrev.addEventListener('click', () => this._stepGeometryIssue(-1));
+        if (this.btnGeometryQANext) this.btnGeometryQANext.addEventListener('click', () => this._stepGeometryIssue(1));
+        if (this.elGeometryQAList) {
+            this.elGeometryQAList.addEventListener('click', (ev) => {
+                const btn = ev.target.closest('button[data-qa-index]');
+                if (btn) this._locateGeometryIssue(Number(btn.dataset.qaIndex));
+            });
+        }
+    }
+
+    _geometryIssues() {
+        const type = this.selGeometryQAType?.value || '';
+        const issues = this.controller.getGeometryReport()?.issues || [];
+        return type ? issues.filter(i => i.type === type) : issues;
+    }
+
+    _renderGeometryQAList() {
+        if (!this.elGeometryQAList) return;
+        const s = this.controller.getGeometryReport()?.summary;
+        if (this.elGeometryQASummary && s) {
+            this.elGeometryQASummary.textContent = `${s.gap} gaps · ${s.overlap} overlaps · ${s.reversed} reversed · ${s.tangency} kinks`;
+        }
+        const issues = this._geometryIssues();
+        const shown = issues.slice(0, GEOMETRY_QA_LIST_LIMIT);
+        this.elGeometryQAList.replaceChildren(...shown.map((i, n) => {
+            const li = document.createElement('li');
+            const btn = document.createElement('button');
+            btn.type = 'button';
+            btn.className = 'geomqa-item' + (n === this._qaIndex ? ' is-current' : '');
+            btn.dataset.qaIndex = String(n);
+            btn.dataset.type = i.type;
+            btn.title = i.id;
+            btn.textContent = `${i.type} · ${i.edgeId}`;
+            const val = document.createElement('span');
+            val.className = 'geomqa-value';
+            val.textContent = formatGeometryIssueValue(i);
+            btn.appendChild(val);
+            li.appendChild(btn);
+            return li;
+        }));
+        if (issues.length > shown.length) {
+            const li = document.createElement('li');
+            li.className = 'geomqa-empty';
+            li.textContent = `… ${issues.length - shown.length} weitere (mit ‹ › erreichbar)`;
+            this.elGeometryQAList.appendChild(li);
+        } else if (!issues.length) {
+            const li = document.createElement('li');
+            li.className = 'geomqa-empty';
+            li.textContent = 'Keine Auffälligkeiten';
+            this.elGeometryQAList.appendChild(li);
+        }
+    }
+
+    _stepGeometryIssue(delta) {
+        const n = this._geometryIssues().length;
+        if (!n) return;
+        this._locateGeometryIssue(((this._qaIndex < 0 && delta < 0 ? 0 : this._qaIndex) + delta + n) % n);
+    }
+
+    async _locateGeometryIssue(index) {
+        const issue = this._geometryIssues()[index];
+        if (!issue) return;
+        // vorherigen QA-Marker abwählen, damit beim Durchschalten nur der aktuelle markiert ist
+        const prev = this._geometryIssues()[this._qaIndex];
+        if (prev && prev.id !== issue.id) this.controller.removeFromSelection(prev.id);
+        this._qaIndex = index;
+        // Marker einblenden, sonst ist die Selektion nicht sichtbar
+        if (this.elGeometryQA && !this.elGeometryQA.checked) {
+            this.elGeometryQA.checked = true;
+            this.applyProjectorOpts();
+        }
+        const res = await this.controller.searchAndSelect(issue.id);
+        if (!res?.ok) this._setStatus(this.elSearchStatus, res?.reason || 'QA-Marker ohne Lage.', 'error');
+        this._renderGeometryQAList();
+        this.elGeometryQAList?.querySelector('.is-current')?.scrollIntoView({block: 'nearest'});
+    }
+
+    // Edge · Meter ab A · IK · Querabstand des gefangenen Punkts; ohne Treffer nur die Koordinate
+    _renderCursorReadout({xy, hit} = {}) {
+        const el = this.elCursorReadout;
+        if (!el) return;
+        if (!xy) {
+            el.hidden = true;
+            return;
+        }
+        const parts = [];
+        if (hit) {
+            const label = this.controller.store?.getEdgeLabel?.(hit.edgeId);
+            const off = hit.lateralOffsetM;
+            parts.push(label && label !== hit.edgeId ? `${label} (${hit.edgeId})` : hit.edgeId);
+            parts.push(`${hit.distanceM.toFixed(2)} m ab A`);
+            if (Number.isFinite(hit.intrinsic)) parts.push(`IK ${hit.intrinsic.toFixed(5)}`);
+            if (Number.isFinite(hit.intrinsicRef)) parts.push(`IK Ref ${hit.intrinsicRef.toFixed(5)}`);
+            parts.push(`Versatz ${off >= 0 ? '+' : ''}${off.toFixed(2)} m ${off >= 0 ? 'links' : 'rechts'}`);
+        } else {
+            parts.push('kein Gleis in der Nähe');
+        }
+        parts.push(`x ${xy.x.toFixed(2)}, y ${xy.y.toFixed(2)}`);
+        const ll = this.controller.toWgs84(xy);
+        if (ll) parts.push(formatLatLon(ll));
+        el.textContent = parts.join(' · ');
+        el.classList.toggle('no-hit', !hit);
+        el.hidden = false;
+    }
+
+    _renderStationList() {
+        if (!this.elStationList) return;
+        const q = (this.txtStationFilter?.value || '').trim().toLowerCase();
+        const stations = (this.controller.store?.getAllStations?.() || [])
+            .filter(st => !q || [st.name, st.shortName, st.id].some(v => v != null && String(v).toLowerCase().includes(q)))
+            .sort((a, b) => String(a.name ?? a.id).localeCompare(String(b.name ?? b.id), 'de'));
+        this.elStationList.replaceChildren(...stations.map(st => {
+            const li = document.createElement('li');
+            const btn = document.createElement('button');
+            btn.type = 'button';
+            btn.className = 'station-item';
+            btn.dataset.stationId = st.id;
+            btn.title = `${st.id} · ${st.parts.length} Edge(s)`;
+            btn.textContent = st.name ?? st.id;
+            if (st.shortName) {
+                const abbr = document.createElement('span');
+                abbr.className = 'station-abbr';
+                abbr.textContent = st.shortName;
+                btn.appendChild(abbr);
+            }
+            li.appendChild(btn);
+            return li;
+        }));
+        if (!stations.length) {
+            const li = document.createElement('li');
+            li.className = 'station-empty';
+            li.textContent = q ? 'Keine Treffer' : 'Keine Bahnhöfe im Datensatz';
+            this.elStationList.appendChild(li);
+        }
+    }
+
+    async retryFailedClasses() {
+        if (this._retrying) return;
+        this._retrying = true;
+        this._retryKeys = new Set(this.controller.getLoadReport?.()?.failed || []);
+        if (this.btnRetryFailed) this.btnRetryFailed.disabled = true;
+        try {
+            const ok = await this.controller.retryFailedClasses();
+            if (!ok) {
+                const err = this.controller.lastError?.();
+                this._setStatus(this.elDataStatus, `Erneutes Laden fehlgeschlagen: ${err?.message || 'unbekannter Fehler'}`, 'error');
+            }
+        } finally {
+            this._retrying = false;
+            if (this.btnRetryFailed) this.btnRetryFailed.disabled = false;
+            this._renderLoadWarning();
+        }
+    }
+
+    _renderLoadWarning() {
+        if (!this.elLoadWarning) return;
+        const report = this.controller.getLoadReport?.();
+        // Optionale Klassen (Schema-Flag) dürfen fehlen – kein Banner
+        const failed = (report?.classes || []).filter(c => c.state === 'failed' && !c.optional);
+        if (!failed.length) {
+            this.elLoadWarning.hidden = true;
+            return;
+        }
+        if (this.elLoadWarningTitle) {
+            this.elLoadWarningTitle.textContent = `${failed.length} von ${report.classes.length} Klassen fehlen – betroffene Ebenen sind unvollständig`;
+        }
+        renderClassStatusList(this.elLoadWarningList, failed);
+        // Retry nur für Server-Abrufe sinnvoll (Dump/Snapshot enthalten die Klassen schlicht nicht)
+        if (this.btnRetryFailed) this.btnRetryFailed.hidden = this.controller.store?.fetcher?.source?.type !== 'server';
+        this.elLoadWarning.hidden = false;
+    }
+
+    exportSnapshot() {
+        try {
+            const snap = this.controller.getSnapshot();
+            const stamp = String(snap.loadedAt || '').replace(/[:.]/g, '-');
+            const name = `isdp-snapshot_${fileSafe(snap.schemaVersion)}_${fileSafe(snap.address)}_${fileSafe(stamp)}.json`;
+            downloadJSON(name, snap);
+            this._setStatus(this.elDataStatus, `Snapshot exportiert: ${name}`, 'ok');
+        } catch (e) {
+            console.error('exportSnapshot failed', e);
+            this._setStatus(this.elDataStatus, `Export fehlgeschlagen: ${e?.message || e}`, 'error');
+        }
+    }
+
+    async exportGeoJSON() {
+        const target = this.selGeoJSONTarget?.value === 'wgs84' ? 'wgs84' : 'local';
+        try {
+            const fc = await this.controller.exportGeoJSON({target});
+            const f = this.controller.store?.fetcher;
+            const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+            const crs = target === 'wgs84' ? 'wgs84' : this.controller.crs;
+            const name = `isdp-view_${fileSafe(f?.version)}_${fileSafe(crs)}_${stamp}.geojson`;
+            downloadJSON(name, fc);
+            this._setStatus(this.elDataStatus, `GeoJSON exportiert (${fc.features.length} Features): ${name}`, 'ok');
+        } catch (e) {
+            console.error('exportGeoJSON failed', e);
+            this._setStatus(this.elDataStatus, `Export fehlgeschlagen: ${e?.message || e}`, 'error');
+        }
+    }
+
+    // CRS-Auswahl befüllen, gespeicherte Wahl wiederherstellen; WGS84-Export nur mit georeferenziertem CRS
+    _bindCrs() {
+        if (!this.selCrs) return;
+        this.selCrs.replaceChildren(...listCrs().map(({code, label}) => {
+            const opt = document.createElement('option');
+            opt.value = code;
+            opt.textContent = code.startsWith('EPSG:') ? `${label} (${code})` : label;
+            return opt;
+        }));
+        const syncTarget = () => {
+            const geo = isGeoreferenced(this.controller.crs);
+            const wgs = this.selGeoJSONTarget?.querySelector('option[value="wgs84"]');
+            if (wgs) wgs.disabled = !geo;
+            if (!geo && this.selGeoJSONTarget) this.selGeoJSONTarget.value = 'local';
+        };
+        let saved = null;
+        try { saved = localStorage.getItem('isdp_crs'); } catch {}
+        if (saved) {
+            try { this.controller.setCrs(saved); } catch { /* gespeicherter Code nicht mehr bekannt */ }
+        }
+        this.selCrs.value = this.controller.crs;
+        syncTarget();
+        this.selCrs.addEventListener('change', () => {
+            this.controller.setCrs(this.selCrs.value);
+            try { localStorage.setItem('isdp_crs', this.selCrs.value); } catch {}
+            syncTarget();
+        });
+    }
+
+    // Zeichen-Backend der Lageansicht (SVG/Canvas/automatisch) und Canvas-Schwellwert, gespeichert wie das CRS
+    _bindRenderer() {
+        if (typeof this.controller.locatedRenderer?.setBackend !== 'function') return;
+        let savedBackend = null, savedThreshold = null;
+        try {
+            savedBackend = localStorage.getItem('isdp_renderer');
+            savedThreshold = localStorage.getItem('isdp_canvas_threshold');
+        } catch {}
+        if (savedBackend) {
+            try { this.controller.setRendererBackend(savedBackend); } catch { /* gespeicherter Wert ungültig */ }
+        }
+        if (savedThreshold) {
+            try { this.controller.setCanvasThreshold(Number(savedThreshold)); } catch { /* gespeicherter Wert ungültig */ }
+        }
+        const renderer = this.controller.locatedRenderer;
+        if (this.selRenderer) {
+            this.selRenderer.value = renderer.backend;
+            this.selRenderer.addEventListener('change', () => {
+                this.controller.setRendererBackend(this.selRenderer.value);
+                try { localStorage.setItem('isdp_renderer', this.selRenderer.value); } catch {}
+            });
+        }
+        if (this.inpCanvasThreshold) {
+            this.inpCanvasThreshold.value = String(renderer.canvasThreshold);
+            this.inpCanvasThreshold.addEventListener('change', () => {
+                try {
+                    this.controller.setCanvasThreshold(Number(this.inpCanvasThreshold.value));
+                    try { localStorage.setItem('isdp_canvas_threshold', String(renderer.canvasThreshold)); } catch {}
+                } catch {
+                    this.inpCanvasThreshold.value = String(renderer.canvasThreshold);
+                }
+            });
+        }
+        this._renderRendererActive();
+    }
+
+    _renderRendererActive() {
+        const renderer = this.controller.locatedRenderer;
+        if (!this.elRendererActive || !renderer?.activeBackend) return;
+        this.elRendererActive.textContent = `aktiv: ${renderer.activeBackend === 'canvas' ? 'Canvas' : 'SVG'}`;
+        if (this.inpCanvasThreshold) this.inpCanvasThreshold.disabled = renderer.backend !== 'auto';
+    }
+
+    openDiagnostics(tabId = null) {
+        if (!this.diagnostics) this.diagnostics = new DiagnosticsPanel({controller: this.controller});
+        this.diagnostics.open(tabId);
+    }
+
+    async checkForUpdates() {
+        if (this._checkingUpdates) return;
+        this._checkingUpdates = true;
+        this._pendingUpdate = null;
+        if (this.btnApplyUpdate) this.btnApplyUpdate.hidden = true;
+        if (this.btnCheckUpdates) this.btnCheckUpdates.disabled = true;
+        this._setStatus(this.elDataStatus, 'Prüfe Server auf Änderungen…');
+        try {
+            const update = await this.controller.checkForUpdates();
+            if (!update) {
+                const err = this.controller.lastError?.();
+                this._setStatus(this.elDataStatus, `Update-Prüfung fehlgeschlagen: ${err?.message || 'unbekannter Fehler'}`, 'error');
+                return;
+            }
+            const skipped = update.failed.length ? ` (nicht erreichbar: ${update.failed.join(', ')})` : '';
+            if (!update.changed.length) {
+                this._setStatus(this.elDataStatus, `Server-Daten unverändert${skipped}`, 'ok');
+                return;
+            }
+            this._pendingUpdate = update;
+            this._setStatus(this.elDataStatus, `Server-Daten geändert: ${update.changed.join(', ')}${skipped}`);
+            if (this.btnApplyUpdate) this.btnApplyUpdate.hidden = false;
+        } finally {
+            this._checkingUpdates = false;
+            if (this.btnCheckUpdates) this.btnCheckUpdates.disabled = false;
+        }
+    }
+
+    async applyUpdate() {
+        const update = this._pendingUpdate;
+        if (!update) return;
+        if (this.btnApplyUpdate) this.btnApplyUpdate.disabled = true;
+        try {
+            const ok = await this.controller.applyUpdate(update);
+            if (ok) {
+                this._pendingUpdate = null;
+                this._setStatus(this.elDataStatus, `Update übernommen: ${update.changed.join(', ')}`, 'ok');
+            } else {
+                const err = this.controller.lastError?.();
+                this._setStatus(this.elDataStatus, `Update fehlgeschlagen: ${err?.message || 'unbekannter Fehler'}`, 'error');
+            }
+        } finally {
+            if (this.btnApplyUpdate) {
+                this.btnApplyUpdate.disabled = false;
+                this.btnApplyUpdate.hidden = !this._pendingUpdate;
+            }
+        }
+    }
+
+    _renderDataSource() {
+        if (!this.elDataSource) return;
+        const f = this.controller.store?.fetcher;
+        // Update-Prüfung nur für Datensätze mit bekannter Server-Adresse
+        if (this.btnCheckUpdates) this.btnCheckUpdates.hidden = !['server', 'cache'].includes(f?.source?.type);
+        if (!f?.loadedAt) {
+            this.elDataSource.textContent = '';
+            return;
+        }
+        const kind = {server: 'Server', cache: 'Cache', dump: 'Dump', snapshot: 'Snapshot'}[f.source?.type] || 'Quelle';
+        const when = new Date(f.loadedAt).toLocaleString();
+        this.elDataSource.textContent = `${kind}: ${f.source?.label ?? '—'} · ISDP ${f.version ?? '—'} · geladen ${when}`;
+    }
+
+    _setStatus(el, text, kind = null) {
+        if (!el) return;
+        el.textContent = text;
+        el.classList.remove('ok', 'error');
+        if (kind) el.classList.add(kind);
     }
 
     _applyInitialState() {
@@ -168,6 +617,11 @@ export default class Events {
             showBalises: !!this.elBal?.checked,
             showSignals: !!this.elSig?.checked,
             showTdsComponents: !!this.elTds?.checked,
+            showSwitches: !!this.elSwitches?.checked,
+            showBufferStops: !!this.elBufferStops?.checked,
+            showLevelCrossings: !!this.elLevelCrossings?.checked,
+            showPlatforms: !!this.elPlatforms?.checked,
+            offsetByDirection: this.elSideOffset?.checked !== false, // default true
             showNames: !!this.elNames?.checked,
             showIds: !!this.elIds?.checked,
             hideSelectedElements: !!this.elHideSel?.checked,
@@ -178,6 +632,9 @@ export default class Events {
         this.controller.setProjectorOptions({
             includeSpeed: !!this.elSpd?.checked,
             includeTdsSections: !!this.elTdsSec?.checked,
+            includeStations: !!this.elStations?.checked,
+            includeTrackPoints: !!this.elTrackPoints?.checked,
+            includeGeometryQA: !!this.elGeometryQA?.checked,
         });
     }
 
@@ -191,6 +648,8 @@ export default class Events {
         });
         this.controller.setProjectorOptions({
             includeSegments: !!this.elSegs?.checked,
+            includeLengthCheck: !!this.elLengthCheck?.checked,
+            includeDeviation: !!this.elDeviation?.checked,
         });
     }
 
@@ -216,7 +675,28 @@ export default class Events {
         this._unsub.push(
             bus.on('graph:selectionChanged', () => this._renderSelectionCards()),
             bus.on('graph:modeChanged', () => this._renderSelectionCards()),
-            bus.on('graph:invalidateView', () => this._renderSelectionCards())
+            bus.on('graph:pointer', (p) => this._renderCursorReadout(p)),
+            bus.on('graph:crsChanged', () => this._renderSelectionCards()),
+            bus.on('graph:rendererChanged', () => this._renderRendererActive()),
+            bus.on('graph:invalidateView', () => this._renderSelectionCards()),
+            bus.on('graph:loadProgress', ({classes}) => {
+                // Während eines Retries den Fortschritt der erneut geladenen Klassen im Banner zeigen
+                if (!this._retrying) return;
+                renderClassStatusList(this.elLoadWarningList, (classes || []).filter(c => this._retryKeys?.has(c.key)));
+            }),
+            bus.on('graph:updateProgress', ({done, total}) => {
+                if (this._checkingUpdates) this._setStatus(this.elDataStatus, `Prüfe Server auf Änderungen… ${done}/${total}`);
+            }),
+            bus.on('graph:loaded', () => {
+                // ein neu geladener Datensatz macht ein offenes Update-Ergebnis ungültig
+                this._pendingUpdate = null;
+                if (this.btnApplyUpdate) this.btnApplyUpdate.hidden = true;
+                this._renderDataSource();
+                this._renderLoadWarning();
+                this._renderStationList();
+                this._qaIndex = -1;
+                this._renderGeometryQAList();
+            })
         );
         if (this.btnClearSel) {
             this.btnClearSel.addEventListener('click', () => this.controller.clearSelection());
@@ -249,15 +729,28 @@ export default class Events {
         const bal = elems.balises || [];
         const sig = elems.signals || [];
         const tdc = elems.tds_components || [];
+        const sw = elems.switches || [];
+        const bs = elems.buffer_stops || [];
+        const lc = elems.level_crossings || [];
+        const pf = elems.platforms || [];
 
         const findEdgeById = (id) => edges.find(e => (e.id || e.edgeId) === id);
         const findElemById = (id) => (
             bal.find(e => e.id === id) ||
             sig.find(e => e.id === id) ||
-            tdc.find(e => e.id === id)
+            tdc.find(e => e.id === id) ||
+            sw.find(e => e.id === id) ||
+            bs.find(e => e.id === id) ||
+            lc.find(e => e.id === id) ||
+            pf.find(e => e.id === id)
         );
 
         const store = this.controller.store;
+        // Lat/Lon zur lokalen Koordinate, sofern ein georeferenziertes CRS gewählt ist
+        const pushWgs84 = (rows, xy) => {
+            const ll = this.controller.toWgs84(xy);
+            if (ll) rows.push(['WGS84 (lat, lon)', formatLatLon(ll)]);
+        };
         const pushRow = (rows, key, value, {force = false} = {}) => {
             const hasValue = !(value === undefined || value === null || value === '');
             if (!hasValue && !force) return;
@@ -270,6 +763,10 @@ export default class Events {
             if (group === 'balise') list = store.getBalisesByEdge(edgeId) || [];
             else if (group === 'signal') list = store.getSignalsByEdge(edgeId) || [];
             else if (group === 'tds') list = store.getTdsComponentsByEdge(edgeId) || [];
+            else if (group === 'switch') list = store.getSwitchesByEdge(edgeId) || [];
+            else if (group === 'bufferstop') list = store.getBufferStopsByEdge(edgeId) || [];
+            else if (group === 'levelcrossing') list = store.getLevelCrossingsByEdge(edgeId) || [];
+            else if (group === 'platform') list = store.getPlatformEdgesByEdge(edgeId) || [];
             if (!list.length) return null;
             if (elemId) {
                 const byId = list.find(item => item && item.id === elemId);
@@ -330,6 +827,18 @@ export default class Events {
                 } else if (tdc.includes(el)) {
                     type = 'TDS-Component';
                     detail = findElementDetail('tds', edgeId, id, approxIk);
+                } else if (sw.includes(el)) {
+                    type = 'Switch';
+                    detail = findElementDetail('switch', edgeId, id, approxIk);
+                } else if (bs.includes(el)) {
+                    type = 'Buffer Stop';
+                    detail = findElementDetail('bufferstop', edgeId, id, approxIk);
+                } else if (lc.includes(el)) {
+                    type = 'Level Crossing';
+                    detail = findElementDetail('levelcrossing', edgeId, id, approxIk);
+                } else if (pf.includes(el)) {
+                    type = 'Platform';
+                    detail = findElementDetail('platform', edgeId, id, null);
                 }
 
                 if (!label) label = detail?.name || detail?.label || null;
@@ -369,9 +878,13 @@ export default class Events {
                 }
 
                 if (Number.isFinite(approxIk)) pushRow(rows, 'IK (A→B)', Number(approxIk).toFixed(5), {force: true});
-                else pushRow(rows, 'IK (A→B)', null, {force: true});
+                else if (type !== 'Platform') pushRow(rows, 'IK (A→B)', null, {force: true});
 
                 if (Number.isFinite(distanceFromA)) pushRow(rows, 'Dist. from A [m]', String(Math.round(distanceFromA)));
+                if (isLocated && Number.isFinite(el.x) && Number.isFinite(el.y)) {
+                    pushRow(rows, 'Coordinates (x,y)', `${el.x.toFixed(2)}, ${el.y.toFixed(2)}`);
+                    pushWgs84(rows, el);
+                }
 
                 const intrinsicRefVal = Number.isFinite(detail?.intrinsicRef) ? Number(detail.intrinsicRef).toFixed(5) : null;
 
@@ -392,10 +905,102 @@ export default class Events {
                     const appDir = detail?.applicationDirection ?? null;
                     if (appDir) pushRow(rows, 'Application Dir', appDir);
                     if (Number.isFinite(detail?.pos)) pushRow(rows, 'Position [m]', String(Math.round(detail.pos)));
+                } else if (type === 'Switch' || type === 'Buffer Stop' || type === 'Level Crossing') {
+                    const typeVal = el.type ?? detail?.assetType ?? null;
+                    if (typeVal) pushRow(rows, 'Type', typeVal);
+                    pushRow(rows, 'Intrinsic (Ref)', intrinsicRefVal);
+                    if (detail?.applicationDirection) pushRow(rows, 'Application Dir', detail.applicationDirection);
+                    if (detail?.nodeRef) pushRow(rows, 'GeoNode', detail.nodeRef);
+                } else if (type === 'Platform') {
+                    const fmtIk = (v) => Number.isFinite(v) ? Number(v).toFixed(5) : '—';
+                    pushRow(rows, 'IK Begin/End (A→B)', `${fmtIk(detail?.startIntrinsicAB)} → ${fmtIk(detail?.endIntrinsicAB)}`);
+                    if (Number.isFinite(detail?.lengthM)) pushRow(rows, 'Length [m]', String(Math.round(detail.lengthM)));
+                    if (Number.isFinite(detail?.heightM)) pushRow(rows, 'Height [m]', detail.heightM.toFixed(2));
                 }
 
+                if (detail?.geoCo) {
+                    pushRow(rows, 'Geometric coord (x,y)', `${detail.geoCo.x.toFixed(2)}, ${detail.geoCo.y.toFixed(2)}`);
+                    const dev = store?.getPositionDeviation?.(id);
+                    if (Number.isFinite(dev?.deviationM)) pushRow(rows, 'Δ to projected [m]', `${dev.deviationM.toFixed(2)}${dev.outlier ? ' (outlier)' : ''}`);
+                }
+                if (Number.isFinite(detail?.linearCoordinate)) pushRow(rows, 'Linear coord', detail.linearCoordinate.toFixed(3));
+
+                if (detail?.source) pushRow(rows, 'Source', detail.source === 'embedded' ? 'TrackEdge (eingebettet)' : 'globaler Endpunkt');
+
                 if (detail && typeof detail === 'object') detailPayload = detail.raw || detail;
                 if (!detailPayload && detail && typeof detail === 'object') detailPayload = detail;
+            } else if (store?.getStation?.(id)) {
+                const st = store.getStation(id);
+                type = 'Station';
+                const label = st.name ?? st.shortName ?? null;
+                title = `Station${label ? ` – ${label}` : ''}`;
+                displayName = label || id || '';
+
+                pushRow(rows, 'ID', id, {force: true});
+                pushRow(rows, 'Name', st.name, {force: true});
+                pushRow(rows, 'Short Name', st.shortName);
+                if (Number.isFinite(st.km)) pushRow(rows, 'km', st.km.toFixed(3));
+
+                let extentM = 0;
+                const partSummaries = st.parts.map((part) => {
+                    const L = store.getEdgeLength(part.netElementRef);
+                    if (Number.isFinite(L)) extentM += (part.endIntrinsicAB - part.startIntrinsicAB) * L;
+                    const pos = (part.startIntrinsicAB === part.endIntrinsicAB)
+                        ? `@ ${part.startIntrinsicAB.toFixed(3)}`
+                        : `${part.startIntrinsicAB.toFixed(3)}–${part.endIntrinsicAB.toFixed(3)}`;
+                    return `${part.netElementRef} (${pos})`;
+                });
+                pushRow(rows, 'Edges (IK A→B)', partSummaries.slice(0, 5).join(', '));
+                if (partSummaries.length > 5) pushRow(rows, 'Edges (total)', String(partSummaries.length));
+                if (extentM > 0) pushRow(rows, 'Extent [m]', String(Math.round(extentM)));
+
+                detailPayload = st.parts.length === 1 ? st.parts[0].raw : st.parts.map(p => p.raw);
+            } else if (typeof id === 'string' && id.startsWith('qa:') && store?.getGeometryIssue?.(id)) {
+                const issue = store.getGeometryIssue(id);
+                type = 'Geometry Issue';
+                title = `Geometry QA – ${issue.type} @ ${issue.edgeId}`;
+                displayName = issue.type;
+
+                pushRow(rows, 'ID', id, {force: true});
+                pushRow(rows, 'Type', issue.type, {force: true});
+                pushRow(rows, 'Edge', issue.edgeId, {force: true});
+                this._pushEdgeBasics(rows, issue.edgeId, {labelKey: 'Edge Name'});
+                pushRow(rows, 'Element', issue.elementId);
+                pushRow(rows, 'Previous Element', issue.prevElementId);
+                pushRow(rows, 'Segment #', String(issue.segmentIndex));
+                pushRow(rows, issue.type === 'tangency' ? 'Heading jump' : 'Distance', formatGeometryIssueValue(issue));
+                pushRow(rows, 'Coordinates (x,y)', `${issue.x.toFixed(3)}, ${issue.y.toFixed(3)}`);
+                pushWgs84(rows, issue);
+
+                detailPayload = issue;
+            } else if (store?.getTrackPoint?.(id)) {
+                const tp = store.getTrackPoint(id);
+                type = 'Track Point';
+                title = `Track Point – ${tp.netElementRef} #${tp.index}`;
+                displayName = id;
+
+                pushRow(rows, 'ID', id, {force: true});
+                pushRow(rows, 'Edge', tp.netElementRef, {force: true});
+                this._pushEdgeBasics(rows, tp.netElementRef, {labelKey: 'Edge Name'});
+                pushRow(rows, 'Index', String(tp.index));
+                pushRow(rows, 'Type', tp.pointType);
+                if (tp.geoCo) {
+                    pushRow(rows, 'Coordinates (x,y)', `${tp.geoCo.x.toFixed(2)}, ${tp.geoCo.y.toFixed(2)}`);
+                    pushWgs84(rows, tp.geoCo);
+                }
+                if (Number.isFinite(tp.intrinsicAB)) pushRow(rows, 'IK (A→B)', tp.intrinsicAB.toFixed(5));
+                if (Number.isFinite(tp.intrinsicRef)) pushRow(rows, 'Intrinsic (Ref)', tp.intrinsicRef.toFixed(5));
+                // Abstand zwischen eigener Koordinate und der per IK projizierten Lage auf der Geometrie
+                if (tp.geoCo && Number.isFinite(tp.intrinsicAB)) {
+                    const onGeo = store.projectIntrinsicToXY(tp.netElementRef, tp.intrinsicAB);
+                    if (onGeo) pushRow(rows, 'Δ to geometry [m]', Math.hypot(onGeo.x - tp.geoCo.x, onGeo.y - tp.geoCo.y).toFixed(2));
+                } else if (!tp.geoCo) {
+                    pushRow(rows, 'Position', 'per IK projiziert (keine eigene Koordinate)');
+                }
+                if (Number.isFinite(tp.radius)) pushRow(rows, 'Radius [m]', String(Math.round(tp.radius)));
+                if (Number.isFinite(tp.km)) pushRow(rows, 'km', tp.km.toFixed(3));
+
+                detailPayload = tp.raw || tp;
             } else if (typeof id === 'string' && id.includes(':')) {
                 // Segment selection: id format edgeId:index
                 const edgeId = id.split(':')[0];
@@ -403,21 +1008,38 @@ export default class Events {
                 const seg = segs.find(s => s.id === id);
                 if (seg) {
                     const label = this.controller.store.getEdgeLabel(edgeId) || null;
-                    title = `Segment – ${seg.kind === 'arc' ? 'Arc' : 'Line'}${label ? ` @ ${label}` : ''}`;
+                    const kindName = seg.kind === 'arc' ? 'Arc' : (seg.kind === 'clothoid' ? 'Clothoid' : 'Line');
+                    title = `Segment – ${kindName}${label ? ` @ ${label}` : ''}`;
                     rows.push(['ID', id]);
                     rows.push(['Edge', edgeId]);
-                    rows.push(['Type', seg.kind === 'arc' ? 'Arc' : 'Line']);
-                    if (Number.isFinite(seg.len)) rows.push(['Length [m]', String(Math.round(seg.len))]);
+                    rows.push(['Type', kindName]);
+                    if (seg.kind === 'clothoid' && Number.isFinite(seg.declaredLen)) {
+                        rows.push(['Length [m]', String(Math.round(seg.declaredLen))]);
+                        if (Number.isFinite(seg.len)) rows.push(['Length (fitted) [m]', String(Math.round(seg.len))]);
+                    } else if (Number.isFinite(seg.len)) {
+                        rows.push(['Length [m]', String(Math.round(seg.len))]);
+                    }
                     if (seg.kind === 'arc') {
                         if (Number.isFinite(seg.r)) rows.push(['Radius [m]', String(Math.round(seg.r))]);
                         if (seg.center) rows.push(['Center (cx,cy)', `${Math.round(seg.center.x)}, ${Math.round(seg.center.y)}`]);
                         if (Number.isFinite(seg.ang1) && Number.isFinite(seg.ang2)) rows.push(['Angles (rad)', `${seg.ang1.toFixed(2)} → ${seg.ang2.toFixed(2)}`]);
+                    } else if (seg.kind === 'clothoid') {
+                        // Deklarierte Radien in Durchlaufrichtung A→B (wie k1/k2); die eingepassten Werte gekennzeichnet daneben
+                        const declared = r => Number.isFinite(r) ? (r === 0 ? '∞' : String(Math.round(r))) : '–';
+                        if (seg.startRadius != null || seg.endRadius != null) {
+                            rows.push(['Radius start → end [m]', `${declared(seg.startRadius)} → ${declared(seg.endRadius)}`]);
+                        }
+                        // Radius aus Krümmung (+ = links); Krümmung 0 = Gerade
+                        const radius = k => (Math.abs(k) > 1e-9) ? String(Math.round(1 / k)) : '∞';
+                        rows.push(['Radius (fitted) start → end [m]', `${radius(seg.k1)} → ${radius(seg.k2)}`]);
+                        if (Number.isFinite(seg.theta1) && Number.isFinite(seg.theta2)) rows.push(['Heading (rad)', `${seg.theta1.toFixed(3)} → ${seg.theta2.toFixed(3)}`]);
                     }
                     // Edge basics
                     this._pushEdgeBasics(rows, edgeId, { labelKey: 'Edge Name' });
                     type = 'Segment';
-                    displayName = seg.kind === 'arc' ? 'Arc' : 'Line';
-                    detailPayload = {...seg, edgeId};
+                    displayName = kindName;
+                    const {polyline, ...segPayload} = seg;
+                    detailPayload = {...segPayload, edgeId};
                 } else {
                     // Fallback if no seg found
                     title = `Item – ${id}`;
@@ -436,6 +1058,7 @@ export default class Events {
                 const xy = store.getNodeXY?.(id) || node?.geoCo || null;
                 if (xy && Number.isFinite(xy.x) && Number.isFinite(xy.y)) {
                     pushRow(rows, 'Coordinates (x,y)', `${Math.round(xy.x)}, ${Math.round(xy.y)}`);
+                    pushWgs84(rows, xy);
                 }
 
                 const edgesForNode = Array.isArray(store.getEdgesByNode?.(id)) ? store.getEdgesByNode(id) : [];
@@ -499,12 +1122,15 @@ export default class Events {
             const A = e.nodeIdA || e.a || null;
             const B = e.nodeIdB || e.b || null;
             const L = this.controller.store.getEdgeLength(edgeId);
+            const check = this.controller.store.getEdgeLengthCheck?.(edgeId);
             const label = this.controller.store.getEdgeLabel(edgeId);
             const labelKey = opts.labelKey || 'Name';
             if (label) rows.push([labelKey, label]);
             if (A) rows.push(['Node A', A]);
             if (B) rows.push(['Node B', B]);
             if (Number.isFinite(L)) rows.push(['Length [m]', String(Math.round(L))]);
+            if (Number.isFinite(check?.geometricM)) rows.push(['Length geometric [m]', check.geometricM.toFixed(2)]);
+            if (Number.isFinite(check?.deltaM)) rows.push(['Length Δ [m]', `${check.deltaM >= 0 ? '+' : ''}${check.deltaM.toFixed(2)} (${check.status})`]);
             if ('refIsA' in e) rows.push(['refIsA', String(e.refIsA)]);
             if ('refNodeId' in e) rows.push(['refNode', String(e.refNodeId)]);
         } catch {}
@@ -632,6 +1258,14 @@ export default class Events {
     }
 }
 
+const GEOMETRY_QA_LIST_LIMIT = 200;
+
+// Wert eines QA-Befunds: Abstand in m bzw. Richtungssprung in Grad
+function formatGeometryIssueValue(i) {
+    if (!Number.isFinite(i?.value)) return '';
+    return i.type === 'tangency' ? `${(i.value * 180 / Math.PI).toFixed(2)}°` : `${i.value.toFixed(3)} m`;
+}
+
 
 // === Overlay Panels & Bottom Dock initializer (no hotkeys) ===
 (() => {
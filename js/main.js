@@ -6,14 +6,18 @@
 import * as d3 from "https://cdn.jsdelivr.net/npm/d3@7.9.0/+esm";
 
 
-import ISDPDataFetcher from "./ISDPDataFetcher.js";
+import {DEFAULT_ISDP_VERSION, hasIsdpVersion, listIsdpVersions} from "../config/ISDP_SCHEMA_REGISTRY.js";
+import ISDPDataFetcher, {DEFAULT_REQUEST_OPTIONS} from "./ISDPDataFetcher.js";
+import ISDPDumpReader from "./ISDPDumpReader.js";
+import ISDPCache from "./ISDPCache.js";
 import GraphDataStore from "./GraphDataStore.js";
 import GraphProjector from "./GraphProjector.js";
 import GraphController from "./GraphController.js";
 
-import LocatedRendererD3 from "./renderers/LocatedRendererD3.js";
+import LocatedRendererSwitch from "./renderers/LocatedRendererSwitch.js";
 import DynamicRendererD3 from "./renderers/DynamicRendererD3.js";
 import Events from "./events.js";
+import {renderClassStatusList} from "./utils/loadReport.js";
 
 // --- Mounts & Buttons
 const elLocated = document.getElementById("located-view");
@@ -22,9 +26,13 @@ const btnLocated = document.getElementById("btn-located");
 const btnDynamic = document.getElementById("btn-dynamic");
 
 // --- Renderer-Instanzen (keine Controller-Referenzen im Konstruktor)
-const locatedRenderer = new LocatedRendererD3({
+// Lageansicht: SVG, bei sehr großen Netzen automatisch Canvas (Umschaltung über controller.setRendererBackend)
+const locatedRenderer = new LocatedRendererSwitch({
     mount: elLocated,
-    onSelect: (ids) => controller?.addToSelection?.(ids)
+    onSelect: (ids) => controller?.addToSelection?.(ids),
+    onPointer: (pos) => controller?.pickTrackPosition?.(pos),
+    onLodChange: (tol) => controller?.setLodTolerance?.(tol),
+    onBackendChange: (active) => controller?.bus.emit('graph:rendererChanged', {backend: locatedRenderer?.backend, active})
 });
 const dynamicRenderer = new DynamicRendererD3({
     mount: elDynamic,
@@ -48,43 +56,193 @@ const elTopbar = document.querySelector('header.topbar');
 const elMain = document.querySelector('main.main');
 const inpUrl = document.getElementById('start-base-url');
 const selVer = document.getElementById('sel-isdp-version');
+const inpTimeout = document.getElementById('start-timeout');
+const inpRetries = document.getElementById('start-retries');
+const selAuthType = document.getElementById('start-auth-type');
+const inpAuthUser = document.getElementById('start-auth-user');
+const inpAuthPass = document.getElementById('start-auth-pass');
+const inpAuthToken = document.getElementById('start-auth-token');
+const chkAuthRemember = document.getElementById('start-auth-remember');
+const elAuth = document.getElementById('start-auth');
 const btnLoad = document.getElementById('btn-start-load');
 const elStatus = document.getElementById('start-status');
+const elProgress = document.getElementById('start-progress');
+const elDrop = document.getElementById('start-dropzone');
+const btnImportFiles = document.getElementById('btn-import-files');
+const btnImportFolder = document.getElementById('btn-import-folder');
+const inpImportFiles = document.getElementById('inp-import-files');
+const inpImportFolder = document.getElementById('inp-import-folder');
 
 const DEFAULT_URL = fetcher?.schema?.baseUrlKey || 'http://localhost:32308';
 
 (function initStart() {
+    // Versions-Dropdown aus der Schema-Registry befüllen
+    if (selVer) {
+        selVer.innerHTML = '';
+        for (const v of listIsdpVersions()) {
+            const opt = document.createElement('option');
+            opt.value = v;
+            opt.textContent = v;
+            selVer.appendChild(opt);
+        }
+        selVer.value = DEFAULT_ISDP_VERSION;
+    }
     try {
         const savedUrl = localStorage.getItem('isdp_base_url');
         const savedVer = localStorage.getItem('isdp_version');
         if (inpUrl && savedUrl) inpUrl.value = savedUrl;
-        if (selVer && savedVer) selVer.value = savedVer;
+        if (selVer && savedVer && hasIsdpVersion(savedVer)) selVer.value = savedVer;
+        const savedReq = JSON.parse(localStorage.getItem('isdp_request_options') || 'null') || {};
+        if (inpTimeout) inpTimeout.value = String(Math.round((savedReq.timeoutMs ?? DEFAULT_REQUEST_OPTIONS.timeoutMs) / 1000));
+        if (inpRetries) inpRetries.value = String(savedReq.retries ?? DEFAULT_REQUEST_OPTIONS.retries);
         if (elStatus) elStatus.textContent = '';
     } catch {}
+    // Zugangsdaten nur aus sessionStorage (nie dauerhaft gespeichert)
+    try {
+        const savedAuth = JSON.parse(sessionStorage.getItem('isdp_auth') || 'null');
+        if (savedAuth?.type && selAuthType) {
+            selAuthType.value = savedAuth.type;
+            if (inpAuthUser) inpAuthUser.value = savedAuth.username || '';
+            if (inpAuthPass) inpAuthPass.value = savedAuth.password || '';
+            if (inpAuthToken) inpAuthToken.value = savedAuth.token || '';
+            if (chkAuthRemember) chkAuthRemember.checked = true;
+            if (elAuth && savedAuth.type !== 'none') elAuth.open = true;
+        }
+    } catch {}
+    syncAuthFields();
+    fetcher.setCredentials(readCredentials());
 })();
 
+function syncAuthFields() {
+    const type = selAuthType?.value || 'none';
+    for (const el of elAuth?.querySelectorAll('[data-auth]') || []) el.hidden = el.dataset.auth !== type;
+}
+
+function readCredentials() {
+    const type = selAuthType?.value || 'none';
+    if (type === 'basic') return {type, username: (inpAuthUser?.value || '').trim(), password: inpAuthPass?.value || ''};
+    if (type === 'bearer') return {type, token: (inpAuthToken?.value || '').trim()};
+    return {type: 'none'};
+}
+
+// Zugangsdaten übernehmen; "merken" legt sie nur für die Sitzung ab. Andere Zugangsdaten (auch Abmelden)
+// verwerfen die zwischengespeicherten Daten dieser Adresse.
+function applyCredentials() {
+    const cred = readCredentials();
+    const before = JSON.stringify(fetcher.credentials);
+    fetcher.setCredentials(cred);
+    if (JSON.stringify(fetcher.credentials) !== before) dropCachedAddress(fetcher.address);
+    try {
+        if (chkAuthRemember?.checked && cred.type !== 'none') sessionStorage.setItem('isdp_auth', JSON.stringify(cred));
+        else sessionStorage.removeItem('isdp_auth');
+    } catch {}
+}
+
+// Statusmeldung bei abgelehnter Anmeldung (401/403) statt allgemeiner Erreichbarkeitsmeldung
+function authFailureText(report) {
+    const c = (report?.classes || []).find(x => x.errorKind === 'auth');
+    if (!c) return null;
+    return c.httpStatus === 403
+        ? `Zugriff verweigert (HTTP 403): Der Benutzer hat keine Berechtigung für ${c.key}`
+        : `Anmeldung fehlgeschlagen (HTTP 401): Zugangsdaten prüfen`;
+}
+
+// --- Persistenter Cache: jeder erfolgreiche Server-Abruf (inkl. Retry/Update) wird gespeichert –
+// außer mit Zugangsdaten: geschützte Daten bleiben wie die Zugangsdaten selbst auf die Sitzung beschränkt
+const cache = ISDPCache.isSupported() ? new ISDPCache() : null;
+controller.bus.on('graph:loaded', () => {
+    if (!cache || fetcher.source?.type !== 'server' || fetcher.credentials) return;
+    try {
+        cache.put(controller.getSnapshot()).catch(err => console.warn('Cache: Speichern fehlgeschlagen', err));
+    } catch (err) {
+        console.warn('Cache: Snapshot nicht möglich', err);
+    }
+});
+
+// Einträge einer Adresse in allen Schema-Versionen entfernen
+function dropCachedAddress(address) {
+    if (!cache || !address) return;
+    Promise.all(listIsdpVersions().map(v => cache.remove(address, v)))
+        .catch(err => console.warn('Cache: Entfernen fehlgeschlagen', err));
+}
+
+// Zuletzt genutzte Adresse + Version sofort aus dem Cache öffnen (Aktualität über "Check for updates")
+async function openCached() {
+    if (!cache) return false;
+    try {
+        const url = (inpUrl?.value || '').trim() || DEFAULT_URL;
+        const ver = selVer?.value || DEFAULT_ISDP_VERSION;
+        const entry = await cache.get(url, ver);
+        if (!entry) return false;
+        if (elStatus) elStatus.textContent = `Öffne zwischengespeicherte Daten von ${url}...`;
+        const ok = await controller.loadFromSnapshot(entry.snapshot, {sourceType: 'cache'});
+        if (ok) {
+            fetcher.setRequestOptions(readRequestOptions());
+            showMain();
+        } else if (elStatus) {
+            elStatus.textContent = '';
+        }
+        return ok;
+    } catch (err) {
+        console.warn('Cache: Öffnen fehlgeschlagen', err);
+        return false;
+    }
+}
+
+// Live-Fortschritt je Klasse während des Server-Abrufs
+controller.bus.on('graph:loadProgress', ({classes}) => renderClassStatusList(elProgress, classes));
+
+function showMain() {
+    if (elOverlay) elOverlay.style.display = 'none';
+    if (elTopbar) elTopbar.style.display = '';
+    if (elMain) elMain.style.display = '';
+    // Initial: Graph sichtbar machen (einmalig zentrieren)
+    controller.centerGraph();
+    window.__graph = {controller, store, projector, d3};
+    if (elStatus) elStatus.textContent = '';
+}
+
+// Timeout/Retries aus dem Start-Overlay übernehmen (leere/ungültige Eingaben → Default)
+function readRequestOptions() {
+    const sec = Number(inpTimeout?.value);
+    const retries = Number(inpRetries?.value);
+    return {
+        timeoutMs: Number.isFinite(sec) && sec > 0 ? sec * 1000 : DEFAULT_REQUEST_OPTIONS.timeoutMs,
+        retries: Number.isFinite(retries) && retries >= 0 ? Math.floor(retries) : DEFAULT_REQUEST_OPTIONS.retries
+    };
+}
+
+function setStartBusy(busy) {
+    for (const b of [btnLoad, btnImportFiles, btnImportFolder]) if (b) b.disabled = busy;
+}
+
 async function doLoad() {
-    if (btnLoad) btnLoad.disabled = true;
+    setStartBusy(true);
     if (elStatus) { elStatus.classList.remove('error'); elStatus.textContent = 'Lade Daten...'; }
     try {
         const urlRaw = (inpUrl?.value || '').trim();
         const url = urlRaw || DEFAULT_URL;
-        const ver = selVer?.value || '3.0.17';
+        const ver = selVer?.value || DEFAULT_ISDP_VERSION;
         try { localStorage.setItem('isdp_base_url', urlRaw); localStorage.setItem('isdp_version', ver); } catch {}
+        const reqOpts = readRequestOptions();
+        try { localStorage.setItem('isdp_request_options', JSON.stringify(reqOpts)); } catch {}
+        fetcher.setVersion(ver);
         fetcher.setAddress(url);
+        fetcher.setRequestOptions(reqOpts);
+        applyCredentials();
         const ok = await controller.loadFromISDP();
+        renderClassStatusList(elProgress, controller.getLoadReport().classes);
         if (ok) {
-            if (elOverlay) elOverlay.style.display = 'none';
-            if (elTopbar) elTopbar.style.display = '';
-            if (elMain) elMain.style.display = '';
-            // Initial: Graph sichtbar machen (einmalig zentrieren)
-            controller.centerGraph();
-            window.__graph = {controller, store, projector, d3};
-            if (elStatus) elStatus.textContent = '';
+            showMain();
         } else {
+            const report = controller.getLoadReport();
+            const allFailed = report.classes.length > 0 && report.failed.length === report.classes.length;
+            const authText = authFailureText(report);
             if (elStatus) {
                 elStatus.classList.add('error');
-                elStatus.textContent = `Kein ISDP-Server unter dieser Adresse erreichbar: ${url}`;
+                elStatus.textContent = authText || (allFailed
+                    ? `Kein ISDP-Server unter dieser Adresse erreichbar: ${url}`
+                    : `Daten von ${url} konnten nicht verwendet werden: ${controller.lastError()?.message || 'unbekannter Fehler'}`);
             }
         }
     } catch (err) {
@@ -94,11 +252,74 @@ async function doLoad() {
             elStatus.textContent = `Kein ISDP-Server unter dieser Adresse erreichbar: ${((inpUrl?.value || '').trim()) || DEFAULT_URL}`;
         }
     } finally {
-        if (btnLoad) btnLoad.disabled = false;
+        setStartBusy(false);
+    }
+}
+
+async function doImport(files) {
+    const list = Array.from(files || []);
+    if (!list.length) return;
+    setStartBusy(true);
+    if (elStatus) { elStatus.classList.remove('error'); elStatus.textContent = `Lese ${list.length} Datei(en)...`; }
+    try {
+        const ver = selVer?.value || DEFAULT_ISDP_VERSION;
+        try { localStorage.setItem('isdp_version', ver); } catch {}
+        fetcher.setVersion(ver);
+        const reader = new ISDPDumpReader(fetcher);
+        const {payloads, matched, unmatched, label, snapshot} = await reader.read(list);
+        if (unmatched.length) console.warn('Import: nicht zugeordnete Dateien', unmatched);
+        if (elStatus) elStatus.textContent = snapshot ? `Öffne Snapshot ${label}...` : `Importiere ${matched.join(', ')}...`;
+        const ok = snapshot
+            ? await controller.loadFromSnapshot(snapshot)
+            : await controller.loadFromDump(payloads, {source: label});
+        if (ok && selVer && snapshot?.schemaVersion && hasIsdpVersion(snapshot.schemaVersion)) selVer.value = snapshot.schemaVersion;
+        renderClassStatusList(elProgress, controller.getLoadReport().classes);
+        if (ok) {
+            showMain();
+        } else {
+            const err = controller.lastError();
+            if (elStatus) {
+                elStatus.classList.add('error');
+                elStatus.textContent = `Import fehlgeschlagen: ${err?.message || 'Daten leer oder unbrauchbar'}`;
+            }
+        }
+    } catch (err) {
+        console.error('Import failed:', err);
+        if (elStatus) {
+            elStatus.classList.add('error');
+            elStatus.textContent = `Import fehlgeschlagen: ${err?.message || err}`;
+        }
+    } finally {
+        setStartBusy(false);
+        if (inpImportFiles) inpImportFiles.value = '';
+        if (inpImportFolder) inpImportFolder.value = '';
     }
 }
 
 if (btnLoad) btnLoad.addEventListener('click', doLoad);
+if (selAuthType) selAuthType.addEventListener('change', syncAuthFields);
 if (inpUrl) inpUrl.addEventListener('keydown', (ev) => { if (ev.key === 'Enter') doLoad(); });
 
+// --- Offline-Import (Dateiauswahl & Drag&Drop)
+if (btnImportFiles && inpImportFiles) btnImportFiles.addEventListener('click', () => inpImportFiles.click());
+if (btnImportFolder && inpImportFolder) btnImportFolder.addEventListener('click', () => inpImportFolder.click());
+if (inpImportFiles) inpImportFiles.addEventListener('change', () => doImport(inpImportFiles.files));
+if (inpImportFolder) inpImportFolder.addEventListener('change', () => doImport(inpImportFolder.files));
+if (elDrop) {
+    elDrop.addEventListener('dragover', (ev) => {
+        ev.preventDefault();
+        elDrop.classList.add('is-dragover');
+    });
+    elDrop.addEventListener('dragleave', () => elDrop.classList.remove('is-dragover'));
+    elDrop.addEventListener('drop', async (ev) => {
+        ev.preventDefault();
+        elDrop.classList.remove('is-dragover');
+        try {
+            doImport(await ISDPDumpReader.filesFromDataTransfer(ev.dataTransfer));
+        } catch (err) {
+            console.error('Drop failed:', err);
+        }
+    });
+}
 
+openCached();
@@ -1,5 +1,7 @@
 import * as d3 from 'https://cdn.jsdelivr.net/npm/d3@7.9.0/+esm';
 import {appendIconG} from '../utils/graphSymbols.js';
+import {isSelectionOnlyChange} from '../utils/highlight.js';
+import Minimap, {svgViewportBox} from './Minimap.js';
 
 const DEFAULT_EDGE_LENGTH = 100;
 const LANE_SPACING = 120;
@@ -8,6 +10,7 @@ const BBOX_MARGIN = 200;
 const NODE_ICON_SCALE = (5 / 3).toFixed(6);
 const SIGNAL_ICON_SCALE = (6 / 10).toFixed(6);
 const TDS_ICON_SCALE = (5 / 7).toFixed(6);
+const ASSET_ICON_SCALE = (6 / 8).toFixed(6);
 const DRAG_PROPAGATION_FALLOFF = 0.65;
 const MAX_PROPAGATION_DEPTH = 6;
 
@@ -66,6 +69,8 @@ export default class DynamicRendererD3 {
 
         this.gLinks = this.root.append('g').attr('class', 'links');
         this.gNodes = this.root.append('g').attr('class', 'nodes');
+        this.gStations = this.root.append('g').attr('class', 'stations');
+        this.gPlatforms = this.root.append('g').attr('class', 'elems platforms');
         this.gElems = this.root.append('g').attr('class', 'elems');
         this.gLabels = this.root.append('g').attr('class', 'labels');
         this.gSpeed = this.root.append('g').attr('class', 'speed');
@@ -79,8 +84,18 @@ export default class DynamicRendererD3 {
         this._currentState = null;
         this._dragPrev = null;
 
+        // Übersichtskarte (Ecke unten links): Klick/Ziehen zentriert den Ausschnitt, Zoomfaktor bleibt
+        this.minimap = new Minimap({
+            mount,
+            onPan: (p) => this.svg.call(this.zoom.translateTo, p.x, p.y),
+            getViewport: () => svgViewportBox(this.svg.node(), d3.zoomTransform(this.svg.node()))
+        });
+
         this.svg.attr('viewBox', '0 0 1000 600').attr('preserveAspectRatio', 'xMidYMid meet');
-        this.zoom = d3.zoom().scaleExtent([0.1, 16]).on('zoom', (ev) => this.root.attr('transform', ev.transform));
+        this.zoom = d3.zoom().scaleExtent([0.1, 16]).on('zoom', (ev) => {
+            this.root.attr('transform', ev.transform);
+            this.minimap.refresh();
+        });
         this.svg.call(this.zoom);
         this._didFit = false;
 
@@ -113,7 +128,16 @@ export default class DynamicRendererD3 {
 
     update(view, state = {}) {
         if (!view) return;
+        // Gleiche (zwischengespeicherte) View, nur die Auswahl geändert: Klassen umsetzen, Layout und Pins bleiben
+        if (view === this._currentView && isSelectionOnlyChange(this._currentState, state)) {
+            this._currentState = this._cloneState(state);
+            this._applySelection(this._currentState.selection);
+            return;
+        }
+        this._relayout(view, state);
+    }
 
+    _relayout(view, state) {
         this._currentView = view;
         this._currentState = this._cloneState(state);
         this._cleanupPinned(view);
@@ -132,6 +156,20 @@ export default class DynamicRendererD3 {
         this._render(layout, this._currentState, view);
     }
 
+    // Auswahl-Diff: is-selected an allen gebundenen Objekten (inkl. Symbol-Teilen) neu setzen
+    _applySelection(selection) {
+        const selSet = new Set(selection || []);
+        this.minimap.setSelection(selSet);
+        const has = (d) => d?.id != null && selSet.has(d.id);
+        for (const g of [this.gLinks, this.gNodes, this.gStations, this.gPlatforms, this.gElems]) {
+            g.selectAll(':scope > *')
+                .classed('is-selected', has)
+                .each(function (d) {
+                    d3.select(this).selectAll('circle,rect,path').classed('is-selected', has(d));
+                });
+        }
+    }
+
     _fitToBBox(b) {
         if (!b || !b.min || !b.max) return;
         const w = Math.max(1, b.max.x - b.min.x);
@@ -387,6 +425,10 @@ export default class DynamicRendererD3 {
         const showBal = filters.showBalises !== false;
         const showSig = filters.showSignals !== false;
         const showTds = filters.showTdsComponents !== false;
+        const showSw = filters.showSwitches !== false;
+        const showBs = filters.showBufferStops !== false;
+        const showLc = filters.showLevelCrossings !== false;
+        const showPf = filters.showPlatforms !== false;
         const showNames = filters.showNames !== false;
         const showIds = !!filters.showIds;
         const showAnyLabel = showNames || showIds;
@@ -502,11 +544,29 @@ export default class DynamicRendererD3 {
         const baliseData = showBal ? projectElementList(view?.elements?.balises) : [];
         const signalData = showSig ? projectElementList(view?.elements?.signals) : [];
         const tdsData = showTds ? projectElementList(view?.elements?.tds_components) : [];
+        const switchData = showSw ? projectElementList(view?.elements?.switches) : [];
+        const bufferStopData = showBs ? projectElementList(view?.elements?.buffer_stops) : [];
+        const levelCrossingData = showLc ? projectElementList(view?.elements?.level_crossings) : [];
+        const platformData = showPf ? (view?.elements?.platforms || []).map((pf) => {
+            const span = spanFor(pf.edgeId, pf.startDistanceM, pf.endDistanceM);
+            if (!span) return null;
+            return {...pf, span, x: (span.x1 + span.x2) / 2, y: (span.y1 + span.y2) / 2};
+        }).filter(Boolean) : [];
+
+        // Bahnhöfe (nur wenn projectorOptions.includeStations): Teilstücke + Marker in der Mitte
+        const stationData = (Array.isArray(view?.elements?.stations) ? view.elements.stations : []).map((st) => {
+            const spans = (st.spans || []).map((sp) => spanFor(sp.edgeId, sp.startDistanceM, sp.endDistanceM)).filter(Boolean);
+            if (!spans.length) return null;
+            const x = spans.reduce((sum, sp) => sum + (sp.x1 + sp.x2) / 2, 0) / spans.length;
+            const y = spans.reduce((sum, sp) => sum + (sp.y1 + sp.y2) / 2, 0) / spans.length;
+            return {...st, spans, x, y};
+        }).filter(Boolean);
 
         const elementLabelData = [];
         if (showBal) elementLabelData.push(...baliseData);
         if (showSig) elementLabelData.push(...signalData);
         if (showTds) elementLabelData.push(...tdsData);
+        elementLabelData.push(...switchData, ...bufferStopData, ...levelCrossingData, ...platformData);
 
         const elemLabels = this.gLabels.selectAll('text.elem-label').data(elementLabelData, (d) => d.id || `${d.edgeId}:${d.distanceFromA}`);
         elemLabels.exit().remove();
@@ -595,6 +655,90 @@ export default class DynamicRendererD3 {
             const selected = !!d.id && selSet.has(d.id);
             d3.select(this).selectAll('circle,rect,path').classed('is-selected', selected);
         });
+
+        // Weichen / Prellböcke / Bahnübergänge
+        for (const [cls, data, show] of [['switch', switchData, showSw], ['bufferstop', bufferStopData, showBs], ['levelcrossing', levelCrossingData, showLc]]) {
+            const sel = this.gElems.selectAll(`g.${cls}`).data(data, (d) => d.id || `${d.edgeId}:${d.distanceFromA}`);
+            sel.exit().remove();
+            const enter = sel.enter().append('g').attr('class', cls);
+            enter.each(function () { appendIconG(d3.select(this), cls); });
+            const merged = enter.merge(sel);
+            merged
+                .attr('transform', (d) => `translate(${d.x},${d.y}) scale(${ASSET_ICON_SCALE})`)
+                .classed('is-selected', (d) => !!d.id && selSet.has(d.id))
+                .style('display', (d) => (show && !(hideSelected && d.id && selSet.has(d.id))) ? null : 'none')
+                .on('click', (ev, d) => this.onSelect([d.id || d.edgeId]));
+            merged.each(function (d) {
+                const selected = !!d.id && selSet.has(d.id);
+                d3.select(this).selectAll('circle,rect,path').classed('is-selected', selected);
+            });
+        }
+
+        const stSpanData = stationData.flatMap((st) => st.spans.map((span, i) => ({id: st.id, key: `${st.id}#${i}`, span})));
+        const stSpanSel = this.gStations.selectAll('line.station-span').data(stSpanData, (d) => d.key);
+        stSpanSel.exit().remove();
+        stSpanSel.enter().append('line').attr('class', 'station-span').merge(stSpanSel)
+            .attr('x1', (d) => d.span.x1)
+            .attr('y1', (d) => d.span.y1)
+            .attr('x2', (d) => d.span.x2)
+            .attr('y2', (d) => d.span.y2)
+            .classed('is-selected', (d) => selSet.has(d.id))
+            .style('display', (d) => !(hideSelected && selSet.has(d.id)) ? null : 'none')
+            .on('click', (ev, d) => this.onSelect([d.id]));
+        const stSel = this.gStations.selectAll('g.station').data(stationData, (d) => d.id);
+        stSel.exit().remove();
+        const stEnter = stSel.enter().append('g').attr('class', 'station');
+        stEnter.each(function () { appendIconG(d3.select(this), 'station'); });
+        const stMerged = stEnter.merge(stSel);
+        stMerged
+            .attr('transform', (d) => `translate(${d.x},${d.y}) scale(${ASSET_ICON_SCALE})`)
+            .classed('is-selected', (d) => selSet.has(d.id))
+            .style('display', (d) => !(hideSelected && selSet.has(d.id)) ? null : 'none')
+            .on('click', (ev, d) => this.onSelect([d.id]));
+        stMerged.each(function (d) {
+            d3.select(this).selectAll('circle,rect,path').classed('is-selected', selSet.has(d.id));
+        });
+        const stLabels = this.gLabels.selectAll('text.station-label').data(stationData, (d) => d.id);
+        stLabels.exit().remove();
+        stLabels.enter().append('text').attr('class', 'label station-label').attr('dy', -10).merge(stLabels)
+            .attr('x', (d) => d.x)
+            .attr('y', (d) => d.y)
+            .text((d) => {
+                const nm = d.name ?? d.shortName ?? null;
+                return (showIds && nm && nm !== d.id) ? `${nm} [${d.id}]` : (nm ?? d.id ?? '');
+            })
+            .style('display', (d) => !(hideSelected && selSet.has(d.id)) ? null : 'none');
+
+        // Bahnsteigkanten als Teilstück der Kante
+        const pfSel = this.gPlatforms.selectAll('line.platform').data(platformData, (d) => d.id || `${d.edgeId}:${d.startDistanceM}-${d.endDistanceM}`);
+        pfSel.exit().remove();
+        const pfMerged = pfSel.enter().append('line').attr('class', 'platform').merge(pfSel);
+        pfMerged
+            .attr('x1', (d) => d.span.x1)
+            .attr('y1', (d) => d.span.y1)
+            .attr('x2', (d) => d.span.x2)
+            .attr('y2', (d) => d.span.y2)
+            .classed('is-selected', (d) => !!d.id && selSet.has(d.id))
+            .style('display', (d) => (showPf && !(hideSelected && d.id && selSet.has(d.id))) ? null : 'none')
+            .on('click', (ev, d) => this.onSelect([d.id || d.edgeId]));
+
+        // Übersichtskarte: Kanten als Grundkarte, Kanten/Knoten/Elemente für die Auswahl
+        const linkLine = (d) => {
+            const src = layout.nodeById.get(d.sourceId), tgt = layout.nodeById.get(d.targetId);
+            return src && tgt ? [{x: src.x, y: src.y}, {x: tgt.x, y: tgt.y}] : null;
+        };
+        // Während eines Knoten-Drags nicht bei jeder Mausbewegung neu aufbauen; _onDragEnd zeichnet über _settleLayout final
+        if (!this._dragPrev) {
+            const edgeItems = edgesData.map((d) => ({id: d.id, polyline: linkLine(d)})).filter((d) => d.polyline);
+            this.minimap.setScene({
+                bbox: layout.bbox,
+                lines: edgeItems.map((d) => d.polyline),
+                items: [...edgeItems, ...nodesData, ...baliseData, ...signalData, ...tdsData, ...switchData, ...bufferStopData,
+                    ...levelCrossingData, ...platformData, ...stationData]
+            });
+        }
+        this.minimap.setSelection(selSet);
+        this.minimap.setVisible(filters.showMinimap !== false);
     }
 
     _propagateDrag(anchorId, dx, dy) {
@@ -665,7 +809,7 @@ export default class DynamicRendererD3 {
     _settleLayout() {
         if (!this._currentView) return;
         const nextState = this._cloneState(this._currentState);
-        this.update(this._currentView, nextState);
+        this._relayout(this._currentView, nextState);
     }
 }
 
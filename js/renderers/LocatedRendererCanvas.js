@@ -0,0 +1,685 @@
+import * as d3 from 'https://cdn.jsdelivr.net/npm/d3@7.9.0/+esm';
+import {isHighlighted, isSelectionOnlyChange, selectionKeyForDatum} from '../utils/highlight.js';
+import {iconPath2D} from '../utils/graphSymbols.js';
+import {createOverlapMenu} from '../utils/overlapMenu.js';
+import Minimap, {locatedMinimapScene} from './Minimap.js';
+import {
+    DIR_TICK_PX, LOD_MIN_TOLERANCE_M, LOD_TOLERANCE_PX, OVERLAP_TOLERANCE_PX, SIDE_OFFSET_PX, SNAP_TOLERANCE_PX
+} from './locatedConstants.js';
+
+// Canvas-2D-Variante der Lageansicht für sehr große Netze: gleicher Vertrag wie LocatedRendererD3
+// (update(view, state), onSelect/onPointer/onLodChange, showSnap), aber eine Zeichenfläche statt eines
+// DOM-Knotens je Objekt. Linien und Symbole in CSS-Pixeln (zoomunabhängig), Treffer über view.index.
+
+// Klick-Toleranz um Symbole und Linien (CSS-Pixel); Überlappungsradius siehe locatedConstants.js
+const PICK_TOLERANCE_PX = 6;
+// Rand um den sichtbaren Ausschnitt beim Culling (CSS-Pixel) – deckt Versatz, Symbole und Labels ab
+const CULL_MARGIN_PX = 48;
+// Labels nur, solange höchstens so viele Objekte sichtbar sind (sonst unlesbar und teuer)
+const LABEL_LIMIT = 1500;
+
+// Symbole je Art: Skalierung von iconSpec, Farben als CSS-Variablen (siehe styles.css), Strichstärke in px
+const SYMBOLS = {
+    node: {icon: 'node', scale: 2.5 / 3, fill: '--node-fill'},
+    balise: {icon: 'balise', scale: 1, fill: '--balise-fill', stroke: '--balise-stroke', width: 1},
+    signal: {icon: 'signal', scale: 6 / 10, fill: '--signal-fill', stroke: '--signal-stroke', width: 1},
+    tds: {icon: 'tds', scale: 5 / 7, fill: '--tds-fill', stroke: '--tds-stroke', width: 1},
+    switch: {icon: 'switch', scale: 6 / 8, stroke: '--switch-stroke', width: 2},
+    bufferstop: {icon: 'bufferstop', scale: 6 / 8, fill: '--bufferstop-fill', stroke: '--bufferstop-stroke', width: 1.5},
+    levelcrossing: {icon: 'levelcrossing', scale: 6 / 8, stroke: '--levelcrossing-stroke', width: 2},
+    station: {icon: 'station', scale: 6 / 8, fill: '--station-fill', stroke: '--station-stroke', width: 1.5},
+    trackpoint: {icon: 'trackpoint', scale: 1, stroke: '--trackpoint-stroke', width: 1},
+    qa: {icon: 'qa', scale: 1, width: 2}
+};
+const QA_STROKE = {gap: '--qa-gap', overlap: '--qa-overlap', reversed: '--qa-reversed', tangency: '--qa-tangency'};
+// Zeichenreihenfolge der Punkt-Elemente (unten → oben), wie der Layer-Stack des SVG-Renderers
+const POINT_ORDER = ['station', 'switch', 'bufferstop', 'levelcrossing', 'tds', 'signal', 'balise'];
+
+export default class LocatedRendererCanvas {
+    constructor({mount, onSelect, onPointer, onLodChange} = {}) {
+        if (!mount) throw new Error('LocatedRendererCanvas: mount fehlt');
+        this.mount = mount;
+        this.onSelect = typeof onSelect === 'function' ? onSelect : () => {};
+        this.onPointer = typeof onPointer === 'function' ? onPointer : () => {};
+        this.onLodChange = typeof onLodChange === 'function' ? onLodChange : () => {};
+
+        this.canvas = d3.select(this.mount).append('canvas')
+            .attr('class', 'located-canvas')
+            .attr('role', 'img')
+            .style('display', 'block')
+            .style('width', '100%')
+            .style('height', '100%');
+        this.ctx = this.canvas.node().getContext('2d');
+
+        this._overlapMenu = createOverlapMenu(this.mount, {onSelect: (ids) => this.onSelect(ids)});
+        this.closeOverlapMenu = () => this._overlapMenu.close();
+        this.minimap = new Minimap({
+            mount: this.mount,
+            onPan: (p) => this.canvas.call(this.zoom.translateTo, p.x, p.y),
+            getViewport: () => this._viewportBox()
+        });
+        this._minimapView = null;
+        this._minimapKey = null;
+
+        this._view = null;
+        this._state = null;
+        this._scene = null;        // vorbereitete Zeichendaten (siehe _prepare)
+        this._hitTargets = new Map(); // View-Objekt (Eintrag in view.index) → gezeichnetes Datum
+        this._snap = null;
+        this._viewTransform = (p) => p;
+        this._didFit = false;
+        this._fitScale = 1;
+        this._lodTolerance = 0;
+        this._viewportTimer = 0;
+        this._frame = 0;
+        this._icons = new Map();
+
+        // Zoom/Pan als Transformation Daten → CSS-Pixel (Skalierung relativ zur Einpassung, siehe _fitToBBox)
+        this._transform = d3.zoomIdentity;
+        this.zoom = d3.zoom().scaleExtent([0.1, 16]).on('zoom', (ev) => {
+            this._transform = ev.transform;
+            this._requestDraw();
+        }).on('end', () => this._onViewportSettled());
+        this.canvas.call(this.zoom);
+        this.canvas.on('click', (ev) => this._onClick(ev));
+
+        this._bindPointer();
+        if ('ResizeObserver' in window) {
+            this._ro = new ResizeObserver(() => this._requestDraw());
+            this._ro.observe(this.mount);
+        }
+    }
+
+    // Mausbewegung → Datenkoordinaten (Zoom/Pan und Flip rückgängig), max. einmal pro Frame
+    _bindPointer() {
+        let pending = null, frame = 0;
+        const flush = () => {
+            frame = 0;
+            const ev = pending;
+            pending = null;
+            if (!ev) return;
+            const p = this._toData(d3.pointer(ev, this.canvas.node()));
+            this.onPointer({x: p.x, y: p.y, tolerance: SNAP_TOLERANCE_PX * this._unitsPerPixel()});
+        };
+        this.canvas.on('pointermove.snap', (ev) => {
+            pending = ev;
+            if (!frame) frame = requestAnimationFrame(flush);
+        });
+        this.canvas.on('pointerleave.snap', () => {
+            pending = null;
+            if (frame) cancelAnimationFrame(frame);
+            frame = 0;
+            this.onPointer(null);
+        });
+    }
+
+    // Datenmeter je CSS-Pixel beim aktuellen Zoom
+    _unitsPerPixel() {
+        return 1 / (this._transform.k || 1);
+    }
+
+    // CSS-Pixel → Datenkoordinaten (Flip ist selbstinvers)
+    _toData([sx, sy]) {
+        const [x, y] = this._transform.invert([sx, sy]);
+        return this._viewTransform({x, y});
+    }
+
+    // Sichtbarer Ausschnitt in Bildschirm-Datenkoordinaten (nach Flip); null ohne Größe
+    _viewportBox() {
+        const node = this.canvas.node();
+        if (!(node.clientWidth > 0 && node.clientHeight > 0)) return null;
+        const [ax, ay] = this._transform.invert([0, 0]);
+        const [bx, by] = this._transform.invert([node.clientWidth, node.clientHeight]);
+        return {minX: ax, minY: ay, maxX: bx, maxY: by};
+    }
+
+    /** Fangpunkt zeichnen ({x, y} in Datenkoordinaten) oder entfernen (null) */
+    showSnap(hit) {
+        this._snap = hit && Number.isFinite(hit.x) && Number.isFinite(hit.y) ? this._viewTransform({x: hit.x, y: hit.y}) : null;
+        this._requestDraw();
+    }
+
+    // Zoomband → LOD-Toleranz in Metern (gleiche Bänder wie LocatedRendererD3)
+    _lodToleranceForZoom() {
+        const raw = LOD_TOLERANCE_PX * this._unitsPerPixel();
+        return raw < LOD_MIN_TOLERANCE_M ? 0 : 2 ** Math.round(Math.log2(raw));
+    }
+
+    // Nach Zoom/Pan (entprellt): Zoomband weicht von der gezeichneten View ab → neue LOD-Toleranz melden.
+    // Culling braucht hier kein Nachzeichnen – jeder Frame fragt den Index neu ab.
+    _onViewportSettled() {
+        clearTimeout(this._viewportTimer);
+        this._viewportTimer = setTimeout(() => {
+            const tol = this._lodToleranceForZoom();
+            if (tol !== this._lodTolerance) this.onLodChange(tol);
+        }, 150);
+    }
+
+    _fitToBBox(b) {
+        const node = this.canvas.node();
+        const cw = node.clientWidth, ch = node.clientHeight;
+        if (!b || !b.min || !b.max || !(cw > 0 && ch > 0)) return false;
+        const w = Math.max(1, b.max.x - b.min.x);
+        const h = Math.max(1, b.max.y - b.min.y);
+        const s = Math.min(cw / w, ch / h);
+        this._fitScale = s;
+        this.zoom.scaleExtent([s * 0.1, s * 16]);
+        this._zoomTo((b.min.x + b.max.x) / 2, (b.min.y + b.max.y) / 2, s);
+        return true;
+    }
+
+    // Punkt (Bildschirm-Datenkoordinaten, also nach Flip) mittig mit Skalierung s zeigen
+    _zoomTo(x, y, s) {
+        const node = this.canvas.node();
+        const t = d3.zoomIdentity.translate(node.clientWidth / 2 - s * x, node.clientHeight / 2 - s * y).scale(s);
+        this.canvas.call(this.zoom.transform, t);
+    }
+
+    /** Zwischengespeicherte View und Scene vergessen: das nächste update zeichnet vollständig neu */
+    invalidate() {
+        this._view = null;
+        this._scene = null;
+        this._minimapView = null;
+    }
+
+    update(view, state = {}) {
+        if (!view) return;
+        this.closeOverlapMenu?.();
+        // Gleiche View, nur die Auswahl geändert: Scene bleibt, nur neu zeichnen
+        if (view === this._view && this._scene && isSelectionOnlyChange(this._state, state)) {
+            this._state = state;
+            this._scene.selSet = new Set(state.selection || []);
+            this.minimap.setSelection(state.selection);
+            this._requestDraw();
+            return;
+        }
+        this._view = view;
+        this._state = state;
+
+        // Flip/Center Optionen auslesen
+        const opts = state.projectorOptions || {};
+        const bbox = view.bbox && view.bbox.min && view.bbox.max ? view.bbox : null;
+        const flipX = !!opts.flipX && !!bbox, flipY = !!opts.flipY && !!bbox;
+        const tx = bbox ? bbox.min.x + bbox.max.x : 0, ty = bbox ? bbox.min.y + bbox.max.y : 0;
+        const transform = (p) => {
+            if (!p) return p;
+            return {...p, x: flipX ? tx - p.x : p.x, y: flipY ? ty - p.y : p.y};
+        };
+        // Flip ist selbstinvers: dieselbe Abbildung führt Bildschirm- zurück in Datenkoordinaten
+        this._viewTransform = transform;
+
+        if (bbox && (opts.centerGraph || !this._didFit)) this._didFit = this._fitToBBox(bbox);
+
+        // One-shot zoom to specific XY (wie LocatedRendererD3: Ausschnitt ≈ 1/8 der BBox, mind. 50 m)
+        if (opts.zoomTo && Number.isFinite(opts.zoomTo.x) && Number.isFinite(opts.zoomTo.y)) {
+            const node = this.canvas.node();
+            const p = transform({x: opts.zoomTo.x, y: opts.zoomTo.y});
+            const w = Math.max(50, (bbox ? Math.max(1, bbox.max.x - bbox.min.x) : 1000) / 8);
+            const h = Math.max(50, (bbox ? Math.max(1, bbox.max.y - bbox.min.y) : 600) / 8);
+            if (node.clientWidth > 0 && node.clientHeight > 0) {
+                this._zoomTo(p.x, p.y, Math.min(node.clientWidth / w, node.clientHeight / h));
+                this._didFit = true;
+            }
+        }
+
+        this._scene = this._prepare(view, state, transform, (flipX && !flipY) || (!flipX && flipY));
+        // Übersichtskarte: Netz nur bei neuer View oder geändertem Flip neu aufbauen
+        const minimapKey = `${flipX}:${flipY}`;
+        if (this._minimapView !== view || this._minimapKey !== minimapKey) {
+            this.minimap.setScene(locatedMinimapScene(view, transform));
+            this._minimapView = view;
+            this._minimapKey = minimapKey;
+        }
+        this.minimap.setSelection(state.selection);
+        this.minimap.setVisible(this._scene.flags.showMinimap);
+        this._lodTolerance = view.lodTolerance > 0 ? view.lodTolerance : 0;
+        this._requestDraw();
+        this._onViewportSettled();
+    }
+
+    // View → Zeichendaten in Bildschirm-Datenkoordinaten (Flip angewandt); src = Objekt der View für Index-Abfragen
+    _prepare(view, state, transform, orientationFlipped) {
+        const f = state.filters || {};
+        const pickBool = (obj, ...keys) => {
+            for (const k of keys) if (Object.prototype.hasOwnProperty.call(obj, k)) return !!obj[k];
+            return true; // default ON, wenn Flag fehlt
+        };
+        const flags = {
+            hideSelected: !!f.hideSelectedElements,
+            showEdges: pickBool(f, 'showEdges'),
+            showSegments: !!f.showSegments,
+            arcsOnly: !!f.arcsOnly,
+            showNodes: pickBool(f, 'showNodes'),
+            showNames: pickBool(f, 'showNames'),
+            showIds: pickBool(f, 'showIds'),
+            sideOffset: pickBool(f, 'offsetByDirection'),
+            showMinimap: pickBool(f, 'showMinimap')
+        };
+        const show = {
+            balise: pickBool(f, 'showBalises'), signal: pickBool(f, 'showSignals'), tds: pickBool(f, 'showTdsComponents'),
+            switch: pickBool(f, 'showSwitches'), bufferstop: pickBool(f, 'showBufferStops'),
+            levelcrossing: pickBool(f, 'showLevelCrossings'), platform: pickBool(f, 'showPlatforms')
+        };
+        const poly = (arr) => (arr || []).filter(p => p && Number.isFinite(p.x) && Number.isFinite(p.y)).map(transform);
+        const elems = view.elements || {};
+        this._hitTargets = new Map();
+
+        // Wirkrichtung auf dem Bildschirm (ux/uy) und Normale nach rechts davon (nx/ny), wie LocatedRendererD3
+        const screenDir = (d, p) => {
+            if (!flags.sideOffset || !d.dirAB || !d.tangent) return {ux: 0, uy: 0, nx: 0, ny: 0};
+            const q = transform({x: d.x + d.tangent.x * d.dirAB, y: d.y + d.tangent.y * d.dirAB});
+            const L = Math.hypot(q.x - p.x, q.y - p.y) || 1;
+            const ux = (q.x - p.x) / L, uy = (q.y - p.y) / L;
+            return {ux, uy, nx: -uy, ny: ux};
+        };
+        const points = (kind, arr, directed) => (arr || []).map(d => {
+            const p = transform({x: d.x, y: d.y});
+            const key = d.id ? d.id : `${d.edgeId}:${d.ikAB ?? (p.x + ',' + p.y)}`;
+            const datum = {...d, kind: d.kind || kind, layer: kind, key, baseX: p.x, baseY: p.y, src: d, ...(directed ? screenDir(d, p) : {ux: 0, uy: 0, nx: 0, ny: 0})};
+            this._hitTargets.set(d, datum);
+            return datum;
+        });
+
+        const edges = flags.showEdges ? (view.geo_edges || []).map(e => ({...e, layer: 'edge', src: e, polyline: poly(e.polyline)})) : [];
+        for (const e of edges) this._hitTargets.set(e.src, e);
+
+        const segs = flags.showSegments ? (view.geo_segments || [])
+            .filter(s => s && (!flags.arcsOnly || s.kind === 'arc' || s.kind === 'clothoid'))
+            .map(s => {
+                const p1 = transform({x: s.x1, y: s.y1}), p2 = transform({x: s.x2, y: s.y2});
+                if (s.kind === 'arc') {
+                    const c = transform({x: s.cx, y: s.cy});
+                    const sweep = orientationFlipped ? -(s.sweep ?? 0) : (s.sweep ?? 0);
+                    return {...s, x1: p1.x, y1: p1.y, x2: p2.x, y2: p2.y, cx: c.x, cy: c.y, sweep,
+                        a1: Math.atan2(p1.y - c.y, p1.x - c.x), a2: Math.atan2(p2.y - c.y, p2.x - c.x)};
+                }
+                return {...s, x1: p1.x, y1: p1.y, x2: p2.x, y2: p2.y, polyline: s.polyline ? poly(s.polyline) : null};
+            }) : [];
+
+        const byKind = {
+            balise: show.balise ? points('balise', elems.balises, true) : [],
+            signal: show.signal ? points('signal', elems.signals, true) : [],
+            tds: show.tds ? points('tds', elems.tds_components, true) : [],
+            switch: show.switch ? points('switch', elems.switches) : [],
+            bufferstop: show.bufferstop ? points('bufferstop', elems.buffer_stops) : [],
+            levelcrossing: show.levelcrossing ? points('levelcrossing', elems.level_crossings) : [],
+            station: points('station', elems.stations),
+            trackpoint: points('trackpoint', elems.track_points),
+            qa: points('qa', view.overlays?.geometry_qa),
+            node: flags.showNodes ? points('node', view.nodes) : []
+        };
+        for (const st of byKind.station) st.spans = (st.spans || []).map(sp => ({...sp, polyline: poly(sp.polyline)}));
+        const platforms = show.platform ? (elems.platforms || []).map(d => {
+            const p = transform({x: d.x, y: d.y});
+            const datum = {...d, kind: d.kind || 'platform', layer: 'platform', key: d.id || `${d.edgeId}:${d.startIK}-${d.endIK}`, baseX: p.x, baseY: p.y, src: d, polyline: poly(d.polyline)};
+            this._hitTargets.set(d, datum);
+            return datum;
+        }) : [];
+
+        const seg = (s) => ({...s, startXY: transform(s.startXY), endXY: transform(s.endXY)});
+        const speed = (view.overlays?.speed || []).filter(s => s && s.startXY && s.endXY).map(seg);
+        const tdsSections = (view.overlays?.tds_sections || []).filter(t => t && t.startXY && t.endXY).map(seg);
+        const deviation = (view.overlays?.position_deviation || []).filter(d => d && d.given && d.projected)
+            .map(d => ({...d, given: transform(d.given), projected: transform(d.projected)}));
+
+        const edgeNames = new Map((view.top_edges || []).map(e => [e.id, e.label || e.name || null]));
+        return {
+            flags, edges, segs, byKind, edgeSrc: new Set(view.geo_edges || []), platforms, speed, tdsSections, deviation, edgeNames,
+            index: typeof view.index?.search === 'function' ? view.index : null,
+            selSet: new Set(state.selection || [])
+        };
+    }
+
+    _requestDraw() {
+        if (this._frame) return;
+        this._frame = requestAnimationFrame(() => {
+            this._frame = 0;
+            this._draw();
+        });
+    }
+
+    _draw() {
+        const node = this.canvas.node();
+        const cw = node.clientWidth, ch = node.clientHeight;
+        if (!(cw > 0 && ch > 0)) return;
+        const dpr = window.devicePixelRatio || 1;
+        if (node.width !== Math.round(cw * dpr) || node.height !== Math.round(ch * dpr)) {
+            node.width = Math.round(cw * dpr);
+            node.height = Math.round(ch * dpr);
+        }
+        // Erstes Update bei verstecktem Container: Einpassung nachholen, sobald eine Größe da ist
+        if (!this._didFit && this._view?.bbox?.min) this._didFit = this._fitToBBox(this._view.bbox);
+
+        const ctx = this.ctx;
+        const css = getComputedStyle(this.mount);
+        const color = (name) => css.getPropertyValue(name).trim() || '#000';
+        ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+        ctx.clearRect(0, 0, cw, ch);
+        ctx.fillStyle = color('--surface');
+        ctx.fillRect(0, 0, cw, ch);
+
+        const sc = this._scene;
+        if (!sc) return;
+        const t = this._transform, k = t.k || 1;
+        this.minimap.refresh();
+        const {flags, selSet} = sc;
+        const isSel = (d) => selSet.has(selectionKeyForDatum(d)) || isHighlighted(d, selSet);
+        const hidden = (d) => flags.hideSelected && selSet.has(selectionKeyForDatum(d));
+
+        // Culling: sichtbarer Ausschnitt (+ Rand) in Datenkoordinaten → Objekte der View aus dem Index
+        const [ax, ay] = t.invert([-CULL_MARGIN_PX, -CULL_MARGIN_PX]);
+        const [bx, by] = t.invert([cw + CULL_MARGIN_PX, ch + CULL_MARGIN_PX]);
+        const a = this._viewTransform({x: ax, y: ay}), b = this._viewTransform({x: bx, y: by});
+        const visible = sc.index ? new Set(sc.index.search({
+            minX: Math.min(a.x, b.x), minY: Math.min(a.y, b.y), maxX: Math.max(a.x, b.x), maxY: Math.max(a.y, b.y)
+        })) : null;
+        const inView = (d) => !visible || visible.has(d.src);
+        const visibleEdgeIds = visible ? new Set() : null;
+        if (visible) for (const item of visible) if (sc.edgeSrc.has(item)) visibleEdgeIds.add(item.edgeId);
+        const edgeInView = (d) => !visibleEdgeIds || visibleEdgeIds.has(d.edgeId);
+
+        // Linien in Datenkoordinaten zeichnen, Strichstärke in px
+        const world = () => ctx.setTransform(dpr * k, 0, 0, dpr * k, dpr * t.x, dpr * t.y);
+        const strokePolylines = (list, style, width, dash = null, alpha = 1) => {
+            if (!list.length) return;
+            world();
+            ctx.beginPath();
+            for (const pts of list) {
+                if (pts.length < 2) continue;
+                ctx.moveTo(pts[0].x, pts[0].y);
+                for (let i = 1; i < pts.length; i++) ctx.lineTo(pts[i].x, pts[i].y);
+            }
+            ctx.globalAlpha = alpha;
+            ctx.strokeStyle = style;
+            ctx.lineWidth = width / k;
+            ctx.setLineDash(dash ? dash.map(v => v / k) : []);
+            ctx.lineCap = 'round';
+            ctx.lineJoin = 'round';
+            ctx.stroke();
+            ctx.globalAlpha = 1;
+        };
+        const selStroke = color('--selection-stroke');
+
+        // --- Edges (nach Längenstatus gruppiert, Auswahl obenauf)
+        const edges = sc.edges.filter(e => inView(e) && !hidden(e));
+        const edgeStyle = {warn: [color('--len-warn'), 2.5], error: [color('--len-error'), 3]};
+        strokePolylines(edges.filter(e => !edgeStyle[e.lengthStatus] && e.lengthStatus !== 'unknown').map(e => e.polyline), color('--lines-stroke'), 1.5);
+        strokePolylines(edges.filter(e => e.lengthStatus === 'unknown').map(e => e.polyline), color('--lines-stroke'), 1.5, [4, 3]);
+        for (const [status, [style, width]] of Object.entries(edgeStyle)) {
+            strokePolylines(edges.filter(e => e.lengthStatus === status).map(e => e.polyline), style, width);
+        }
+
+        // --- Segmente (Lines/Arcs/Klothoiden)
+        const segs = sc.segs.filter(s => edgeInView(s) && !hidden(s));
+        if (segs.length) {
+            world();
+            for (const sel of [false, true]) {
+                ctx.beginPath();
+                for (const s of segs.filter(s => isSel(s) === sel)) {
+                    if (s.kind === 'arc') {
+                        ctx.moveTo(s.x1, s.y1);
+                        ctx.arc(s.cx, s.cy, s.r, s.a1, s.a2, !(s.sweep >= 0));
+                    } else if (s.kind === 'clothoid' && s.polyline?.length) {
+                        ctx.moveTo(s.polyline[0].x, s.polyline[0].y);
+                        for (const p of s.polyline) ctx.lineTo(p.x, p.y);
+                    } else {
+                        ctx.moveTo(s.x1, s.y1);
+                        ctx.lineTo(s.x2, s.y2);
+                    }
+                }
+                ctx.strokeStyle = sel ? selStroke : color('--lines-stroke');
+                ctx.lineWidth = (sel ? 3 : 1.5) / k;
+                ctx.setLineDash([]);
+                ctx.stroke();
+            }
+        }
+        strokePolylines(edges.filter(isSel).map(e => e.polyline), selStroke, 2.5);
+
+        // --- Overlays, Bahnhofsausdehnung, Bahnsteige
+        const segLine = (s) => [s.startXY, s.endXY];
+        strokePolylines(sc.speed.filter(edgeInView).map(segLine), color('--speed-stroke'), 1.5, null, 0.9);
+        strokePolylines(sc.tdsSections.filter(edgeInView).map(segLine), color('--tds-sec-stroke'), 1.5, [4, 3], 0.7);
+        const stations = sc.byKind.station.filter(d => inView(d) && !hidden(d));
+        strokePolylines(stations.flatMap(st => st.spans.map(sp => sp.polyline)), color('--station-stroke'), 10, null, 0.15);
+        const platforms = sc.platforms.filter(d => inView(d) && !hidden(d));
+        strokePolylines(platforms.filter(d => !isSel(d)).map(d => d.polyline), color('--platform-stroke'), 6, null, 0.8);
+        strokePolylines(platforms.filter(isSel).map(d => d.polyline), selStroke, 6);
+
+        // --- Symbole in CSS-Pixeln (Position + seitlicher Versatz)
+        const screenPos = (d) => {
+            const [sx, sy] = t.apply([d.baseX, d.baseY]);
+            return [sx + d.nx * SIDE_OFFSET_PX, sy + d.ny * SIDE_OFFSET_PX];
+        };
+        const drawSymbols = (list, kind) => {
+            const spec = SYMBOLS[kind];
+            const path = this._icon(spec.icon);
+            for (const d of list) {
+                const [sx, sy] = screenPos(d);
+                const sel = isSel(d);
+                ctx.setTransform(dpr * spec.scale, 0, 0, dpr * spec.scale, dpr * sx, dpr * sy);
+                ctx.setLineDash(kind === 'trackpoint' && d.fromIK ? [1.5, 1] : (kind === 'qa' && d.type === 'reversed' ? [3, 2] : []));
+                if (spec.fill) {
+                    ctx.fillStyle = color(spec.fill);
+                    ctx.fill(path);
+                }
+                const stroke = kind === 'qa' ? QA_STROKE[d.type] : spec.stroke;
+                if (stroke || sel) {
+                    ctx.strokeStyle = sel ? selStroke : color(stroke);
+                    ctx.lineWidth = (sel ? 3 : spec.width) / spec.scale;
+                    ctx.stroke(path);
+                }
+            }
+        };
+        const drawn = {};
+        for (const kind of ['node', 'trackpoint', ...POINT_ORDER, 'qa']) {
+            drawn[kind] = sc.byKind[kind].filter(d => inView(d) && !hidden(d));
+        }
+
+        // Richtungsmarken: Stiel vom Gleis zum Symbol, Marke in Wirkrichtung
+        ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+        ctx.beginPath();
+        for (const d of [...drawn.balise, ...drawn.signal, ...drawn.tds]) {
+            if (!d.nx && !d.ny) continue;
+            const [bx0, by0] = t.apply([d.baseX, d.baseY]);
+            const [sx, sy] = screenPos(d);
+            ctx.moveTo(bx0, by0);
+            ctx.lineTo(sx, sy);
+            ctx.lineTo(sx + d.ux * DIR_TICK_PX, sy + d.uy * DIR_TICK_PX);
+        }
+        ctx.strokeStyle = color('--g-700');
+        ctx.lineWidth = 1;
+        ctx.setLineDash([]);
+        ctx.stroke();
+
+        drawSymbols(drawn.node, 'node');
+        drawSymbols(drawn.trackpoint, 'trackpoint');
+        for (const kind of POINT_ORDER) drawSymbols(drawn[kind], kind);
+
+        // --- Lageabweichung (angegebene Position → projizierte Position)
+        const devs = sc.deviation.filter(edgeInView);
+        for (const d of devs) {
+            const [gx, gy] = t.apply([d.given.x, d.given.y]);
+            const [px, py] = t.apply([d.projected.x, d.projected.y]);
+            ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+            ctx.strokeStyle = selSet.has(d.id) ? selStroke : color('--deviation-stroke');
+            ctx.lineWidth = 1.5;
+            ctx.setLineDash([4, 2]);
+            ctx.beginPath();
+            ctx.moveTo(gx, gy);
+            ctx.lineTo(px, py);
+            ctx.stroke();
+            ctx.setLineDash([]);
+            ctx.beginPath();
+            ctx.arc(gx, gy, 2.5, 0, 2 * Math.PI);
+            ctx.fillStyle = color('--surface');
+            ctx.fill();
+            ctx.stroke();
+        }
+        drawSymbols(drawn.qa, 'qa');
+
+        // --- Labels (nur bei überschaubarer Anzahl sichtbarer Objekte)
+        this._drawLabels(ctx, dpr, color, drawn, edges, platforms, stations, screenPos);
+
+        // --- Fangpunkt der Mausposition
+        if (this._snap) {
+            const [sx, sy] = t.apply([this._snap.x, this._snap.y]);
+            ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+            ctx.beginPath();
+            ctx.arc(sx, sy, 5, 0, 2 * Math.PI);
+            ctx.strokeStyle = color('--accent');
+            ctx.lineWidth = 2;
+            ctx.setLineDash([]);
+            ctx.stroke();
+        }
+    }
+
+    _drawLabels(ctx, dpr, color, drawn, edges, platforms, stations, screenPos) {
+        const {flags} = this._scene;
+        const t = this._transform;
+        const showAnyLabel = flags.showNames || flags.showIds;
+        const composeLabel = (d) => {
+            const nm = flags.showNames ? (d.name ?? d.label ?? null) : null;
+            const id = flags.showIds ? (d.id ?? null) : null;
+            if (nm && id && nm !== id) return `${nm} [${id}]`;
+            return nm || id || '';
+        };
+        const labels = []; // [text, x, y, dy, bold]
+        // Bahnhofsnamen immer zeigen (Zweck der Ebene), IDs nur auf Wunsch
+        for (const d of stations) {
+            const nm = d.name ?? d.shortName ?? null;
+            labels.push([flags.showIds && d.id && nm && nm !== d.id ? `${nm} [${d.id}]` : (nm ?? d.id ?? ''), ...t.apply([d.baseX, d.baseY]), -10, true]);
+        }
+        if (showAnyLabel) {
+            const elems = [...drawn.balise, ...drawn.signal, ...drawn.tds, ...drawn.switch, ...drawn.bufferstop,
+                ...drawn.levelcrossing, ...drawn.trackpoint, ...platforms];
+            if (elems.length + drawn.node.length + edges.length <= LABEL_LIMIT) {
+                for (const d of drawn.node) labels.push([composeLabel(d), ...t.apply([d.baseX, d.baseY]), -6]);
+                for (const e of edges) {
+                    const p = e.polyline[Math.max(0, Math.floor((e.polyline.length - 1) / 2))];
+                    if (p) labels.push([composeLabel({id: e.edgeId, name: this._scene.edgeNames.get(e.edgeId) || null}), ...t.apply([p.x, p.y]), -4]);
+                }
+                for (const d of elems) labels.push([composeLabel(d), ...(d.nx !== undefined ? screenPos(d) : t.apply([d.baseX, d.baseY])), -8]);
+            }
+        }
+        if (!labels.length) return;
+        ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+        ctx.textAlign = 'start';
+        ctx.textBaseline = 'alphabetic';
+        for (const [text, x, y, dy, bold] of labels) {
+            if (!text) continue;
+            ctx.font = `${bold ? '600 ' : ''}10px sans-serif`;
+            ctx.fillStyle = bold ? color('--station-stroke') : color('--g-700');
+            ctx.fillText(text, x, y + dy);
+        }
+    }
+
+    _icon(kind) {
+        if (!this._icons.has(kind)) this._icons.set(kind, iconPath2D(kind));
+        return this._icons.get(kind);
+    }
+
+    // Klick → Treffer über view.index: Symbole vor Linien; mehrere Symbole an derselben Stelle → Auswahl-Popup
+    _onClick(ev) {
+        const sc = this._scene;
+        if (!sc) return;
+        const [mx, my] = d3.pointer(ev, this.canvas.node());
+        const t = this._transform, upp = this._unitsPerPixel();
+        const p = this._toData([mx, my]);
+        const {selSet, flags} = sc;
+        const hidden = (d) => flags.hideSelected && selSet.has(selectionKeyForDatum(d));
+        // Kandidaten im Index: Symbol-Versatz gehört zum Suchradius
+        const candidates = sc.index
+            ? sc.index.within(p.x, p.y, (PICK_TOLERANCE_PX + SIDE_OFFSET_PX) * upp).map(({item}) => this._hitTargets.get(item)).filter(Boolean)
+            : [...this._hitTargets.values()];
+
+        // Symbole: Abstand in px zur gezeichneten Position
+        const symbolHits = candidates
+            .filter(d => d.layer !== 'platform' && d.layer !== 'edge' && !hidden(d))
+            .map(d => {
+                const [sx, sy] = t.apply([d.baseX, d.baseY]);
+                return {d, dist: Math.hypot(sx + (d.nx || 0) * SIDE_OFFSET_PX - mx, sy + (d.ny || 0) * SIDE_OFFSET_PX - my)};
+            })
+            .filter(h => h.dist <= PICK_TOLERANCE_PX)
+            .sort((a, b) => a.dist - b.dist);
+        // Lageabweichung (nur Ausreißer, wenige) direkt prüfen
+        for (const d of sc.deviation) {
+            const [gx, gy] = t.apply([d.given.x, d.given.y]);
+            const dist = Math.hypot(gx - mx, gy - my);
+            if (dist <= PICK_TOLERANCE_PX && d.id != null) symbolHits.push({d: {...d, layer: 'deviation'}, dist});
+        }
+
+        if (symbolHits.length) {
+            const first = symbolHits[0].d;
+            if (first.layer === 'deviation') {
+                this.onSelect([first.id]);
+                return;
+            }
+            // Überlappung wie LocatedRendererD3: Ankerpunkte innerhalb OVERLAP_TOLERANCE_PX
+            const r = OVERLAP_TOLERANCE_PX * upp;
+            const bucket = symbolHits.map(h => h.d)
+                .filter(d => d.layer !== 'deviation' && Math.hypot(d.baseX - first.baseX, d.baseY - first.baseY) <= r);
+            if (bucket.length > 1) {
+                const labelOf = (obj) => obj.name || obj.label || obj.id || obj.key || obj.edgeId || obj.kind || 'Element';
+                this.openOverlapMenu({clientX: ev.clientX, clientY: ev.clientY}, bucket, labelOf);
+                ev.stopPropagation();
+                return;
+            }
+            this.onSelect([first.id || first.key || first.edgeId]);
+            return;
+        }
+
+        // Linien: Bahnsteige, dann Segmente (falls sichtbar) bzw. Edges – Abstand in px
+        const q = this._viewTransform(p); // Bildschirm-Datenkoordinaten (nach Flip)
+        const tol = PICK_TOLERANCE_PX * upp;
+        let best = null;
+        const consider = (id, pts) => {
+            const dist = polylineDistance(pts, q);
+            if (dist <= tol && (!best || dist < best.dist)) best = {id, dist};
+        };
+        for (const d of candidates) if (d.layer === 'platform' && !hidden(d)) consider(d.id || d.key, d.polyline);
+        if (!best) {
+            if (flags.showSegments) {
+                const nearEdges = new Set(candidates.filter(d => d.layer === 'edge').map(d => d.edgeId));
+                for (const s of sc.segs) {
+                    if (!nearEdges.has(s.edgeId) || hidden(s)) continue;
+                    consider(s.id, s.kind === 'arc' ? sampleArc(s) : (s.polyline || [{x: s.x1, y: s.y1}, {x: s.x2, y: s.y2}]));
+                }
+            } else {
+                for (const d of candidates) if (d.layer === 'edge' && !hidden(d)) consider(d.edgeId, d.polyline);
+            }
+        }
+        for (const st of candidates) {
+            if (best || st.layer !== 'station' || hidden(st)) continue;
+            for (const sp of st.spans || []) consider(st.id, sp.polyline);
+        }
+        if (best?.id != null) this.onSelect([best.id]);
+    }
+
+    openOverlapMenu(pos, items, labelOf) {
+        this._overlapMenu.open(pos, items, labelOf);
+    }
+}
+
+// Abstand eines Punkts zur Polylinie (gleiche Einheiten)
+function polylineDistance(pts, p) {
+    let best = Infinity;
+    for (let i = 1; i < (pts?.length || 0); i++) {
+        const a = pts[i - 1], b = pts[i];
+        const dx = b.x - a.x, dy = b.y - a.y;
+        const L2 = dx * dx + dy * dy;
+        const u = L2 > 0 ? Math.max(0, Math.min(1, ((p.x - a.x) * dx + (p.y - a.y) * dy) / L2)) : 0;
+        best = Math.min(best, Math.hypot(a.x + dx * u - p.x, a.y + dy * u - p.y));
+    }
+    return best;
+}
+
+// Kreisbogen (vorbereitetes Arc-Segment) als Polylinie für die Trefferprüfung
+function sampleArc(s, n = 24) {
+    let d = s.a2 - s.a1;
+    if (s.sweep >= 0 && d < 0) d += 2 * Math.PI;
+    if (!(s.sweep >= 0) && d > 0) d -= 2 * Math.PI;
+    return Array.from({length: n + 1}, (_, i) => {
+        const a = s.a1 + d * i / n;
+        return {x: s.cx + s.r * Math.cos(a), y: s.cy + s.r * Math.sin(a)};
+    });
+}
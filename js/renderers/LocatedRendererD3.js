@@ -1,38 +1,50 @@
 import * as d3 from 'https://cdn.jsdelivr.net/npm/d3@7.9.0/+esm';
-import {isHighlighted, selectionKeyForDatum} from '../utils/highlight.js';
-import {iconSvg, appendIconG, ensureArrowMarker} from '../utils/graphSymbols.js';
+import {isHighlighted, isSelectionOnlyChange, selectionKeyForDatum} from '../utils/highlight.js';
+import {appendIconG, ensureArrowMarker} from '../utils/graphSymbols.js';
+import {createOverlapMenu} from '../utils/overlapMenu.js';
+import Minimap, {locatedMinimapScene, svgViewportBox} from './Minimap.js';
+import {
+    DIR_TICK_PX, LOD_MIN_TOLERANCE_M, LOD_TOLERANCE_PX, OVERLAP_TOLERANCE_PX, SIDE_OFFSET_PX, SNAP_TOLERANCE_PX
+} from './locatedConstants.js';
+
+// Viewport-Culling: gezeichnet wird der sichtbare Ausschnitt plus dieser Anteil seiner Größe je Seite (Puffer beim Pannen)
+const CULL_MARGIN = 0.5;
 
 export default class LocatedRendererD3 {
-    constructor({mount, onSelect} = {}) {
+    constructor({mount, onSelect, onPointer, onLodChange} = {}) {
         if (!mount) throw new Error('LocatedRendererD3: mount fehlt');
         this.mount = mount;
         this.onSelect = typeof onSelect === 'function' ? onSelect : () => {};
+        // Mausposition in Datenkoordinaten ({x, y, tolerance} bzw. null beim Verlassen)
+        this.onPointer = typeof onPointer === 'function' ? onPointer : () => {};
+        // Neue LOD-Toleranz (Meter) nach Zoomende – der Controller baut die View damit neu
+        this.onLodChange = typeof onLodChange === 'function' ? onLodChange : () => {};
+        this._lodTolerance = 0;
+        this._viewportTimer = 0;
+        // Zuletzt gezeichnete View/State und Culling-Box (Datenkoordinaten) für das Nachzeichnen nach Zoom/Pan
+        this._view = null;
+        this._state = null;
+        this._cullBox = null;
+        this._hitTargets = new Map();
+        // Zuletzt vollständig gezeichneter State und Auswahl-Diff dazu (siehe update)
+        this._renderedState = null;
+        this._applySelection = null;
 
         this.svg = d3.select(this.mount).append('svg').attr('role', 'img').attr('width', '100%').attr('height', '100%');
         this.root = this.svg.append('g').attr('class', 'viewport');
 
         // HTML-Overlay für Overlap-Popup (liegt über dem SVG)
-        this.mount.style.position = (getComputedStyle(this.mount).position === 'static') ? 'relative' : getComputedStyle(this.mount).position;
-        this._overlayRoot = d3.select(this.mount)
-            .append('div')
-            .attr('class', 'overlap-overlay')
-            .style('position', 'absolute')
-            .style('inset', '0')
-            .style('pointer-events', 'none'); // nur das Popup selbst fängt Pointer-Events
-
-        // Hilfs-Cleaner (verhindert Leichen bei Re-Render)
-        this.closeOverlapMenu = () => {
-            if (this._menuEl) {
-                this._menuEl.remove();
-                this._menuEl = null;
-            }
-            if (this._outsideClickHandler) {
-                document.removeEventListener('mousedown', this._outsideClickHandler, true);
-                document.removeEventListener('keydown', this._outsideKeyHandler, true);
-                this._outsideClickHandler = null;
-                this._outsideKeyHandler = null;
-            }
-        };
+        this._overlapMenu = createOverlapMenu(this.mount, {onSelect: (ids) => this.onSelect(ids)});
+        this.closeOverlapMenu = () => this._overlapMenu.close();
+
+        // Übersichtskarte (Ecke unten links): Klick/Ziehen zentriert den Ausschnitt, Zoomfaktor bleibt
+        this.minimap = new Minimap({
+            mount: this.mount,
+            onPan: (p) => this.svg.call(this.zoom.translateTo, p.x, p.y),
+            getViewport: () => svgViewportBox(this.svg.node(), d3.zoomTransform(this.svg.node()))
+        });
+        this._minimapView = null;
+        this._minimapKey = null;
 
 
         // --- LAYER STACK (unten → oben) ----
@@ -44,24 +56,52 @@ export default class LocatedRendererD3 {
         this.gSegLines = this.gSegments.append('g').attr('class', 'seg-lines');
         this.gSegArcs = this.gSegments.append('g').attr('class', 'seg-arcs');
 
+        // Stützpunkte der Geometrie (TrackEdge.trackPoints)
+        this.gTrackPoints = this.root.append('g').attr('class', 'trackpoints');
+
         // Overlays (unter Elementen)
         this.gOver = this.root.append('g').attr('class', 'overlays');
         this.gSpeed = this.gOver.append('g').attr('class', 'speed');
         this.gTdsSec = this.gOver.append('g').attr('class', 'tds');
 
-        // Elemente in definierter Reihenfolge: TDS → Signals → Balises
+        // Bahnhöfe (Ausdehnung + Marker) unter den Einzelelementen
+        this.gStations = this.root.append('g').attr('class', 'stations');
+
+        // Richtungsmarken der seitlich versetzten Elemente (unter den Symbolen)
+        this.gDirTicks = this.root.append('g').attr('class', 'dir-ticks');
+
+        // Elemente in definierter Reihenfolge: Bahnsteige → Weichen/Prellböcke/BÜ → TDS → Signals → Balises
+        this.gPlatformElems = this.root.append('g').attr('class', 'elems platforms');
+        this.gSwitchElems = this.root.append('g').attr('class', 'elems switches');
+        this.gBufferStopElems = this.root.append('g').attr('class', 'elems bufferstops');
+        this.gLevelCrossingElems = this.root.append('g').attr('class', 'elems levelcrossings');
         this.gTdsElems = this.root.append('g').attr('class', 'elems tds');         // 3
         this.gSignalElems = this.root.append('g').attr('class', 'elems signals');  // 4
         this.gBaliseElems = this.root.append('g').attr('class', 'elems balises');  // 5
 
+        // Lageabweichung (angegebene vs. projizierte Position) über den Elementen
+        this.gDeviation = this.root.append('g').attr('class', 'position-deviation');
+
+        // Geometrie-QA-Marker über allen Elementen
+        this.gGeometryQA = this.root.append('g').attr('class', 'geometry-qa');
+
         // Labels (ganz oben)
         this.gLabels = this.root.append('g').attr('class', 'labels');              // 6
 
+        // Fangpunkt der Mausposition auf dem Gleis (über allem, ohne Pointer-Events)
+        this.gCursor = this.root.append('g').attr('class', 'cursor-snap').style('pointer-events', 'none');
+        this._viewTransform = (p) => p;
 
         // Ensure arrow marker exists in defs (shared)
         ensureArrowMarker(this.svg);
 
-        this.zoom = d3.zoom().scaleExtent([0.1, 16]).on('zoom', (ev) => this.root.attr('transform', ev.transform));
+        this._applySideOffsets = () => {};
+        this.zoom = d3.zoom().scaleExtent([0.1, 16]).on('zoom', (ev) => {
+            this.root.attr('transform', ev.transform);
+            // Versatz in Bildschirm-Pixeln: nur bei geändertem Zoomfaktor neu setzen
+            if (ev.transform.k !== this._offsetK) this._applySideOffsets();
+            this.minimap.refresh();
+        }).on('end', () => this._onViewportSettled());
         this.svg.call(this.zoom);
 
         this.lineGen = d3.line().x((d) => d.x).y((d) => d.y);
@@ -69,7 +109,129 @@ export default class LocatedRendererD3 {
         this.svg.attr('viewBox', '0 0 1000 600').attr('preserveAspectRatio', 'xMidYMid meet');
         this._didFit = false;
 
+        this._bindPointer();
+
+    }
 
+    // Mausbewegung → Datenkoordinaten (Zoom/Pan und Flip rückgängig), max. einmal pro Frame
+    _bindPointer() {
+        let pending = null, frame = 0;
+        const flush = () => {
+            frame = 0;
+            const ev = pending;
+            pending = null;
+            if (!ev) return;
+            const [x, y] = d3.pointer(ev, this.root.node());
+            const p = this._viewTransform({x, y});
+            this.onPointer({x: p.x, y: p.y, tolerance: SNAP_TOLERANCE_PX * this._unitsPerPixel()});
+        };
+        this.svg.on('pointermove.snap', (ev) => {
+            pending = ev;
+            if (!frame) frame = requestAnimationFrame(flush);
+        });
+        this.svg.on('pointerleave.snap', () => {
+            pending = null;
+            if (frame) cancelAnimationFrame(frame);
+            frame = 0;
+            this.onPointer(null);
+        });
+    }
+
+    // Datenmeter je CSS-Pixel beim aktuellen Zoom (ViewBox-Skalierung × Zoomfaktor)
+    _unitsPerPixel() {
+        const rect = this.svg.node().getBoundingClientRect();
+        const vb = (this.svg.attr('viewBox') || '0 0 1000 600').split(/\s+/).map(Number);
+        const k = d3.zoomTransform(this.root.node()).k || 1;
+        const base = rect.width > 0 && rect.height > 0 ? Math.max(vb[2] / rect.width, vb[3] / rect.height) : 1;
+        return base / k;
+    }
+
+    // Zoomband → LOD-Toleranz in Metern: Zweierpotenzen, damit nicht jeder Zoomschritt die View neu baut
+    _lodToleranceForZoom() {
+        const raw = LOD_TOLERANCE_PX * this._unitsPerPixel();
+        return raw < LOD_MIN_TOLERANCE_M ? 0 : 2 ** Math.round(Math.log2(raw));
+    }
+
+    // Nach Zoom/Pan (entprellt, entkoppelt vom laufenden Update): Culling-Puffer verlassen → lokal neu zeichnen,
+    // Zoomband weicht von der gezeichneten View ab → neue LOD-Toleranz melden
+    _onViewportSettled() {
+        clearTimeout(this._viewportTimer);
+        this._viewportTimer = setTimeout(() => {
+            if (this._needsRecull()) this._redraw();
+            const tol = this._lodToleranceForZoom();
+            if (tol !== this._lodTolerance) this.onLodChange(tol);
+        }, 150);
+    }
+
+    // Gleiche View und gleicher State vollständig neu zeichnen (am Auswahl-Diff vorbei)
+    _redraw() {
+        this._applySelection = null;
+        this.update(this._view, this._state);
+    }
+
+    // Sichtbarer Ausschnitt in Datenkoordinaten (ViewBox-Einpassung, Zoom/Pan und Flip rückgängig),
+    // je Seite um margin × Ausschnittgröße erweitert; null, solange das SVG keine Größe hat
+    _visibleDataBox(margin = 0) {
+        const vis = svgViewportBox(this.svg.node(), d3.zoomTransform(this.svg.node()));
+        if (!vis) return null;
+        const a = this._viewTransform({x: vis.minX, y: vis.minY}), b = this._viewTransform({x: vis.maxX, y: vis.maxY});
+        const mx = Math.abs(b.x - a.x) * margin, my = Math.abs(b.y - a.y) * margin;
+        return {
+            minX: Math.min(a.x, b.x) - mx, minY: Math.min(a.y, b.y) - my,
+            maxX: Math.max(a.x, b.x) + mx, maxY: Math.max(a.y, b.y) + my
+        };
+    }
+
+    // Neu zeichnen, wenn der sichtbare Teil des Netzes aus der Culling-Box ragt oder stark hineingezoomt wurde
+    _needsRecull() {
+        const c = this._cullBox;
+        const vis = c && this._visibleDataBox(0);
+        if (!vis) return false;
+        const b = this._view?.bbox;
+        const clip = b?.min && b?.max ? {
+            minX: Math.max(vis.minX, b.min.x), minY: Math.max(vis.minY, b.min.y),
+            maxX: Math.min(vis.maxX, b.max.x), maxY: Math.min(vis.maxY, b.max.y)
+        } : vis;
+        if (clip.minX > clip.maxX || clip.minY > clip.maxY) return false; // Netz ganz außerhalb: nichts Neues sichtbar
+        const outside = clip.minX < c.minX || clip.minY < c.minY || clip.maxX > c.maxX || clip.maxY > c.maxY;
+        const area = (r) => (r.maxX - r.minX) * (r.maxY - r.minY);
+        return outside || area(vis) * 16 < area(c);
+    }
+
+    // Gezeichnete Position eines Datums (SVG-Koordinaten) inkl. seitlichem Versatz nach applicationDirection
+    _drawnPos(d, upp = this._unitsPerPixel()) {
+        const o = SIDE_OFFSET_PX * upp;
+        return {x: d.baseX + (d.nx || 0) * o, y: d.baseY + (d.ny || 0) * o};
+    }
+
+    // Überlappende Klickziele an der Position von d (Abstand der gezeichneten Ankerpunkte, nicht der Boxen –
+    // sonst zählte z. B. jeder Bahnsteig entlang des Gleises mit). Der Index liegt in Datenkoordinaten; der
+    // Flip ist längentreu, daher genügt ein um beide Versätze erweiterter Suchradius um den Gleispunkt.
+    _overlapAt(d, index) {
+        const src = d?.src;
+        if (!index || !src || !Number.isFinite(src.x) || !Number.isFinite(src.y)) return [d];
+        const upp = this._unitsPerPixel();
+        const r = OVERLAP_TOLERANCE_PX * upp;
+        const p = this._drawnPos(d, upp);
+        const bucket = index.within(src.x, src.y, r + 2 * SIDE_OFFSET_PX * upp)
+            .map(({item}) => this._hitTargets.get(item))
+            .filter(t => {
+                if (!t) return false;
+                const q = this._drawnPos(t, upp);
+                return Math.hypot(q.x - p.x, q.y - p.y) <= r;
+            });
+        return bucket.length ? bucket : [d];
+    }
+
+    /** Fangpunkt zeichnen ({x, y} in Datenkoordinaten) oder entfernen (null) */
+    showSnap(hit) {
+        const data = hit && Number.isFinite(hit.x) && Number.isFinite(hit.y) ? [this._viewTransform({x: hit.x, y: hit.y})] : [];
+        const r = 5 * this._unitsPerPixel();
+        const sel = this.gCursor.selectAll('circle.snap').data(data);
+        sel.exit().remove();
+        sel.enter().append('circle').attr('class', 'snap')
+            .merge(sel)
+            .attr('cx', d => d.x).attr('cy', d => d.y).attr('r', r);
     }
 
     _fitToBBox(b) {
@@ -80,9 +242,29 @@ export default class LocatedRendererD3 {
         this.svg.call(this.zoom.transform, d3.zoomIdentity);
     }
 
+    /** Zwischengespeicherte View vergessen: das nächste update zeichnet vollständig neu (inkl. Übersichtskarte) */
+    invalidate() {
+        this._view = null;
+        this._applySelection = null;
+        this._minimapView = null;
+    }
+
     update(view, state = {}) {
         console.log("LocatedRendererD3.update", view, state);
         if (!view) return;
+        // Gleiche (zwischengespeicherte) View, nur die Auswahl geändert: Klassen umsetzen statt neu zu zeichnen
+        if (view === this._view && this._applySelection && isSelectionOnlyChange(this._renderedState, state)) {
+            this.closeOverlapMenu?.();
+            this._applySelection(state.selection);
+            this.minimap.setSelection(state.selection);
+            this._renderedState = state;
+            this._state = {...this._state, selection: state.selection};
+            return;
+        }
+        this._renderedState = state;
+        // Für das Nachzeichnen nach Zoom/Pan merken (ohne One-shot-Flags, sonst springt der Ausschnitt)
+        this._view = view;
+        this._state = {...state, projectorOptions: {...(state.projectorOptions || {}), centerGraph: false, zoomTo: null}};
         // Bei jedem Update: evtl. offenes Popup schließen
         this.closeOverlapMenu?.();
 
@@ -127,6 +309,9 @@ export default class LocatedRendererD3 {
             return {...p, x, y};
         }
 
+        // Flip ist selbstinvers: dieselbe Abbildung führt Bildschirm- zurück in Datenkoordinaten
+        this._viewTransform = transform;
+
         // One-shot zoom to specific XY (from controller.projectorOptions.zoomTo)
         const zt = (opts && opts.zoomTo && Number.isFinite(opts.zoomTo.x) && Number.isFinite(opts.zoomTo.y)) ? opts.zoomTo : null;
         if (zt) {
@@ -140,13 +325,21 @@ export default class LocatedRendererD3 {
             this._didFit = true;
         }
 
+        // Viewport-Culling über den räumlichen Index der View (Datenkoordinaten, Einträge = View-Objekte)
+        const index = typeof view.index?.search === 'function' ? view.index : null;
+        this._cullBox = index ? this._visibleDataBox(CULL_MARGIN) : null;
+        const visible = this._cullBox ? new Set(index.search(this._cullBox)) : null;
+        const inView = (d) => !visible || visible.has(d);
+        const visibleEdgeIds = visible ? new Set((view.geo_edges || []).filter(inView).map(e => e.edgeId)) : null;
+        const edgeInView = (d) => !visibleEdgeIds || visibleEdgeIds.has(d.edgeId);
+
         // Hilfsfunktion für Polyline
         function transformPolyline(arr) {
             return Array.isArray(arr) ? arr.map(transform) : arr;
         }
 
         // Auswahl-/Highlight-Helfer
-        const selSet = new Set(state.selection || []);
+        let selSet = new Set(state.selection || []);
         const selKey = (d) => selectionKeyForDatum(d);
         const applySelHighlight = (selection) =>
             selection
@@ -184,6 +377,10 @@ export default class LocatedRendererD3 {
         const showBal = pickBool(f, 'showBalises');
         const showSig = pickBool(f, 'showSignals');
         const showTds = pickBool(f, 'showTdsComponents');
+        const showSw = pickBool(f, 'showSwitches');
+        const showBs = pickBool(f, 'showBufferStops');
+        const showLc = pickBool(f, 'showLevelCrossings');
+        const showPf = pickBool(f, 'showPlatforms');
 
         // Labels: Nodes & Elemente gesteuert über Names/IDs
         const showNames = pickBool(f, "showNames");
@@ -197,7 +394,7 @@ export default class LocatedRendererD3 {
         this.gSegments.style('pointer-events', allowSegmentHits ? 'auto' : 'none');
 
         // Datenquelle
-        const allSegsRaw = Array.isArray(view.geo_segments) ? view.geo_segments : [];
+        const allSegsRaw = Array.isArray(view.geo_segments) ? view.geo_segments.filter(edgeInView) : [];
         const orientationFlipped = !!((flipX && !flipY) || (!flipX && flipY));
         const allSegs = allSegsRaw.map(s => {
             if (!s) return s;
@@ -211,11 +408,13 @@ export default class LocatedRendererD3 {
                 const c = transform({x: s.cx, y: s.cy});
                 const sweep = orientationFlipped ? -(s.sweep ?? 0) : (s.sweep ?? 0);
                 return {...s, x1: p1.x, y1: p1.y, x2: p2.x, y2: p2.y, cx: c.x, cy: c.y, sweep};
+            } else if (s.kind === "clothoid") {
+                return {...s, polyline: transformPolyline(s.polyline)};
             }
             return s;
         });
         const segsToDraw = showSegments
-            ? (arcsOnly ? allSegs.filter(s => s && s.kind === "arc") : allSegs)
+            ? (arcsOnly ? allSegs.filter(s => s && (s.kind === "arc" || s.kind === "clothoid")) : allSegs)
             : [];
 
         this.gSegments.style("display", showSegments ? null : "none");
@@ -223,7 +422,7 @@ export default class LocatedRendererD3 {
 
 
         // --- Edges ---
-        const edges = Array.isArray(view.geo_edges) ? view.geo_edges.map(e => ({
+        const edges = Array.isArray(view.geo_edges) ? view.geo_edges.filter(inView).map(e => ({
             ...e,
             polyline: transformPolyline(e.polyline)
         })) : [];
@@ -238,6 +437,8 @@ export default class LocatedRendererD3 {
             .attr('pointer-events', 'stroke')
             .on('click', (ev, d) => this.onSelect([d.edgeId || d.id]))
             .style('display', d => (showEdges && !(hideSelected && selSet.has(d.edgeId))) ? null: 'none');
+        // Längenabweichung (nur wenn projectorOptions.includeLengthCheck gesetzt ist)
+        for (const status of ['warn', 'error', 'unknown']) eMerged.classed(`len-${status}`, d => d.lengthStatus === status);
         applySelHighlight(eMerged);
         eMerged.filter(d => isHighlighted(d, selSet)).raise();
 
@@ -278,9 +479,23 @@ export default class LocatedRendererD3 {
         applySelHighlight(segArcMerged);
         segArcMerged.filter(d => isHighlighted(d, selSet)).raise();
 
+        // Klothoiden (Übergangsbögen) als gesampelte Polylinie im selben Layer
+        const clSel = this.gSegArcs.selectAll("path.seg-clothoid")
+            .data(segsToDraw.filter(s => s.kind === "clothoid"), d => d.id);
+        clSel.exit().remove();
+        const segClothoidMerged = clSel.enter().append("path").attr("class", "seg-clothoid")
+            .merge(clSel)
+            .attr("d", d => this.lineGen(d.polyline || []))
+            .attr("fill", "none")
+            .attr("marker-end", arrowOnSegments ? "url(#mk-arrow)" : null)
+            .on('click', (ev, d) => this.onSelect([d.id]));
+        segClothoidMerged.style('display', d => (showSegments && !(hideSelected && selSet.has(d.id))) ? null : 'none');
+        applySelHighlight(segClothoidMerged);
+        segClothoidMerged.filter(d => isHighlighted(d, selSet)).raise();
+
         // --- Nodes (transformiert) ---
-        const nodesRaw = Array.isArray(view.nodes) ? view.nodes.map(transform) : [];
-        // Items mit Basis-Koordinate, damit Overlap-Index einheitlich funktioniert
+        const nodesRaw = Array.isArray(view.nodes) ? view.nodes.filter(inView).map(n => ({...transform(n), src: n})) : [];
+        // Items mit Basis-Koordinate, damit die Überlappungsabfrage einheitlich funktioniert
         const nodeBase = showNodes ? nodesRaw.map(d => ({
             ...d, baseX: d.x, baseY: d.y, kind: 'node', key: d.id
         })) : [];
@@ -343,12 +558,17 @@ export default class LocatedRendererD3 {
             if (s.kind === 'line') {
                 x = (s.x1 + s.x2) / 2;
                 y = (s.y1 + s.y2) / 2;
+            } else if (s.kind === 'clothoid') {
+                const pts = s.polyline || [];
+                const p = pts[Math.floor((pts.length - 1) / 2)] || {x: s.x1, y: s.y1};
+                x = p.x;
+                y = p.y;
             } else {
                 const ang = (s.ang1 + s.ang2) / 2;
                 x = s.cx + s.r * Math.cos(ang);
                 y = s.cy + s.r * Math.sin(ang);
             }
-            const name = s.kind === 'arc' ? 'Arc' : 'Line';
+            const name = s.kind === 'arc' ? 'Arc' : (s.kind === 'clothoid' ? 'Clothoid' : 'Line');
             return {id: s.id, name, x, y};
         }) : [];
         const lSegs = this.gLabels.selectAll('text.seg-label').data(segLabelData, d => d.id);
@@ -361,46 +581,57 @@ export default class LocatedRendererD3 {
             .style('pointer-events', 'none')
             .style('display', d => (showAnyLabel && showSegments && !(hideSelected && selSet.has(d.id))) ? null : 'none');
 
-        // --- Elemente (Balisen / Signale / TDS-Komponenten) ---
+        // --- Elemente (Balisen / Signale / TDS-Komponenten / Infrastruktur) ---
         const elems = view.elements || {};
         // Transformierte Grunddaten mit Basis-Koordinate (ohne Offset) + stabiler Key
         const makeKey = (d, fallback) => (d.id) ? d.id : (fallback);
-        const balBase = showBal ? (elems.balises || []).map(d => {
+        // Wirkrichtung auf dem Bildschirm (ux/uy) und Normale nach rechts davon (nx/ny); 0 = auf der Gleisachse
+        const sideOffset = pickBool(f, 'offsetByDirection');
+        const screenDir = (d, p) => {
+            if (!sideOffset || !d.dirAB || !d.tangent) return {ux: 0, uy: 0, nx: 0, ny: 0};
+            const q = transform({x: d.x + d.tangent.x * d.dirAB, y: d.y + d.tangent.y * d.dirAB});
+            const L = Math.hypot(q.x - p.x, q.y - p.y) || 1;
+            const ux = (q.x - p.x) / L, uy = (q.y - p.y) / L;
+            return {ux, uy, nx: -uy, ny: ux}; // SVG: y nach unten → rechts = (-uy, ux)
+        };
+        // src = Objekt der View (Eintrag im räumlichen Index)
+        const directedBase = (show, arr) => show ? (arr || []).filter(inView).map(d => {
             const p = transform({x: d.x, y: d.y});
             const key = `${d.edgeId}:${d.ikAB ?? (p.x + ',' + p.y)}`;
-            return {...d, baseX: p.x, baseY: p.y, key: makeKey(d, key)};
+            return {...d, baseX: p.x, baseY: p.y, key: makeKey(d, key), src: d, ...screenDir(d, p)};
         }) : [];
-        const sigBase = showSig ? (elems.signals || []).map(d => {
+        const balBase = directedBase(showBal, elems.balises);
+        const sigBase = directedBase(showSig, elems.signals);
+        const tdcBase = directedBase(showTds, elems.tds_components);
+        const pointBase = (show, arr) => show ? (arr || []).filter(inView).map(d => {
             const p = transform({x: d.x, y: d.y});
             const key = `${d.edgeId}:${d.ikAB ?? (p.x + ',' + p.y)}`;
-            return {...d, baseX: p.x, baseY: p.y, key: makeKey(d, key)};
+            return {...d, baseX: p.x, baseY: p.y, key: makeKey(d, key), src: d};
         }) : [];
-        const tdcBase = showTds ? (elems.tds_components || []).map(d => {
+        const swBase = pointBase(showSw, elems.switches);
+        const bsBase = pointBase(showBs, elems.buffer_stops);
+        const lcBase = pointBase(showLc, elems.level_crossings);
+        const showTrackPoints = Array.isArray(elems.track_points); // Ebene über projectorOptions.includeTrackPoints
+        const tpBase = pointBase(showTrackPoints, elems.track_points);
+        const showGeometryQA = Array.isArray(view.overlays?.geometry_qa); // Ebene über projectorOptions.includeGeometryQA
+        const qaBase = showGeometryQA ? view.overlays.geometry_qa.filter(inView).map(d => {
             const p = transform({x: d.x, y: d.y});
-            const key = `${d.edgeId}:${d.ikAB ?? (p.x + ',' + p.y)}`;
-            return {...d, baseX: p.x, baseY: p.y, key: makeKey(d, key)};
+            return {...d, baseX: p.x, baseY: p.y, key: d.id, src: d};
+        }) : [];
+        const showStations = Array.isArray(elems.stations); // Ebene über projectorOptions.includeStations
+        const stBase = showStations ? elems.stations.filter(inView).map(d => {
+            const p = transform({x: d.x, y: d.y});
+            return {...d, spans: (d.spans || []).map(sp => ({...sp, polyline: transformPolyline(sp.polyline)})), baseX: p.x, baseY: p.y, key: d.id, src: d};
+        }) : [];
+        const pfBase = showPf ? (elems.platforms || []).filter(inView).map(d => {
+            const p = transform({x: d.x, y: d.y});
+            return {...d, polyline: transformPolyline(d.polyline), baseX: p.x, baseY: p.y, key: makeKey(d, `${d.edgeId}:${d.startIK}-${d.endIK}`), src: d};
         }) : [];
 
-        // Bildschirm-Geometrie für Pixel-Key (SVG→CSS-Pixel)
-        const t = d3.zoomTransform(this.root.node());
-        const rect = this.svg.node().getBoundingClientRect();
-        const vb = (this.svg.attr('viewBox') || '0 0 1000 600').split(/\s+/).map(Number);
-        const scaleX = rect.width / vb[2];
-        const scaleY = rect.height / vb[3];
-
-        // Hilfsfunktion: auf Bildschirm-Pixel runden (mit Zoom/Pan & ViewBox-Skalierung)
-        const pxKey = (x, y) => {
-            const [ux, uy] = t.apply([x, y]);
-            return `${Math.round(ux * scaleX)}:${Math.round(uy * scaleY)}`;
-        };
-
-        // Overlap-Index aufbauen: Pixel-Key → Array von Elementen
-        this._overlapIndex = new Map();
+        // Klickziele: View-Objekt (Eintrag im räumlichen Index) → gezeichnetes Datum; Überlappung fragt den Index ab
+        this._hitTargets = new Map();
         const _pushOverlap = (d) => {
-            const k = pxKey(d.baseX, d.baseY);
-            const arr = this._overlapIndex.get(k) || [];
-            arr.push(d);
-            this._overlapIndex.set(k, arr);
+            this._hitTargets.set(d.src, d);
         };
 
         // Elemente einspeisen (ggf. 'kind' setzen, falls nicht vorhanden)
@@ -416,6 +647,12 @@ export default class LocatedRendererD3 {
             if (!d.kind) d.kind = 'tds';
             _pushOverlap(d);
         });
+        for (const [arr, kind] of [[swBase, 'switch'], [bsBase, 'bufferstop'], [lcBase, 'levelcrossing'], [pfBase, 'platform'], [stBase, 'station'], [tpBase, 'trackpoint'], [qaBase, 'qa']]) {
+            arr.forEach(d => {
+                if (!d.kind) d.kind = kind;
+                _pushOverlap(d);
+            });
+        }
         (nodeBase || []).forEach(d => {
             if (!d.kind) d.kind = "node";
             _pushOverlap(d);
@@ -423,7 +660,7 @@ export default class LocatedRendererD3 {
 
         // --- Labels der Elemente ---
         const elemLabelData = [];
-        for (const arr of [balBase, sigBase, tdcBase]) {
+        for (const arr of [balBase, sigBase, tdcBase, swBase, bsBase, lcBase, pfBase, tpBase]) {
             for (const d of arr) {
                 elemLabelData.push({...d, x: d.baseX, y: d.baseY});
             }
@@ -431,18 +668,32 @@ export default class LocatedRendererD3 {
 
         const lElems = this.gLabels.selectAll('text.elem-label').data(elemLabelData, d => d.id || d.key);
         lElems.exit().remove();
-        lElems.enter().append('text').attr('class', 'label elem-label').attr('dy', -8)
+        const lElemsMerged = lElems.enter().append('text').attr('class', 'label elem-label').attr('dy', -8)
             .merge(lElems)
             .text(d => showAnyLabel ? composeLabel(d) : '')
             .style('display', d => (showAnyLabel && !(hideSelected && selSet.has(selKey(d)))) ? null : 'none')
             .attr('x', d => d.x)
             .attr('y', d => d.y);
 
+        // Bahnhofsnamen immer zeigen (Zweck der Ebene), IDs nur auf Wunsch
+        const stationLabel = (d) => {
+            const nm = d.name ?? d.shortName ?? null;
+            if (showIds && d.id && nm && nm !== d.id) return `${nm} [${d.id}]`;
+            return nm ?? d.id ?? '';
+        };
+        const lStations = this.gLabels.selectAll('text.station-label').data(stBase, d => d.id);
+        lStations.exit().remove();
+        lStations.enter().append('text').attr('class', 'label station-label').attr('dy', -10)
+            .merge(lStations)
+            .attr('x', d => d.baseX)
+            .attr('y', d => d.baseY)
+            .text(d => stationLabel(d))
+            .style('display', d => !(hideSelected && selSet.has(d.id)) ? null : 'none');
+
         // Hilfsfunktion: Klick -> bei Überlappung Popup, sonst direkte Selektion
         const onElemClick = (d, ev) => {
-            // Alle Elemente, die am gleichen Bildschirm-Pixel liegen
-            const key = pxKey(d.baseX, d.baseY);
-            const bucket = this._overlapIndex.get(key) || [d];
+            // Alle gezeichneten Elemente, deren Position höchstens OVERLAP_TOLERANCE_PX entfernt liegt
+            const bucket = this._overlapAt(d, index);
 
             // Label-Komponist (verwende vorhandenes composeLabel, falls aktiv)
             const labelOf = (obj) => {
@@ -473,6 +724,10 @@ export default class LocatedRendererD3 {
         this.gBaliseElems.style("display", showBal ? null : "none");
         this.gSignalElems.style("display", showSig ? null : "none");
         this.gTdsElems.style("display", showTds ? null : "none");
+        this.gSwitchElems.style("display", showSw ? null : "none");
+        this.gBufferStopElems.style("display", showBs ? null : "none");
+        this.gLevelCrossingElems.style("display", showLc ? null : "none");
+        this.gPlatformElems.style("display", showPf ? null : "none");
         this.gNodes.style("display", showNodes ? null : "none");
 
 
@@ -516,20 +771,107 @@ export default class LocatedRendererD3 {
         tdcMerged.filter(d => isHighlighted(d, selSet)).raise();
         // position/scale handled above
 
+        // --- Seitlicher Versatz nach applicationDirection (rechts der Wirkrichtung) + Richtungsmarke.
+        // Der Versatz ist in Bildschirm-Pixeln festgelegt und wird bei jedem Zoomschritt nachgeführt.
+        const tickData = [balBase, sigBase, tdcBase].flat()
+            .filter(d => (d.nx || d.ny) && !(hideSelected && selSet.has(selKey(d))));
+        const tickSel = this.gDirTicks.selectAll('path.dir-tick').data(tickData, d => `${d.kind}:${d.id || d.key}`);
+        tickSel.exit().remove();
+        const tickMerged = tickSel.enter().append('path').attr('class', 'dir-tick').merge(tickSel);
+        const scaled = [[balMerged, 1], [sigMerged, 6 / 10], [tdcMerged, 5 / 7]];
+        this._applySideOffsets = () => {
+            const upp = this._unitsPerPixel();
+            this._offsetK = d3.zoomTransform(this.svg.node()).k;
+            const o = SIDE_OFFSET_PX * upp, t = DIR_TICK_PX * upp;
+            for (const [merged, sc] of scaled) {
+                merged.attr('transform', d => `translate(${d.baseX + d.nx * o},${d.baseY + d.ny * o}) scale(${sc.toFixed(6)})`);
+            }
+            // Labels am versetzten Symbol verankern
+            lElemsMerged.filter(d => d.nx || d.ny)
+                .attr('x', d => d.x + d.nx * o)
+                .attr('y', d => d.y + d.ny * o);
+            // Stiel vom Gleis zum Symbol, Marke vom Symbol in Wirkrichtung
+            tickMerged.attr('d', d => {
+                const sx = d.baseX + d.nx * o, sy = d.baseY + d.ny * o;
+                return `M${d.baseX},${d.baseY}L${sx},${sy}L${sx + d.ux * t},${sy + d.uy * t}`;
+            });
+        };
+        this._applySideOffsets();
+
+        // --- Weichen / Prellböcke / Bahnübergänge (gleiches Muster wie oben)
+        const drawPointLayer = (g, cls, icon, data, scale, show) => {
+            const sel = g.selectAll(`g.${cls}`).data(data, d => d.id || d.key);
+            sel.exit().remove();
+            const enter = sel.enter().append('g').attr('class', cls);
+            enter.each(function() { appendIconG(d3.select(this), icon); });
+            const merged = enter.merge(sel)
+                .attr('transform', d => `translate(${d.baseX},${d.baseY}) scale(${scale})`)
+                .on('click', (ev, d) => onElemClick(d, ev))
+                .style('display', d => (show && !(hideSelected && selSet.has(selKey(d)))) ? null : 'none');
+            applySelHighlight(merged);
+            merged.filter(d => isHighlighted(d, selSet)).raise();
+            return merged;
+        };
+        const swMerged = drawPointLayer(this.gSwitchElems, 'switch', 'switch', swBase, (6 / 8).toFixed(6), showSw);
+        const bsMerged = drawPointLayer(this.gBufferStopElems, 'bufferstop', 'bufferstop', bsBase, (6 / 8).toFixed(6), showBs);
+        const lcMerged = drawPointLayer(this.gLevelCrossingElems, 'levelcrossing', 'levelcrossing', lcBase, (6 / 8).toFixed(6), showLc);
+
+        // --- Bahnhöfe: Teilstücke (Datum-id = Bahnhof, damit alle Teilstücke gemeinsam markiert werden) + Marker
+        const stSpanData = stBase.flatMap(st => st.spans.map((sp, i) => ({id: st.id, key: `${st.id}#${i}`, polyline: sp.polyline})));
+        const stSpanSel = this.gStations.selectAll('path.station-span').data(stSpanData, d => d.key);
+        stSpanSel.exit().remove();
+        const stSpanMerged = stSpanSel.enter().append('path').attr('class', 'station-span')
+            .merge(stSpanSel)
+            .attr('d', d => this.lineGen(cleanPolyline(d)))
+            .attr('pointer-events', 'stroke')
+            .on('click', (ev, d) => this.onSelect([d.id]))
+            .style('display', d => !(hideSelected && selSet.has(d.id)) ? null : 'none');
+        applySelHighlight(stSpanMerged);
+        const stMerged = drawPointLayer(this.gStations, 'station', 'station', stBase, (6 / 8).toFixed(6), showStations);
+
+        // --- Stützpunkte (gestrichelt, wenn nur per IK projiziert)
+        const tpMerged = drawPointLayer(this.gTrackPoints, 'trackpoint', 'trackpoint', tpBase, 1, showTrackPoints)
+            .classed('from-ik', d => !!d.fromIK);
+
+        // --- Geometrie-QA (Farbe je Typ über data-type)
+        const qaMerged = drawPointLayer(this.gGeometryQA, 'qa-marker', 'qa', qaBase, 1, showGeometryQA)
+            .attr('data-type', d => d.type);
+
+        // --- Bahnsteigkanten (Teilstück der Edge-Polylinie)
+        const pfSel = this.gPlatformElems.selectAll('path.platform').data(pfBase, d => d.id || d.key);
+        pfSel.exit().remove();
+        const pfMerged = pfSel.enter().append('path').attr('class', 'platform')
+            .merge(pfSel)
+            .attr('d', d => this.lineGen(cleanPolyline(d)))
+            .attr('pointer-events', 'stroke')
+            .on('click', (ev, d) => onElemClick(d, ev))
+            .style('display', d => (showPf && !(hideSelected && selSet.has(selKey(d)))) ? null : 'none');
+        applySelHighlight(pfMerged);
+        pfMerged.filter(d => isHighlighted(d, selSet)).raise();
+
         // ensure highlights persist
         reapplyHighlights = () => {
             applySelHighlight(eMerged);
             applySelHighlight(segLineMerged);
             applySelHighlight(segArcMerged);
+            applySelHighlight(segClothoidMerged);
             applySelHighlight(nMerged);
             applySelHighlight(balMerged);
             applySelHighlight(sigMerged);
             applySelHighlight(tdcMerged);
+            applySelHighlight(swMerged);
+            applySelHighlight(bsMerged);
+            applySelHighlight(lcMerged);
+            applySelHighlight(pfMerged);
+            applySelHighlight(stSpanMerged);
+            applySelHighlight(stMerged);
+            applySelHighlight(tpMerged);
+            applySelHighlight(qaMerged);
         };
         reapplyHighlights();
 
         // --- Overlays ---
-        const speed = (view.overlays?.speed || []).filter((s) => s && s.startXY && s.endXY).map(s => ({
+        const speed = (view.overlays?.speed || []).filter((s) => s && s.startXY && s.endXY && edgeInView(s)).map(s => ({
             ...s,
             startXY: transform(s.startXY),
             endXY: transform(s.endXY)
@@ -541,108 +883,65 @@ export default class LocatedRendererD3 {
             .attr('x1', (d) => d.startXY.x).attr('y1', (d) => d.startXY.y)
             .attr('x2', (d) => d.endXY.x).attr('y2', (d) => d.endXY.y);
 
-        const tds = (view.overlays?.tds_sections || []).filter((t) => t && t.startXY && t.endXY).map(t => ({
+        const tds = (view.overlays?.tds_sections || []).filter((t) => t && t.startXY && t.endXY && edgeInView(t)).map(t => ({
             ...t,
             startXY: transform(t.startXY),
             endXY: transform(t.endXY)
         }));
+        // --- Lageabweichung: Linie von der angegebenen zur projizierten Position, Kreis an der angegebenen
+        const devBase = (view.overlays?.position_deviation || []).filter(d => d && d.given && d.projected && edgeInView(d)).map(d => ({
+            ...d,
+            given: transform(d.given),
+            projected: transform(d.projected)
+        }));
+        const devSel = this.gDeviation.selectAll('g.deviation').data(devBase, d => `${d.kind}:${d.id}`);
+        devSel.exit().remove();
+        const devEnter = devSel.enter().append('g').attr('class', 'deviation');
+        devEnter.append('line').attr('class', 'deviation-line');
+        devEnter.append('circle').attr('class', 'deviation-given').attr('r', 2.5);
+        devEnter.append('title');
+        const devMerged = devEnter.merge(devSel)
+            .classed('is-selected', d => selSet.has(d.id))
+            .on('click', (ev, d) => { if (d.id != null) this.onSelect([d.id]); });
+        devMerged.select('line')
+            .attr('x1', d => d.given.x).attr('y1', d => d.given.y)
+            .attr('x2', d => d.projected.x).attr('y2', d => d.projected.y);
+        devMerged.select('circle').attr('cx', d => d.given.x).attr('cy', d => d.given.y);
+        devMerged.select('title').text(d => `${d.id ?? '(ohne id)'}: Δ ${d.deviationM.toFixed(2)} m`);
+
         const tSel = this.gTdsSec.selectAll('line.tds').data(tds, (d) => d.id || `${d.edgeId}:${d.startXY.x},${d.startXY.y}-${d.endXY.x},${d.endXY.y}`);
         tSel.exit().remove();
         tSel.enter().append('line').attr('class', 'tds')
             .merge(tSel)
             .attr('x1', (d) => d.startXY.x).attr('y1', (d) => d.startXY.y)
             .attr('x2', (d) => d.endXY.x).attr('y2', (d) => d.endXY.y);
-    }
-
-    openOverlapMenu(pos, items, labelOf) {
-        this.closeOverlapMenu?.();
 
-        // Menü-Container
-        const rect = this.svg.node().getBoundingClientRect();
-        const mx = Math.max(8, Math.min(rect.width - 8, pos.clientX - rect.left + 8));
-        const my = Math.max(8, Math.min(rect.height - 8, pos.clientY - rect.top + 8));
-
-        const menu = document.createElement('div');
-        menu.className = 'overlap-menu';
-        menu.style.position = 'absolute';
-        menu.style.left = `${mx}px`;
-        menu.style.top = `${my}px`;
-        menu.style.pointerEvents = 'auto';
-        menu.setAttribute('role', 'listbox');
-        menu.tabIndex = 0;
-
-        
-        const esc = (s) => String(s ?? '').replace(/[&<>"']/g, m => (
-            ({'&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'}[m]
-            )));
-
-    
-        const iconFor = (kind) => iconSvg(kind);
-
-        menu.innerHTML = `
-            <div class="overlap-menu-hd">Multiple elements at this position</div>
-            <div class="overlap-menu-list">
-                ${items.map((it, i) => `
-                <button class="overlap-item" role="option" data-idx="${i}">
-                    ${iconFor(it.kind)}
-                    <span class="kind">${esc(it.kind || '')}</span>
-                    <span class="label">${esc(labelOf(it))}</span>
-                    <span class="id">${esc(it.id || it.key || it.edgeId || '')}</span>
-                </button>
-            `).join('')}
-            </div>
-           `;
-
-
-        // Click → selektieren
-        menu.addEventListener('click', (e) => {
-            const btn = e.target.closest('button.overlap-item');
-            if (!btn) return;
-            const it = items[+btn.dataset.idx];
-            const selId = it.id || it.key || it.edgeId;
-            if (selId != null) this.onSelect([selId]);
-            this.closeOverlapMenu();
-        });
-
-        // Tastatur: ↑/↓ navigieren, Enter selektieren, ESC schließen
-        this._outsideKeyHandler = (e) => {
-            if (!this._menuEl) return;
-            const focusables = Array.from(this._menuEl.querySelectorAll('button.overlap-item'));
-            const idx = focusables.indexOf(document.activeElement);
-            if (e.key === 'Escape') {
-                this.closeOverlapMenu();
-                e.preventDefault();
-            } else if (e.key === 'ArrowDown') {
-                const n = (idx + 1) % focusables.length;
-                focusables[n].focus();
-                e.preventDefault();
-            } else if (e.key === 'ArrowUp') {
-                const n = (idx - 1 + focusables.length) % focusables.length;
-                focusables[n].focus();
-                e.preventDefault();
-            } else if (e.key === 'Enter' && idx >= 0) {
-                focusables[idx].click();
-                e.preventDefault();
+        // Auswahl-Diff für das nächste Update: Klassen und Zeichenreihenfolge der hervorgehobenen Objekte
+        this._applySelection = (selection) => {
+            selSet = new Set(selection || []);
+            reapplyHighlights();
+            for (const merged of [eMerged, segLineMerged, segArcMerged, segClothoidMerged, nMerged, balMerged, sigMerged, tdcMerged, swMerged, bsMerged, lcMerged, pfMerged]) {
+                merged.filter(d => isHighlighted(d, selSet)).raise();
             }
+            devMerged.classed('is-selected', d => selSet.has(d.id));
         };
 
-        // Outside-Click schließt (Capture-Phase)
-        this._outsideClickHandler = (e) => {
-            if (!this._menuEl) return;
-            if (!this._menuEl.contains(e.target)) this.closeOverlapMenu();
-        };
-
-        document.addEventListener('keydown', this._outsideKeyHandler, true);
-        document.addEventListener('mousedown', this._outsideClickHandler, true);
-
-        // In Overlay einhängen
-        this._overlayRoot.node().appendChild(menu);
-        this._menuEl = menu;
+        // Übersichtskarte: Netz nur bei neuer View oder geändertem Flip neu aufbauen
+        const minimapKey = `${flipX}:${flipY}`;
+        if (this._minimapView !== view || this._minimapKey !== minimapKey) {
+            this.minimap.setScene(locatedMinimapScene(view, transform));
+            this._minimapView = view;
+            this._minimapKey = minimapKey;
+        }
+        this.minimap.setSelection(state.selection);
+        this.minimap.setVisible(pickBool(f, 'showMinimap'));
 
-        // Fokus auf erstes Item
-        const first = this._menuEl.querySelector('button.overlap-item');
-        (first || this._menuEl).focus();
+        // LOD der gezeichneten Polylinien merken und gegen den (evtl. gerade gefitteten) Zoom prüfen
+        this._lodTolerance = view.lodTolerance > 0 ? view.lodTolerance : 0;
+        this._onViewportSettled();
     }
 
-
+    openOverlapMenu(pos, items, labelOf) {
+        this._overlapMenu.open(pos, items, labelOf);
+    }
 }
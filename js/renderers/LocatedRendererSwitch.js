@@ -0,0 +1,79 @@
+import LocatedRendererD3 from './LocatedRendererD3.js';
+import LocatedRendererCanvas from './LocatedRendererCanvas.js';
+
+// Ab so vielen indizierten Objekten (Edges, Knoten, Elemente, Overlays) zeichnet 'auto' per Canvas statt SVG
+export const DEFAULT_CANVAS_THRESHOLD = 20000;
+export const RENDERER_BACKENDS = ['auto', 'svg', 'canvas'];
+
+// Lageansicht mit umschaltbarem Backend: SVG (LocatedRendererD3) oder Canvas 2D (LocatedRendererCanvas)
+// im selben Mount. Gleicher Vertrag wie die Einzel-Renderer, der Controller merkt vom Wechsel nichts.
+export default class LocatedRendererSwitch {
+    constructor({mount, onSelect, onPointer, onLodChange, onBackendChange, backend = 'auto', canvasThreshold = DEFAULT_CANVAS_THRESHOLD} = {}) {
+        if (!mount) throw new Error('LocatedRendererSwitch: mount fehlt');
+        this.mount = mount;
+        const callbacks = {mount, onSelect, onPointer, onLodChange};
+        this.renderers = {
+            svg: new LocatedRendererD3(callbacks),
+            canvas: new LocatedRendererCanvas(callbacks)
+        };
+        this.backend = RENDERER_BACKENDS.includes(backend) ? backend : 'auto';
+        this.canvasThreshold = canvasThreshold > 0 ? canvasThreshold : DEFAULT_CANVAS_THRESHOLD;
+        this.activeBackend = null;
+        this.onBackendChange = () => {};
+        this._activate('svg');
+        // Aktives Backend nach jedem Wechsel ('svg' | 'canvas'); nicht für die Startbelegung
+        this.onBackendChange = typeof onBackendChange === 'function' ? onBackendChange : () => {};
+    }
+
+    /** Backend wählen: 'auto' (nach Objektanzahl), 'svg' oder 'canvas'; wirkt beim nächsten update */
+    setBackend(backend) {
+        if (!RENDERER_BACKENDS.includes(backend)) throw new Error(`LocatedRendererSwitch: unbekanntes Backend ${backend}`);
+        this.backend = backend;
+    }
+
+    /** Objektanzahl, ab der 'auto' auf Canvas umschaltet */
+    setCanvasThreshold(n) {
+        const v = Math.floor(Number(n));
+        if (!(v > 0)) throw new Error(`LocatedRendererSwitch: ungültiger Schwellwert ${n}`);
+        this.canvasThreshold = v;
+    }
+
+    update(view, state) {
+        if (!view) return;
+        this._activate(this._backendFor(view));
+        this.renderers[this.activeBackend].update(view, state);
+    }
+
+    showSnap(hit) {
+        this.renderers[this.activeBackend]?.showSnap?.(hit);
+    }
+
+    closeOverlapMenu() {
+        this.renderers[this.activeBackend]?.closeOverlapMenu?.();
+    }
+
+    _backendFor(view) {
+        if (this.backend !== 'auto') return this.backend;
+        return (view.index?.size ?? 0) > this.canvasThreshold ? 'canvas' : 'svg';
+    }
+
+    // Nur die Zeichenfläche des aktiven Backends zeigen; das andere vergisst seine View und zeichnet
+    // beim nächsten Aktivieren vollständig neu (kein Auswahl-Diff gegen einen veralteten Stand)
+    _activate(backend) {
+        if (this.activeBackend === backend) return;
+        const prev = this.renderers[this.activeBackend];
+        if (prev) {
+            prev.closeOverlapMenu?.();
+            prev.showSnap?.(null);
+        }
+        const {svg, canvas} = this.renderers;
+        svg.svg.style('display', backend === 'svg' ? null : 'none');
+        canvas.canvas.style('display', backend === 'canvas' ? 'block' : 'none');
+        // Übersichtskarte des inaktiven Backends ausblenden; die aktive stellt ihr nächstes update ein
+        (backend === 'svg' ? canvas : svg).minimap.setVisible(false);
+        svg.invalidate();
+        canvas.invalidate();
+        this.activeBackend = backend;
+        this.onBackendChange(backend);
+    }
+}
@@ -0,0 +1,264 @@
+import {simplifyPolyline} from '../utils/simplify.js';
+import {selectionKeyForDatum} from '../utils/highlight.js';
+
+// Übersichtskarte in der Ecke einer Ansicht: ganzes Netz, aktueller Ausschnitt und Auswahl; Klick/Ziehen verschiebt
+// den Ausschnitt. Arbeitet in den Zeichenkoordinaten des Renderers (Lageansicht: nach Flip) – die Karte ist damit
+// immer so orientiert wie die Ansicht selbst.
+
+// Größe der Karte und Innenabstand (CSS-Pixel)
+const MINIMAP_WIDTH = 180;
+const MINIMAP_HEIGHT = 120;
+const MINIMAP_PADDING = 6;
+// Kleinste Kantenlänge des Ausschnitt-Rechtecks (CSS-Pixel), damit es bei starkem Zoom sichtbar bleibt
+const MIN_VIEWPORT_PX = 4;
+
+export default class Minimap {
+    /**
+     * @param {Object} opts
+     * @param {HTMLElement} opts.mount Container der Ansicht
+     * @param {(p:{x:number, y:number}) => void} opts.onPan Ausschnitt auf diesen Punkt (Zeichenkoordinaten) zentrieren
+     * @param {() => ({minX:number, minY:number, maxX:number, maxY:number}|null)} opts.getViewport sichtbarer Ausschnitt
+     *        (Zeichenkoordinaten), wird bei jedem Zeichnen abgefragt
+     */
+    constructor({mount, onPan, getViewport} = {}) {
+        if (!mount) throw new Error('Minimap: mount fehlt');
+        this.onPan = typeof onPan === 'function' ? onPan : () => {};
+        this.getViewport = typeof getViewport === 'function' ? getViewport : () => null;
+        if (getComputedStyle(mount).position === 'static') mount.style.position = 'relative';
+
+        this.el = document.createElement('div');
+        this.el.className = 'minimap';
+        this.el.setAttribute('aria-label', 'Overview map');
+        this.el.hidden = true; // erst mit einer BBox aus setScene zeigen, sonst stünde ein leeres Feld in der Ansicht
+        this.canvas = document.createElement('canvas');
+        this.canvas.style.width = `${MINIMAP_WIDTH}px`;
+        this.canvas.style.height = `${MINIMAP_HEIGHT}px`;
+        this.el.appendChild(this.canvas);
+        mount.appendChild(this.el);
+        this.ctx = this.canvas.getContext('2d');
+
+        this._bbox = null;      // {minX, minY, maxX, maxY}
+        this._lines = [];       // Polylinien des Netzes (Grundkarte)
+        this._items = new Map(); // Auswahl-Schlüssel → [{polyline} | {x, y}]
+        this._selection = new Set();
+        this._visible = true;   // Wunsch aus setVisible; sichtbar nur zusammen mit einer BBox
+        this._base = null;      // vorgezeichnete Grundkarte (Offscreen-Canvas)
+        this._frame = 0;
+
+        this._bindPointer();
+        // Ausschnitt hängt von der Größe der Ansicht ab (auch: Ansicht wird sichtbar)
+        if ('ResizeObserver' in window) {
+            this._ro = new ResizeObserver(() => this.refresh());
+            this._ro.observe(mount);
+        }
+    }
+
+    /**
+     * Netz neu setzen.
+     * @param {{min:{x:number,y:number}, max:{x:number,y:number}}} bbox Ausdehnung (Zeichenkoordinaten)
+     * @param {Array<{x:number,y:number}[]>} lines Polylinien der Grundkarte
+     * @param {Object[]} items auswählbare Objekte mit id/edgeId/key und polyline oder x/y
+     */
+    setScene({bbox, lines = [], items = []} = {}) {
+        this._bbox = bbox?.min && bbox?.max ? {minX: bbox.min.x, minY: bbox.min.y, maxX: bbox.max.x, maxY: bbox.max.y} : null;
+        this._lines = lines;
+        this._items = new Map();
+        for (const d of items) {
+            const key = selectionKeyForDatum(d);
+            if (key == null) continue;
+            const geom = Array.isArray(d.polyline) ? {polyline: d.polyline} : (Number.isFinite(d.x) && Number.isFinite(d.y) ? {x: d.x, y: d.y} : null);
+            if (!geom) continue;
+            if (this._items.has(key)) this._items.get(key).push(geom); else this._items.set(key, [geom]);
+        }
+        this._base = null;
+        this._syncHidden();
+        this._requestDraw();
+    }
+
+    /** Ausgewählte Schlüssel (Array oder Set) hervorheben */
+    setSelection(selection) {
+        this._selection = new Set(selection || []);
+        this._requestDraw();
+    }
+
+    /** Neu zeichnen (nach Zoom/Pan der Ansicht); höchstens einmal pro Frame */
+    refresh() {
+        this._requestDraw();
+    }
+
+    setVisible(visible) {
+        this._visible = !!visible;
+        this._syncHidden();
+        this._requestDraw();
+    }
+
+    _syncHidden() {
+        this.el.hidden = !(this._visible && this._bbox);
+    }
+
+    // Zeichenkoordinaten ↔ Karten-Pixel: Netz-BBox eingepasst und mittig
+    _scale() {
+        const b = this._bbox;
+        if (!b) return null;
+        const w = Math.max(1e-9, b.maxX - b.minX), h = Math.max(1e-9, b.maxY - b.minY);
+        const s = Math.min((MINIMAP_WIDTH - 2 * MINIMAP_PADDING) / w, (MINIMAP_HEIGHT - 2 * MINIMAP_PADDING) / h);
+        return {s, ox: (MINIMAP_WIDTH - s * w) / 2 - s * b.minX, oy: (MINIMAP_HEIGHT - s * h) / 2 - s * b.minY};
+    }
+
+    _bindPointer() {
+        let dragging = false;
+        const pan = (ev) => {
+            const m = this._scale();
+            if (!m) return;
+            const rect = this.canvas.getBoundingClientRect();
+            this.onPan({x: (ev.clientX - rect.left - m.ox) / m.s, y: (ev.clientY - rect.top - m.oy) / m.s});
+        };
+        this.canvas.addEventListener('pointerdown', (ev) => {
+            if (ev.button !== 0) return;
+            dragging = true;
+            this.canvas.setPointerCapture(ev.pointerId);
+            pan(ev);
+            ev.preventDefault();
+            ev.stopPropagation();
+        });
+        this.canvas.addEventListener('pointermove', (ev) => {
+            if (dragging) pan(ev);
+        });
+        const stop = (ev) => {
+            dragging = false;
+            if (this.canvas.hasPointerCapture(ev.pointerId)) this.canvas.releasePointerCapture(ev.pointerId);
+        };
+        this.canvas.addEventListener('pointerup', stop);
+        this.canvas.addEventListener('pointercancel', stop);
+        // Mausrad/Klicks nicht an die Zoom-Behandlung der Ansicht darunter durchreichen
+        this.el.addEventListener('wheel', (ev) => ev.stopPropagation());
+        this.el.addEventListener('click', (ev) => ev.stopPropagation());
+    }
+
+    _requestDraw() {
+        if (this._frame || this.el.hidden) return;
+        this._frame = requestAnimationFrame(() => {
+            this._frame = 0;
+            this._draw();
+        });
+    }
+
+    // Grundkarte nur bei neuem Netz zeichnen; Auswahl und Ausschnitt kommen bei jedem Frame darüber
+    _drawBase(m, dpr, css) {
+        const base = document.createElement('canvas');
+        base.width = this.canvas.width;
+        base.height = this.canvas.height;
+        const ctx = base.getContext('2d');
+        ctx.setTransform(dpr * m.s, 0, 0, dpr * m.s, dpr * m.ox, dpr * m.oy);
+        ctx.beginPath();
+        for (const line of this._lines) {
+            // Auf Kartenauflösung vereinfachen: ein halbes Pixel Abweichung ist unsichtbar
+            const pts = simplifyPolyline(line, 0.5 / m.s);
+            if (!pts || pts.length < 2) continue;
+            ctx.moveTo(pts[0].x, pts[0].y);
+            for (let i = 1; i < pts.length; i++) ctx.lineTo(pts[i].x, pts[i].y);
+        }
+        ctx.strokeStyle = css.getPropertyValue('--lines-stroke').trim() || '#000';
+        ctx.lineWidth = 1 / m.s;
+        ctx.stroke();
+        this._base = {canvas: base, dpr};
+    }
+
+    _draw() {
+        const dpr = window.devicePixelRatio || 1;
+        const w = Math.round(MINIMAP_WIDTH * dpr), h = Math.round(MINIMAP_HEIGHT * dpr);
+        if (this.canvas.width !== w || this.canvas.height !== h) {
+            this.canvas.width = w;
+            this.canvas.height = h;
+            this._base = null;
+        }
+        const ctx = this.ctx;
+        ctx.setTransform(1, 0, 0, 1, 0, 0);
+        ctx.clearRect(0, 0, w, h);
+        const m = this._scale();
+        if (!m) return;
+        const css = getComputedStyle(this.el);
+        const color = (name) => css.getPropertyValue(name).trim() || '#000';
+        if (!this._base || this._base.dpr !== dpr) this._drawBase(m, dpr, css);
+        ctx.drawImage(this._base.canvas, 0, 0);
+
+        // Auswahl: Linien breit, Punkte als Kreis (in Karten-Pixeln)
+        ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+        ctx.strokeStyle = color('--selection-stroke');
+        ctx.fillStyle = color('--selection-stroke');
+        ctx.lineWidth = 2;
+        for (const key of this._selection) {
+            for (const g of this._items.get(key) || []) {
+                ctx.beginPath();
+                if (g.polyline) {
+                    g.polyline.forEach((p, i) => (i ? ctx.lineTo : ctx.moveTo).call(ctx, m.ox + m.s * p.x, m.oy + m.s * p.y));
+                    ctx.stroke();
+                } else {
+                    ctx.arc(m.ox + m.s * g.x, m.oy + m.s * g.y, 2.5, 0, 2 * Math.PI);
+                    ctx.fill();
+                }
+            }
+        }
+
+        // Ausschnitt-Rechteck
+        const v = this.getViewport();
+        if (v) {
+            let x = m.ox + m.s * v.minX, y = m.oy + m.s * v.minY;
+            let vw = m.s * (v.maxX - v.minX), vh = m.s * (v.maxY - v.minY);
+            if (vw < MIN_VIEWPORT_PX) {
+                x -= (MIN_VIEWPORT_PX - vw) / 2;
+                vw = MIN_VIEWPORT_PX;
+            }
+            if (vh < MIN_VIEWPORT_PX) {
+                y -= (MIN_VIEWPORT_PX - vh) / 2;
+                vh = MIN_VIEWPORT_PX;
+            }
+            ctx.fillStyle = color('--accent');
+            ctx.globalAlpha = 0.12;
+            ctx.fillRect(x, y, vw, vh);
+            ctx.globalAlpha = 1;
+            ctx.strokeStyle = color('--accent');
+            ctx.lineWidth = 1.5;
+            ctx.strokeRect(x, y, vw, vh);
+        }
+    }
+}
+
+// Element-Sammlungen der Lageansicht, die in der Karte auswählbar erscheinen (Punkte bzw. Polylinien)
+const LOCATED_ITEM_LAYERS = ['balises', 'signals', 'tds_components', 'switches', 'buffer_stops', 'level_crossings', 'stations', 'platforms'];
+
+/**
+ * Karteninhalt einer Located View: Edges als Grundkarte, Edges/Knoten/Elemente als auswählbare Objekte.
+ * @param {Object} view located view (GraphProjector.makeLocatedView)
+ * @param {(p:{x:number,y:number}) => {x:number,y:number}} transform Daten- → Zeichenkoordinaten (Flip)
+ * @returns {{bbox:Object, lines:Array, items:Object[]}} Argument für Minimap.setScene
+ */
+export function locatedMinimapScene(view, transform) {
+    const poly = (pts) => (pts || []).filter(p => p && Number.isFinite(p.x) && Number.isFinite(p.y)).map(transform);
+    const point = (d) => ({id: d.id, edgeId: d.edgeId, ...transform({x: d.x, y: d.y})});
+    const edges = (view?.geo_edges || []).map(e => ({edgeId: e.edgeId, polyline: poly(e.polyline)}));
+    const items = [...edges, ...(view?.nodes || []).map(point)];
+    for (const layer of LOCATED_ITEM_LAYERS) {
+        for (const d of view?.elements?.[layer] || []) items.push(Array.isArray(d.polyline) ? {id: d.id, edgeId: d.edgeId, polyline: poly(d.polyline)} : point(d));
+    }
+    // Flip spiegelt an der BBox-Mitte – die BBox selbst bleibt gleich
+    return {bbox: view?.bbox, lines: edges.map(e => e.polyline), items};
+}
+
+/**
+ * Sichtbarer Ausschnitt eines SVG mit ViewBox ('meet') und d3-Zoom in den Koordinaten der gezoomten Gruppe.
+ * @param {SVGSVGElement} svgNode
+ * @param {{k:number, x:number, y:number, invert:Function}} transform aktueller Zoom (d3.zoomTransform)
+ * @returns {{minX:number, minY:number, maxX:number, maxY:number}|null} null, solange das SVG keine Größe hat
+ */
+export function svgViewportBox(svgNode, transform) {
+    const rect = svgNode.getBoundingClientRect();
+    if (!(rect.width > 0 && rect.height > 0)) return null;
+    const vb = (svgNode.getAttribute('viewBox') || '0 0 1000 600').split(/\s+/).map(Number);
+    const upp = Math.max(vb[2] / rect.width, vb[3] / rect.height); // 'meet': ViewBox mittig, Rest sichtbar
+    const w = rect.width * upp, h = rect.height * upp;
+    const x0 = vb[0] - (w - vb[2]) / 2, y0 = vb[1] - (h - vb[3]) / 2;
+    const [ax, ay] = transform.invert([x0, y0]);
+    const [bx, by] = transform.invert([x0 + w, y0 + h]);
+    return {minX: Math.min(ax, bx), minY: Math.min(ay, by), maxX: Math.max(ax, bx), maxY: Math.max(ay, by)};
+}
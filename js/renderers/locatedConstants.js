@@ -0,0 +1,13 @@
+// Gemeinsame Maße der Lageansicht für LocatedRendererD3 (SVG) und LocatedRendererCanvas,
+// damit beide Backends gleich fangen, versetzen und vereinfachen.
+
+// Fangradius der Mausposition auf das Gleis (CSS-Pixel)
+export const SNAP_TOLERANCE_PX = 24;
+// Seitlicher Versatz gerichteter Elemente (applicationDirection) und Länge der Richtungsmarke (CSS-Pixel)
+export const SIDE_OFFSET_PX = 10;
+export const DIR_TICK_PX = 8;
+// Level of Detail: zulässige Abweichung der Edge-Polylinien (CSS-Pixel); darunter wird exakt gezeichnet (Meter)
+export const LOD_TOLERANCE_PX = 0.5;
+export const LOD_MIN_TOLERANCE_M = 0.05;
+// Elemente innerhalb dieses Radius um das angeklickte gelten als überlappend (CSS-Pixel)
+export const OVERLAP_TOLERANCE_PX = 2;
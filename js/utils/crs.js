@@ -0,0 +1,78 @@
+// js/utils/crs.js
+// Umrechnung der lokalen Koordinaten (gewähltes CRS, siehe config/CRS_DEFINITIONS.js) nach WGS84.
+// proj4 rechnet rein im Browser – kein Transformationsdienst, kein Server-Roundtrip. Geladen wird es erst,
+// wenn ein georeferenziertes CRS gewählt wird (ensureCrs); mit 'local' läuft die App auch offline.
+
+import {CRS_DEFINITIONS, LOCAL_CRS} from '../../config/CRS_DEFINITIONS.js';
+
+const PROJ4_URL = 'https://cdn.jsdelivr.net/npm/proj4@2.12.1/+esm';
+
+let proj4 = null;
+let proj4Loading = null;
+const converters = new Map(); // code -> proj4-Converter
+
+/** Auswahlliste der CRS (Code + Anzeigename), 'local' zuerst */
+export function listCrs() {
+  return Object.entries(CRS_DEFINITIONS).map(([code, def]) => ({code, label: def.label}));
+}
+
+export function hasCrs(code) {
+  return Object.prototype.hasOwnProperty.call(CRS_DEFINITIONS, String(code));
+}
+
+/** true, wenn das CRS georeferenziert ist (also Lat/Lon liefern kann) */
+export function isGeoreferenced(code) {
+  return !!CRS_DEFINITIONS[code]?.proj4;
+}
+
+/**
+ * proj4 bei Bedarf nachladen; danach rechnet toWgs84 für code synchron.
+ * @param {string} code
+ * @returns {Promise<boolean>} true, wenn Umrechnungen für code möglich sind
+ */
+export async function ensureCrs(code) {
+  if (!isGeoreferenced(code)) return false;
+  if (!proj4) {
+    proj4Loading ??= import(PROJ4_URL)
+      .then(m => { proj4 = m.default; })
+      .catch(() => {
+        proj4Loading = null; // nächster Versuch lädt erneut
+        throw new Error('Koordinatenumrechnung (proj4) konnte nicht geladen werden');
+      });
+    await proj4Loading;
+  }
+  return !!converter(code);
+}
+
+/** true, wenn toWgs84 für code schon rechnen kann (proj4 geladen) */
+export function isCrsReady(code) {
+  return isGeoreferenced(code) && !!proj4;
+}
+
+/**
+ * Lokale XY -> {lat, lon} in WGS84; null für 'local', unbekannte Codes, ungültige Eingaben
+ * oder solange proj4 noch nicht geladen ist (siehe ensureCrs).
+ * @param {string} code
+ * @param {{x:number, y:number}} xy
+ */
+export function toWgs84(code, xy) {
+  const conv = converter(code);
+  if (!conv || !Number.isFinite(xy?.x) || !Number.isFinite(xy?.y)) return null;
+  const [lon, lat] = conv.forward([xy.x, xy.y]);
+  return Number.isFinite(lat) && Number.isFinite(lon) ? {lat, lon} : null;
+}
+
+/** Anzeige "lat°, lon°" (7 Nachkommastellen ≈ 1 cm) */
+export function formatLatLon(ll, digits = 7) {
+  return ll ? `${ll.lat.toFixed(digits)}°, ${ll.lon.toFixed(digits)}°` : '—';
+}
+
+// ---------------- intern ----------------
+function converter(code) {
+  if (!code || code === LOCAL_CRS || !proj4) return null;
+  if (!converters.has(code)) {
+    const def = CRS_DEFINITIONS[code]?.proj4;
+    converters.set(code, def ? proj4(def, 'WGS84') : null);
+  }
+  return converters.get(code);
+}
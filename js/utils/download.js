@@ -0,0 +1,36 @@
+// js/utils/download.js
+// Browser-Downloads für Exporte (Snapshot, Reports) ohne Server-Roundtrip.
+
+/**
+ * Startet den Download eines Blobs unter dem angegebenen Dateinamen.
+ * @param {string} filename
+ * @param {Blob} blob
+ */
+export function downloadBlob(filename, blob) {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  a.style.display = 'none';
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  // Revoke verzögert, sonst bricht Safari den Download ab
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/**
+ * Serialisiert ein Objekt als JSON und lädt es herunter.
+ * @param {string} filename
+ * @param {*} data
+ * @param {{pretty?:boolean}} [opts]
+ */
+export function downloadJSON(filename, data, opts = {}) {
+  const text = opts.pretty ? JSON.stringify(data, null, 2) : JSON.stringify(data);
+  downloadBlob(filename, new Blob([text], {type: 'application/json'}));
+}
+
+/** Dateinamen-tauglicher Bestandteil (z. B. aus URL oder Zeitstempel) */
+export function fileSafe(s) {
+  return String(s ?? '').replace(/^https?:\/\//, '').replace(/[^A-Za-z0-9._-]+/g, '-').replace(/^-+|-+$/g, '') || 'x';
+}
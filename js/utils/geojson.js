@@ -0,0 +1,58 @@
+// js/utils/geojson.js
+// Located View -> GeoJSON FeatureCollection (Edges/Bahnsteige als LineString, Knoten/Elemente als Point).
+// Die Koordinaten-Abbildung kommt vom Aufrufer: WGS84 [lon, lat] gemäß RFC 7946 oder lokale [x, y]
+// mit dem (veralteten, aber verbreitet gelesenen) `crs`-Member für GIS-Werkzeuge.
+
+// Punktförmige Element-Sammlungen der Located View mit Feature-Typ
+const POINT_LAYERS = [
+  ['balises', 'Balise'],
+  ['signals', 'Signal'],
+  ['tds_components', 'TdsComponent'],
+  ['switches', 'Switch'],
+  ['buffer_stops', 'BufferStop'],
+  ['level_crossings', 'LevelCrossing'],
+  ['stations', 'Station']
+];
+
+/**
+ * @param {Object} view located view (GraphProjector.makeLocatedView)
+ * @param {Object} opts
+ * @param {(xy:{x:number,y:number}) => number[]|null} opts.mapXY Position -> [x, y] bzw. [lon, lat]; null = auslassen
+ * @param {string|null} [opts.crsName] z. B. 'urn:ogc:def:crs:EPSG::31467'; null bei WGS84 oder ohne Bezug
+ * @param {Object} [opts.properties] zusätzliche Angaben auf Ebene der FeatureCollection
+ * @returns {{type:'FeatureCollection', features:Object[]}}
+ */
+export function viewToGeoJSON(view, {mapXY, crsName = null, properties = {}} = {}) {
+  const features = [];
+  const line = (pts) => {
+    const coords = (pts || []).map(mapXY).filter(Boolean);
+    return coords.length >= 2 ? {type: 'LineString', coordinates: coords} : null;
+  };
+  const point = (xy) => {
+    const c = mapXY(xy);
+    return c ? {type: 'Point', coordinates: c} : null;
+  };
+  const push = (geometry, props) => {
+    if (geometry) features.push({type: 'Feature', id: props.id ?? undefined, geometry, properties: props});
+  };
+
+  for (const e of view?.geo_edges || []) push(line(e.polyline), {kind: 'TrackEdge', id: e.edgeId});
+  for (const n of view?.nodes || []) push(point(n), {kind: 'GeoNode', id: n.id, name: n.label ?? null});
+  for (const [key, kind] of POINT_LAYERS) {
+    for (const d of view?.elements?.[key] || []) {
+      push(point(d), clean({kind, id: d.id ?? null, name: d.name ?? null, edgeId: d.edgeId, ikAB: d.ikAB, type: d.type}));
+    }
+  }
+  for (const p of view?.elements?.platforms || []) {
+    push(line(p.polyline), clean({kind: 'PlatformEdge', id: p.id ?? null, name: p.name ?? null, edgeId: p.edgeId, startIK: p.startIK, endIK: p.endIK}));
+  }
+
+  const fc = {type: 'FeatureCollection', ...properties, features};
+  if (crsName) fc.crs = {type: 'name', properties: {name: crsName}};
+  return fc;
+}
+
+// undefined-Werte weglassen, damit Properties je Typ schlank bleiben
+function clean(obj) {
+  return Object.fromEntries(Object.entries(obj).filter(([, v]) => v !== undefined));
+}
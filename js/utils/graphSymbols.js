@@ -11,6 +11,20 @@ export function iconSpec(kind) {
     case 'tds':
     case 'tdscomp':
       return { tag: 'path', attrs: { class: 'tdscomp', d: 'M0,-7 L7,0 L0,7 L-7,0 Z' }, viewBox: '-8 -8 16 16' };
+    case 'switch':
+      return { tag: 'path', attrs: { class: 'switch', d: 'M -6 3 L 6 3 M -6 3 L 6 -4 M -6 3 m -1.5 0 a 1.5 1.5 0 1 0 3 0 a 1.5 1.5 0 1 0 -3 0' }, viewBox: '-8 -8 16 16' };
+    case 'bufferstop':
+      return { tag: 'path', attrs: { class: 'bufferstop', d: 'M -6 0 L 3 0 M 3 -5 L 3 5 L 5 5 L 5 -5 Z' }, viewBox: '-8 -8 16 16' };
+    case 'levelcrossing':
+      return { tag: 'path', attrs: { class: 'levelcrossing', d: 'M -5 -5 L 5 5 M -5 5 L 5 -5' }, viewBox: '-8 -8 16 16' };
+    case 'platform':
+      return { tag: 'rect', attrs: { class: 'platform', x: -7, y: -3, width: 14, height: 6, rx: 1 }, viewBox: '-8 -8 16 16' };
+    case 'station':
+      return { tag: 'rect', attrs: { class: 'station', x: -6, y: -4, width: 12, height: 8, rx: 1.5 }, viewBox: '-8 -8 16 16' };
+    case 'trackpoint':
+      return { tag: 'circle', attrs: { class: 'trackpoint', cx: 0, cy: 0, r: 2 }, viewBox: '-7 -7 14 14' };
+    case 'qa':
+      return { tag: 'circle', attrs: { class: 'qa', cx: 0, cy: 0, r: 6 }, viewBox: '-8 -8 16 16' };
     case 'node':
       return { tag: 'circle', attrs: { class: 'node', cx: 0, cy: 0, r: 3 }, viewBox: '-7 -7 14 14' };
     case 'arrow':
@@ -32,6 +46,21 @@ export function iconSvg(kind, opts = {}) {
          `</svg>`;
 }
 
+// Path2D of the icon shape for canvas renderers (same geometry as iconSpec, centered at 0/0).
+export function iconPath2D(kind) {
+  const { tag, attrs } = iconSpec(kind);
+  if (tag === 'path') return new Path2D(attrs.d);
+  const path = new Path2D();
+  if (tag === 'circle') {
+    path.arc(attrs.cx, attrs.cy, attrs.r, 0, 2 * Math.PI);
+  } else if (typeof path.roundRect === 'function') {
+    path.roundRect(attrs.x, attrs.y, attrs.width, attrs.height, attrs.rx || 0);
+  } else {
+    path.rect(attrs.x, attrs.y, attrs.width, attrs.height);
+  }
+  return path;
+}
+
 // Appends a <g> containing the icon shape; caller can set translate/scale via transform.
 // opts: { scale: number, className: string }
 export function appendIconG(parentSel, kind, opts = {}) {
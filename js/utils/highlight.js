@@ -25,3 +25,16 @@ export function isHighlighted(d, selection) {
   return selSet.has(key);
 }
 
+
+/**
+ * True iff two render states differ at most in their selection and the selection hides nothing
+ * (no hideSelectedElements) – renderers may then just re-apply selection classes instead of redrawing.
+ * Filters and projector options are replaced immutably by the controller, so value comparison is safe.
+ */
+export function isSelectionOnlyChange(prev, next) {
+  if (!prev || !next) return false;
+  if (prev.filters?.hideSelectedElements || next.filters?.hideSelectedElements) return false;
+  return prev.mode === next.mode
+    && JSON.stringify(prev.filters || {}) === JSON.stringify(next.filters || {})
+    && JSON.stringify(prev.projectorOptions || {}) === JSON.stringify(next.projectorOptions || {});
+}
@@ -0,0 +1,46 @@
+// js/utils/loadReport.js
+// Darstellung des Lade-Reports je ISDP-Klasse (Start-Overlay & Warnbanner).
+
+const STATE_ICON = {pending: '…', ok: '✓', failed: '✕'};
+
+/**
+ * Kurzbeschreibung eines Klassen-Status, z. B. "1.234 Einträge · 0,8 s" oder "HTTP 404 Not Found · 0,1 s".
+ * @param {{state:string,count:number|null,durationMs:number|null,attempts?:number,error:string|null}} c
+ */
+export function describeClassStatus(c) {
+  if (!c) return '';
+  const parts = [];
+  if (c.state === 'pending') parts.push('lädt…');
+  if (c.state === 'ok' && Number.isFinite(c.count)) parts.push(`${c.count.toLocaleString()} Einträge`);
+  if (c.state === 'failed') parts.push(c.optional ? `optional, nicht vorhanden (${c.error || 'fehlgeschlagen'})` : (c.error || 'fehlgeschlagen'));
+  if (c.attempts > 1) parts.push(`${c.attempts} Versuche`);
+  if (Number.isFinite(c.durationMs)) parts.push(`${(c.durationMs / 1000).toLocaleString(undefined, {maximumFractionDigits: 1})} s`);
+  return parts.join(' · ');
+}
+
+/**
+ * Rendert die Klassenliste (pending/ok/failed) in ein <ul>.
+ * @param {HTMLElement} el
+ * @param {Array<Object>} classes  Einträge aus getLoadReport().classes
+ */
+export function renderClassStatusList(el, classes) {
+  if (!el) return;
+  el.textContent = '';
+  for (const c of classes || []) {
+    const li = document.createElement('li');
+    li.className = `load-class is-${c.state}`;
+    li.title = c.fqn || c.key;
+    const icon = document.createElement('span');
+    icon.className = 'state';
+    icon.textContent = STATE_ICON[c.state] || '?';
+    const name = document.createElement('span');
+    name.className = 'name';
+    name.textContent = c.key;
+    const info = document.createElement('span');
+    info.className = 'info';
+    info.textContent = describeClassStatus(c);
+    li.append(icon, name, info);
+    el.appendChild(li);
+  }
+  el.hidden = !(classes && classes.length);
+}
@@ -0,0 +1,123 @@
+// js/utils/overlapMenu.js
+// Auswahl-Popup für mehrere Elemente an derselben Bildschirmposition (SVG- und Canvas-Renderer der Lageansicht).
+// Liegt in einem eigenen HTML-Overlay über der Zeichenfläche; nur das Popup selbst fängt Pointer-Events.
+
+import {iconSvg} from './graphSymbols.js';
+
+/**
+ * @param {HTMLElement} mount Container der Ansicht (wird bei Bedarf position: relative)
+ * @param {{onSelect:(ids:string[]) => void}} opts
+ * @returns {{open:(pos:{clientX:number, clientY:number}, items:Object[], labelOf:(item:Object) => string) => void, close:() => void}}
+ */
+export function createOverlapMenu(mount, {onSelect}) {
+  if (getComputedStyle(mount).position === 'static') mount.style.position = 'relative';
+  const overlay = document.createElement('div');
+  overlay.className = 'overlap-overlay';
+  overlay.style.position = 'absolute';
+  overlay.style.inset = '0';
+  overlay.style.pointerEvents = 'none';
+  mount.appendChild(overlay);
+
+  let menuEl = null, outsideClickHandler = null, outsideKeyHandler = null;
+
+  // Hilfs-Cleaner (verhindert Leichen bei Re-Render)
+  const close = () => {
+    if (menuEl) {
+      menuEl.remove();
+      menuEl = null;
+    }
+    if (outsideClickHandler) {
+      document.removeEventListener('mousedown', outsideClickHandler, true);
+      document.removeEventListener('keydown', outsideKeyHandler, true);
+      outsideClickHandler = null;
+      outsideKeyHandler = null;
+    }
+  };
+
+  const open = (pos, items, labelOf) => {
+    close();
+
+    // Menü-Container
+    const rect = overlay.getBoundingClientRect();
+    const mx = Math.max(8, Math.min(rect.width - 8, pos.clientX - rect.left + 8));
+    const my = Math.max(8, Math.min(rect.height - 8, pos.clientY - rect.top + 8));
+
+    const menu = document.createElement('div');
+    menu.className = 'overlap-menu';
+    menu.style.position = 'absolute';
+    menu.style.left = `${mx}px`;
+    menu.style.top = `${my}px`;
+    menu.style.pointerEvents = 'auto';
+    menu.setAttribute('role', 'listbox');
+    menu.tabIndex = 0;
+
+    const esc = (s) => String(s ?? '').replace(/[&<>"']/g, m => (
+      ({'&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'}[m]
+      )));
+
+    menu.innerHTML = `
+      <div class="overlap-menu-hd">Multiple elements at this position</div>
+      <div class="overlap-menu-list">
+        ${items.map((it, i) => `
+        <button class="overlap-item" role="option" data-idx="${i}">
+          ${iconSvg(it.kind)}
+          <span class="kind">${esc(it.kind || '')}</span>
+          <span class="label">${esc(labelOf(it))}</span>
+          <span class="id">${esc(it.id || it.key || it.edgeId || '')}</span>
+        </button>
+      `).join('')}
+      </div>
+     `;
+
+    // Click → selektieren
+    menu.addEventListener('click', (e) => {
+      const btn = e.target.closest('button.overlap-item');
+      if (!btn) return;
+      const it = items[+btn.dataset.idx];
+      const selId = it.id || it.key || it.edgeId;
+      if (selId != null) onSelect([selId]);
+      close();
+    });
+
+    // Tastatur: ↑/↓ navigieren, Enter selektieren, ESC schließen
+    outsideKeyHandler = (e) => {
+      if (!menuEl) return;
+      const focusables = Array.from(menuEl.querySelectorAll('button.overlap-item'));
+      const idx = focusables.indexOf(document.activeElement);
+      if (e.key === 'Escape') {
+        close();
+        e.preventDefault();
+      } else if (e.key === 'ArrowDown') {
+        const n = (idx + 1) % focusables.length;
+        focusables[n].focus();
+        e.preventDefault();
+      } else if (e.key === 'ArrowUp') {
+        const n = (idx - 1 + focusables.length) % focusables.length;
+        focusables[n].focus();
+        e.preventDefault();
+      } else if (e.key === 'Enter' && idx >= 0) {
+        focusables[idx].click();
+        e.preventDefault();
+      }
+    };
+
+    // Outside-Click schließt (Capture-Phase)
+    outsideClickHandler = (e) => {
+      if (!menuEl) return;
+      if (!menuEl.contains(e.target)) close();
+    };
+
+    document.addEventListener('keydown', outsideKeyHandler, true);
+    document.addEventListener('mousedown', outsideClickHandler, true);
+
+    // In Overlay einhängen
+    overlay.appendChild(menu);
+    menuEl = menu;
+
+    // Fokus auf erstes Item
+    const first = menuEl.querySelector('button.overlap-item');
+    (first || menuEl).focus();
+  };
+
+  return {open, close};
+}
@@ -0,0 +1,64 @@
+// js/utils/schemaPath.js
+// Pfad-Leser für Schema-Feldpfade (gemeinsam genutzt von ISDPDataFetcher und Diagnose).
+// Syntax: Punkt-Pfade mit Array-Indices (names[0].name) und Alternativen (a|b|c).
+
+/** Wert eines einfachen Pfads (ohne Alternativen) oder undefined */
+export function getByPath(obj, path) {
+  return resolveSinglePath(obj, path).value;
+}
+
+/** Erster Wert != null über alle Alternativen eines Pfads oder undefined */
+export function pickPath(obj, path) {
+  if (!path || !obj) return undefined;
+  for (const p of splitAlternatives(path)) {
+    const val = getByPath(obj, p);
+    if (val !== undefined && val !== null) return val;
+  }
+  return undefined;
+}
+
+/**
+ * Wie pickPath, liefert aber zusätzlich, wo die Auflösung abbricht (für Diagnose).
+ * @returns {{value:*, path:string|null, failedAt:string|null, parentPath:string, parent:*}}
+ *   path: aufgelöste Alternative; bei Misserfolg failedAt = erstes fehlendes Teilstück der
+ *   am weitesten aufgelösten Alternative und parent = dort zuletzt gefundener Wert
+ */
+export function resolvePath(obj, path) {
+  let best = null;
+  for (const p of splitAlternatives(path)) {
+    const r = resolveSinglePath(obj, p);
+    if (r.value !== undefined && r.value !== null) return {value: r.value, path: p, failedAt: null, parentPath: '', parent: undefined};
+    if (!best || r.depth > best.depth) best = r;
+  }
+  if (!best) return {value: undefined, path: null, failedAt: null, parentPath: '', parent: obj};
+  return {value: best.value, path: null, failedAt: best.failedAt, parentPath: best.parentPath, parent: best.parent};
+}
+
+export function splitAlternatives(path) {
+  return String(path ?? '').split('|').map(s => s.trim()).filter(Boolean);
+}
+
+// ---------------- intern ----------------
+function resolveSinglePath(obj, path) {
+  if (!obj || !path) return {value: undefined, depth: 0, failedAt: path || null, parentPath: '', parent: obj};
+  let cur = obj;
+  const parts = String(path).split('.');
+  const done = [];
+  for (const part of parts) {
+    if (cur == null) break;
+    const m = part.match(/^(.*?)\[(\d+)\]$/);
+    let next;
+    if (m) {
+      const arr = cur[m[1]];
+      next = Array.isArray(arr) ? arr[Number(m[2])] : undefined;
+    } else {
+      next = cur[part];
+    }
+    if (next === undefined || next === null) {
+      return {value: next, depth: done.length, failedAt: [...done, part].join('.'), parentPath: done.join('.'), parent: cur};
+    }
+    done.push(part);
+    cur = next;
+  }
+  return {value: cur, depth: done.length, failedAt: null, parentPath: done.join('.'), parent: cur};
+}
@@ -0,0 +1,51 @@
+// js/utils/simplify.js
+// Douglas-Peucker-Vereinfachung für Polylinien (Level of Detail der Lageansicht).
+// Iterativ mit Stack statt Rekursion – lange Edges mit tausenden Stützpunkten sprengen sonst den Call-Stack.
+
+/**
+ * Entfernt Stützpunkte, die weniger als `tolerance` von der Verbindung ihrer Nachbarn abweichen.
+ * Anfangs- und Endpunkt bleiben immer erhalten; tolerance <= 0 liefert die Eingabe unverändert.
+ * @param {Array<{x:number, y:number}>} points
+ * @param {number} tolerance maximale Abweichung in Koordinateneinheiten (m)
+ * @returns {Array<{x:number, y:number}>}
+ */
+export function simplifyPolyline(points, tolerance) {
+  if (!Array.isArray(points) || points.length <= 2 || !(tolerance > 0)) return points;
+  const tol2 = tolerance * tolerance;
+  const keep = new Uint8Array(points.length);
+  keep[0] = keep[points.length - 1] = 1;
+  const stack = [[0, points.length - 1]];
+  while (stack.length) {
+    const [first, last] = stack.pop();
+    let maxD2 = 0, index = -1;
+    for (let i = first + 1; i < last; i++) {
+      const d2 = segmentDistance2(points[i], points[first], points[last]);
+      if (d2 > maxD2) {
+        maxD2 = d2;
+        index = i;
+      }
+    }
+    if (index > 0 && maxD2 > tol2) {
+      keep[index] = 1;
+      stack.push([first, index], [index, last]);
+    }
+  }
+  return points.filter((_, i) => keep[i]);
+}
+
+// Quadrierter Abstand von p zur Strecke a–b
+function segmentDistance2(p, a, b) {
+  let x = a.x, y = a.y;
+  const dx = b.x - x, dy = b.y - y;
+  if (dx !== 0 || dy !== 0) {
+    const t = ((p.x - x) * dx + (p.y - y) * dy) / (dx * dx + dy * dy);
+    if (t > 1) {
+      x = b.x;
+      y = b.y;
+    } else if (t > 0) {
+      x += dx * t;
+      y += dy * t;
+    }
+  }
+  return (p.x - x) ** 2 + (p.y - y) ** 2;
+}
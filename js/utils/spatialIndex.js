@@ -0,0 +1,136 @@
+// js/utils/spatialIndex.js
+// Gleichmäßiges Gitter über Bounding-Boxen – Viewport-Culling und Trefferabfragen ohne lineare Suche.
+// Ein Eintrag liegt in jeder Zelle, die seine Box berührt; Abfragen sammeln die Zellen und entdoppeln.
+
+/** @typedef {{minX:number, minY:number, maxX:number, maxY:number}} Box */
+
+export class SpatialIndex {
+  /**
+   * @param {number} cellSize Kantenlänge einer Gitterzelle (Koordinateneinheiten, > 0)
+   */
+  constructor(cellSize) {
+    this.cellSize = cellSize > 0 ? cellSize : 1;
+    this.cells = new Map(); // "ix:iy" -> Array<{item, box}>
+    this.size = 0;
+  }
+
+  /**
+   * Index aus einer Liste aufbauen; die Zellgröße ergibt sich aus Ausdehnung und Anzahl (≈ 1 Eintrag je Zelle).
+   * @template T
+   * @param {T[]} items
+   * @param {(item:T) => Box|null} boxOf null = nicht indizieren
+   * @returns {SpatialIndex}
+   */
+  static fromItems(items, boxOf) {
+    const entries = [];
+    let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+    for (const item of items || []) {
+      const box = boxOf(item);
+      if (!isBox(box)) continue;
+      entries.push([item, box]);
+      if (box.minX < minX) minX = box.minX;
+      if (box.minY < minY) minY = box.minY;
+      if (box.maxX > maxX) maxX = box.maxX;
+      if (box.maxY > maxY) maxY = box.maxY;
+    }
+    const extent = entries.length ? Math.max(maxX - minX, maxY - minY) : 0;
+    const index = new SpatialIndex(extent / Math.ceil(Math.sqrt(entries.length || 1)));
+    for (const [item, box] of entries) index.insert(item, box);
+    return index;
+  }
+
+  /** Eintrag mit Box einfügen; Punkte als Box mit minX = maxX, minY = maxY */
+  insert(item, box) {
+    if (!isBox(box)) return;
+    const entry = {item, box};
+    this._forCells(box, (key) => {
+      const cell = this.cells.get(key);
+      if (cell) cell.push(entry); else this.cells.set(key, [entry]);
+    });
+    this.size++;
+  }
+
+  /**
+   * Alle Einträge, deren Box das Rechteck schneidet (Reihenfolge = Einfügereihenfolge je Zelle).
+   * @param {Box} box
+   * @returns {Array<*>}
+   */
+  search(box) {
+    if (!isBox(box)) return [];
+    const seen = new Set();
+    const out = [];
+    this._forCells(box, (key) => {
+      for (const entry of this.cells.get(key) || []) {
+        if (seen.has(entry) || !intersects(entry.box, box)) continue;
+        seen.add(entry);
+        out.push(entry.item);
+      }
+    });
+    return out;
+  }
+
+  /**
+   * Einträge, deren Box höchstens radius von (x, y) entfernt ist, nach Abstand sortiert.
+   * @returns {Array<{item:*, dist:number}>}
+   */
+  within(x, y, radius) {
+    const r = radius > 0 ? radius : 0;
+    const seen = new Set();
+    const out = [];
+    this._forCells({minX: x - r, minY: y - r, maxX: x + r, maxY: y + r}, (key) => {
+      for (const entry of this.cells.get(key) || []) {
+        if (seen.has(entry)) continue;
+        seen.add(entry);
+        const dist = boxDistance(entry.box, x, y);
+        if (dist <= r) out.push({item: entry.item, dist});
+      }
+    });
+    return out.sort((a, b) => a.dist - b.dist);
+  }
+
+  // Zellen, die die Box berührt (bei sehr großen Boxen auf die belegten Zellen begrenzt)
+  _forCells(box, fn) {
+    const c = this.cellSize;
+    const x0 = Math.floor(box.minX / c), x1 = Math.floor(box.maxX / c);
+    const y0 = Math.floor(box.minY / c), y1 = Math.floor(box.maxY / c);
+    if ((x1 - x0 + 1) * (y1 - y0 + 1) > this.cells.size && this.cells.size > 0) {
+      for (const key of this.cells.keys()) {
+        const [ix, iy] = key.split(':').map(Number);
+        if (ix >= x0 && ix <= x1 && iy >= y0 && iy <= y1) fn(key);
+      }
+      return;
+    }
+    for (let ix = x0; ix <= x1; ix++) {
+      for (let iy = y0; iy <= y1; iy++) fn(`${ix}:${iy}`);
+    }
+  }
+}
+
+/** Box eines Punkts bzw. einer Polylinie ({x, y}-Punkte); null ohne gültige Koordinaten */
+export function boxOfPoints(points) {
+  let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+  for (const p of points || []) {
+    if (!Number.isFinite(p?.x) || !Number.isFinite(p?.y)) continue;
+    if (p.x < minX) minX = p.x;
+    if (p.y < minY) minY = p.y;
+    if (p.x > maxX) maxX = p.x;
+    if (p.y > maxY) maxY = p.y;
+  }
+  return minX <= maxX ? {minX, minY, maxX, maxY} : null;
+}
+
+/** Abstand eines Punkts zur Box (0 innerhalb) */
+export function boxDistance(box, x, y) {
+  const dx = Math.max(box.minX - x, 0, x - box.maxX);
+  const dy = Math.max(box.minY - y, 0, y - box.maxY);
+  return Math.hypot(dx, dy);
+}
+
+// ---------------- intern ----------------
+function isBox(b) {
+  return !!b && Number.isFinite(b.minX) && Number.isFinite(b.minY) && Number.isFinite(b.maxX) && Number.isFinite(b.maxY);
+}
+
+function intersects(a, b) {
+  return a.minX <= b.maxX && a.maxX >= b.minX && a.minY <= b.maxY && a.maxY >= b.minY;
+}